@@ -0,0 +1,402 @@
+/**
+ * 项目分类模块
+ * 功能：根据仓库的描述、编程语言和 topics 为其打上分类标签（AI/智能体、开发工具、基础设施、安全、前端、数据等）
+ *
+ * 规则模式：用技术关键词表（与离线词表翻译共用）和 config.classifier.categories 中的关键词、topics、
+ * 编程语言为每个分类打分，得分最高的几个分类作为标签
+ * LLM 模式：把当天的仓库列表交给大模型分类，没有返回有效分类的仓库回退到规则模式
+ */
+
+const config = require('./config');
+const i18n = require('./i18n');
+
+// 技术关键词表：英文关键词 -> 中文翻译，category 为该组关键词对应的分类（没有则只用于离线词表翻译）
+const TECH_KEYWORD_GROUPS = [
+  {
+    label: 'AI/机器学习',
+    category: 'ai',
+    keywords: {
+      'ai': '人工智能',
+      'artificial intelligence': '人工智能',
+      'machine learning': '机器学习',
+      'deep learning': '深度学习',
+      'neural': '神经网络',
+      'llm': '大语言模型',
+      'language model': '语言模型',
+      'gpt': 'GPT',
+      'chatbot': '聊天机器人'
+    }
+  },
+  {
+    label: '通用开发',
+    keywords: {
+      'framework': '框架',
+      'library': '库',
+      'tool': '工具'
+    }
+  },
+  {
+    label: '开发工具',
+    category: 'devtools',
+    keywords: {
+      'developer': '开发者',
+      'development': '开发',
+      'cli': '命令行工具',
+      'sdk': '开发工具包'
+    }
+  },
+  {
+    label: '接口',
+    keywords: {
+      'api': '接口'
+    }
+  },
+  {
+    label: 'Web前端',
+    category: 'frontend',
+    keywords: {
+      'web': 'Web',
+      'frontend': '前端'
+    }
+  },
+  {
+    label: 'Web后端',
+    keywords: {
+      'backend': '后端',
+      'fullstack': '全栈'
+    }
+  },
+  {
+    label: '前端框架',
+    category: 'frontend',
+    keywords: {
+      'react': 'React',
+      'vue': 'Vue',
+      'angular': 'Angular'
+    }
+  },
+  {
+    label: '编程语言',
+    keywords: {
+      'node': 'Node.js',
+      'javascript': 'JavaScript',
+      'typescript': 'TypeScript'
+    }
+  },
+  {
+    label: '数据相关',
+    category: 'data',
+    keywords: {
+      'database': '数据库',
+      'data': '数据',
+      'cache': '缓存'
+    }
+  },
+  {
+    label: '服务器与云',
+    category: 'infra',
+    keywords: {
+      'server': '服务器',
+      'cloud': '云',
+      'docker': 'Docker',
+      'kubernetes': 'Kubernetes'
+    }
+  },
+  {
+    label: '开源相关',
+    keywords: {
+      'open source': '开源',
+      'opensource': '开源',
+      'github': 'GitHub',
+      'repository': '仓库'
+    }
+  },
+  {
+    label: '功能描述',
+    keywords: {
+      'build': '构建',
+      'create': '创建',
+      'manage': '管理',
+      'deploy': '部署',
+      'test': '测试',
+      'monitor': '监控',
+      'optimize': '优化',
+      'automate': '自动化',
+      'generate': '生成',
+      'parse': '解析',
+      'convert': '转换'
+    }
+  },
+  {
+    label: '常用形容词',
+    keywords: {
+      'fast': '快速',
+      'simple': '简单',
+      'easy': '易于',
+      'powerful': '强大',
+      'modern': '现代',
+      'lightweight': '轻量级',
+      'high-performance': '高性能',
+      'real-time': '实时',
+      'distributed': '分布式'
+    }
+  },
+  {
+    label: '应用领域',
+    keywords: {
+      'crypto': '加密货币',
+      'blockchain': '区块链',
+      'video': '视频',
+      'audio': '音频',
+      'image': '图像',
+      'game': '游戏',
+      'mobile': '移动',
+      'desktop': '桌面'
+    }
+  },
+  {
+    label: '常用动词短语',
+    keywords: {
+      'self-hosted': '自托管',
+      'open-source': '开源',
+      'cross-platform': '跨平台',
+      'file': '文件',
+      'system': '系统',
+      'plugin': '插件',
+      'extension': '扩展'
+    }
+  }
+];
+
+// 关键词匹配正则缓存
+const keywordRegexCache = new Map();
+
+// 分类规则缓存（由关键词表和配置合并得到）
+let categoryRules = null;
+
+/**
+ * 获取扁平的技术关键词翻译表
+ * @returns {Object} 英文关键词 -> 中文翻译
+ */
+function getKeywordMap() {
+  return Object.assign({}, ...TECH_KEYWORD_GROUPS.map(group => group.keywords));
+}
+
+/**
+ * 获取各分类的打分规则
+ * 关键词 = 关键词表中对应分类的关键词 + 配置中补充的关键词
+ * @returns {Array} [{ id, label, keywords, topics, languages }]，按配置顺序排列
+ */
+function getCategoryRules() {
+  if (categoryRules) {
+    return categoryRules;
+  }
+
+  categoryRules = config.classifier.categories.map(category => {
+    const tableKeywords = TECH_KEYWORD_GROUPS
+      .filter(group => group.category === category.id)
+      .flatMap(group => Object.keys(group.keywords));
+
+    return {
+      id: category.id,
+      label: category.label,
+      keywords: [...new Set([...tableKeywords, ...(category.keywords || [])])],
+      topics: new Set((category.topics || []).map(topic => topic.toLowerCase())),
+      languages: new Set((category.languages || []).map(language => language.toLowerCase()))
+    };
+  });
+
+  return categoryRules;
+}
+
+/**
+ * 判断文本中是否包含某个关键词（按单词边界匹配，避免 "ai" 命中 "email"；允许复数形式，"agent" 也能命中 "agents"）
+ * @param {string} text - 小写文本
+ * @param {string} keyword - 小写关键词
+ * @returns {boolean} 是否命中
+ */
+function matchesKeyword(text, keyword) {
+  if (!keywordRegexCache.has(keyword)) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    keywordRegexCache.set(keyword, new RegExp(`(^|[^a-z0-9])${escaped}s?($|[^a-z0-9])`));
+  }
+  return keywordRegexCache.get(keyword).test(text);
+}
+
+/**
+ * 获取仓库的 topics（只存在于补充过元数据的数据中）
+ * @param {Object} repo - 仓库数据
+ * @returns {Array} 小写 topics 数组
+ */
+function getRepoTopics(repo) {
+  const topics = repo.metadata && Array.isArray(repo.metadata.topics) ? repo.metadata.topics : [];
+  return topics.map(topic => String(topic).toLowerCase());
+}
+
+/**
+ * 按规则为仓库的每个分类打分
+ * 描述命中关键词、topics 命中、编程语言命中分别按 config.classifier.weights 计分
+ * @param {Object} repo - 仓库数据
+ * @returns {Object} 分类 id -> 得分（只包含得分大于 0 的分类）
+ */
+function scoreCategories(repo) {
+  const description = String(repo.description || '').toLowerCase();
+  const topics = getRepoTopics(repo);
+  const language = String(repo.language || '').toLowerCase();
+  const weights = config.classifier.weights;
+
+  const scores = {};
+  for (const rule of getCategoryRules()) {
+    let score = 0;
+    score += rule.keywords.filter(keyword => matchesKeyword(description, keyword)).length * weights.keyword;
+    score += topics.filter(topic => rule.topics.has(topic)).length * weights.topic;
+    if (language && rule.languages.has(language)) {
+      score += weights.language;
+    }
+    if (score > 0) {
+      scores[rule.id] = score;
+    }
+  }
+
+  return scores;
+}
+
+/**
+ * 按规则为仓库分类
+ * @param {Object} repo - 仓库数据（description、language、metadata.topics）
+ * @returns {Array} 分类 id 数组，按得分降序，最多 config.classifier.maxCategories 个
+ */
+function classifyRepo(repo) {
+  if (!repo) return [];
+
+  const scores = scoreCategories(repo);
+  const order = getCategoryRules().map(rule => rule.id);
+
+  return Object.keys(scores)
+    .filter(id => scores[id] >= config.classifier.minScore)
+    .sort((a, b) => scores[b] - scores[a] || order.indexOf(a) - order.indexOf(b))
+    .slice(0, config.classifier.maxCategories);
+}
+
+/**
+ * 获取仓库的分类标签
+ * 优先使用数据文件中保存的标签，没有分类过的旧数据按规则即时分类
+ * @param {Object} repo - 仓库数据
+ * @returns {Array} 分类 id 数组
+ */
+function getRepoCategories(repo) {
+  if (repo && Array.isArray(repo.categories)) {
+    return repo.categories;
+  }
+  return classifyRepo(repo);
+}
+
+/**
+ * 获取分类的显示名称
+ * @param {string} id - 分类 id
+ * @param {string} language - 页面语言（可选），该语言的界面文字中有分类名称时优先使用
+ * @returns {string} 显示名称，未知分类返回 id 本身
+ */
+function getCategoryLabel(id, language) {
+  const localized = language ? i18n.getCategoryName(id, language) : null;
+  if (localized) {
+    return localized;
+  }
+  const category = config.classifier.categories.find(item => item.id === id);
+  return category ? category.label : id;
+}
+
+/**
+ * 获取所有分类 id 到显示名称的映射
+ * @returns {Object} 分类 id -> 显示名称
+ */
+function getCategoryLabels() {
+  const labels = {};
+  for (const category of config.classifier.categories) {
+    labels[category.id] = category.label;
+  }
+  return labels;
+}
+
+/**
+ * 解析大模型返回的分类结果
+ * 只保留配置中存在的分类 id，并限制每个仓库的标签数量
+ * @param {string} content - 大模型返回的文本，应包含 { "owner/name": ["ai"] } 形式的 JSON
+ * @returns {Object} 仓库名称 -> 分类 id 数组
+ */
+function parseLLMCategories(content) {
+  const match = String(content || '').match(/\{[\s\S]*\}/);
+  if (!match) {
+    throw new Error('大模型返回的内容中没有 JSON');
+  }
+
+  const parsed = JSON.parse(match[0]);
+  const validIds = new Set(config.classifier.categories.map(category => category.id));
+  const result = {};
+
+  for (const [name, ids] of Object.entries(parsed)) {
+    if (!Array.isArray(ids)) continue;
+    result[name] = [...new Set(ids.filter(id => validIds.has(id)))].slice(0, config.classifier.maxCategories);
+  }
+
+  return result;
+}
+
+/**
+ * 用大模型为一组仓库分类
+ * 请求失败或某个仓库没有返回结果时，回退到规则分类
+ * @param {Object} llm - 大模型客户端（llmClient.getClient()）
+ * @param {Array} repos - 仓库数组
+ * @returns {Promise<Map>} 仓库名称 -> 分类 id 数组
+ */
+async function classifyReposWithLLM(llm, repos) {
+  const categoryList = config.classifier.categories
+    .map(category => `- ${category.id}: ${category.label}`)
+    .join('\n');
+  const items = repos.map(repo => ({
+    name: repo.name,
+    description: repo.description || '',
+    language: repo.language || '',
+    topics: getRepoTopics(repo)
+  }));
+
+  const systemPrompt = `你是一个开源项目分类助手。请根据仓库的描述、编程语言和 topics，为每个仓库从下列分类中选择最贴切的 0 到 ${config.classifier.maxCategories} 个：
+
+${categoryList}
+
+只输出一个 JSON 对象，键为仓库全名，值为分类 id 数组，不要输出其它内容。`;
+
+  let llmCategories = {};
+  try {
+    const content = await llm.complete({
+      task: 'classification',
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: JSON.stringify(items, null, 2) }
+      ],
+      temperature: 0
+    });
+    llmCategories = parseLLMCategories(content);
+  } catch (error) {
+    console.warn('大模型分类失败，回退到规则分类:', error.message);
+  }
+
+  const result = new Map();
+  for (const repo of repos) {
+    const categories = llmCategories[repo.name];
+    result.set(repo.name, Array.isArray(categories) ? categories : classifyRepo(repo));
+  }
+  return result;
+}
+
+module.exports = {
+  TECH_KEYWORD_GROUPS,
+  getKeywordMap,
+  scoreCategories,
+  classifyRepo,
+  getRepoCategories,
+  getCategoryLabel,
+  getCategoryLabels,
+  parseLLMCategories,
+  classifyReposWithLLM
+};
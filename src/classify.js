@@ -0,0 +1,135 @@
+/**
+ * 项目分类脚本
+ * 功能：在补充元数据之后、AI 总结之前，为当天每个 Trending 仓库打上分类标签（categories），写回当天的 JSON 数据
+ * 默认使用关键词规则分类；--mode llm 时调用大模型分类，失败时回退到规则
+ *
+ * 使用方法：node src/classify.js [--date YYYY-MM-DD] [--all] [--mode rules|llm]
+ *   --all  为 data/ 下所有 Trending 数据文件重新分类（补全历史数据的标签）
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const config = require('./config');
+const classifier = require('./classifier');
+const dataProcessor = require('./dataProcessor');
+const llmClient = require('./llmClient');
+const reportDate = require('./reportDate');
+const schema = require('./schema');
+
+// 支持的分类方式
+const CLASSIFY_MODES = ['rules', 'llm'];
+
+/**
+ * 为一个 Trending 数据文件中的仓库分类并写回
+ * @param {string} filePath - 数据文件路径
+ * @param {Object} options - { mode, llm }
+ * @returns {Promise<Object>} { total, classified }
+ */
+async function classifyFile(filePath, options = {}) {
+  const raw = dataProcessor.safeReadJSON(filePath, null);
+  if (!raw) {
+    throw new Error(`无法读取数据文件: ${filePath}`);
+  }
+
+  // 写回时统一升级为当前 schema 版本
+  const file = schema.upgradeTrendingFile(raw, {
+    capturedAt: dataProcessor.getLegacyCapturedAt(path.basename(filePath))
+  });
+  const repos = file.repositories.filter(repo => repo && repo.name);
+
+  const categories = options.mode === 'llm'
+    ? await classifier.classifyReposWithLLM(options.llm, repos)
+    : new Map(repos.map(repo => [repo.name, classifier.classifyRepo(repo)]));
+
+  let classified = 0;
+  for (const repo of repos) {
+    repo.categories = categories.get(repo.name) || [];
+    if (repo.categories.length > 0) {
+      classified++;
+    }
+  }
+
+  fs.writeFileSync(filePath, JSON.stringify(file, null, 2), 'utf8');
+  return { total: repos.length, classified };
+}
+
+/**
+ * 解析命令行参数
+ * @param {Array} argv - 命令行参数
+ * @returns {Object} { date, all, mode }
+ */
+function parseArgs(argv) {
+  const options = { date: null, all: false, mode: config.classifier.mode };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--all') {
+      options.all = true;
+    } else if (arg === '--date') {
+      options.date = argv[++i] || null;
+    } else if (arg.startsWith('--date=')) {
+      options.date = arg.slice('--date='.length);
+    } else if (arg === '--mode') {
+      options.mode = argv[++i] || options.mode;
+    } else if (arg.startsWith('--mode=')) {
+      options.mode = arg.slice('--mode='.length);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (!CLASSIFY_MODES.includes(options.mode)) {
+      throw new Error(`未知的分类方式: ${options.mode}（可选：${CLASSIFY_MODES.join(' / ')}）`);
+    }
+
+    // 获取报告日期（按配置时区计算，可用 --date 或 REPORT_DATE 覆盖）
+    const targetDate = reportDate.getReportDate({ date: options.date });
+
+    // 当天所有 Trending 变体的数据文件，--all 时为全部数据文件
+    const dataDir = config.directories.data;
+    const files = fs.readdirSync(dataDir).filter(file => {
+      const parsed = dataProcessor.parseTrendingFileName(file);
+      return parsed !== null && (options.all || parsed.date === targetDate);
+    }).sort();
+
+    if (files.length === 0) {
+      console.warn(`未找到 ${targetDate} 的 trending 数据文件，跳过项目分类`);
+      return;
+    }
+
+    if (options.mode === 'llm') {
+      // 大模型客户端与 AI 总结共用同一套配置
+      options.llm = llmClient.getClient();
+    }
+
+    const scope = options.all ? '所有' : `${targetDate} 的`;
+    console.log(`正在为${scope} ${files.length} 个数据文件分类（${options.mode === 'llm' ? '大模型' : '关键词规则'}）...`);
+
+    for (const file of files) {
+      const { total, classified } = await classifyFile(path.join(dataDir, file), options);
+      console.log(`  ✓ ${file}: ${classified}/${total} 个仓库已打上分类标签`);
+    }
+
+    console.log('项目分类完成！');
+  } catch (error) {
+    console.error('项目分类时发生错误:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  classifyFile
+};
@@ -10,12 +10,76 @@ const config = {
   directories: {
     // 项目根目录
     root: path.join(__dirname, '..'),
-    // 数据目录（存放 trending JSON 和 ranking_data.js）
+    // 数据目录（存放 trending JSON 和 ranking_data_YYYY-MM-DD.js）
     data: path.join(__dirname, '../data'),
+    // 原始页面归档目录（存放 gzip 压缩的 Trending 页面 HTML）
+    raw: path.join(__dirname, '../data/raw'),
+    // 仓库元数据缓存目录
+    repoCache: path.join(__dirname, '../data/repo_cache'),
     // 报告目录（存放 Markdown 和生成的 HTML 文件）
     reports: path.join(__dirname, '../reports'),
+    // 项目历史页面目录（每个上过榜的仓库一个页面）
+    repoPages: path.join(__dirname, '../reports/repo'),
     // 模板目录
-    templates: path.join(__dirname, 'templates')
+    templates: path.join(__dirname, 'templates'),
+    // 日报提示词模板目录（每种写作风格一个子目录）
+    prompts: path.join(__dirname, 'templates/prompts')
+  },
+
+  // 报告日期配置
+  report: {
+    // 计算"今天"所用的 IANA 时区，流水线各步骤统一使用
+    timezone: process.env.REPORT_TIMEZONE || 'Asia/Shanghai'
+  },
+
+  // Trending 抓取配置
+  trending: {
+    // Trending 页面地址
+    baseUrl: 'https://github.com/trending',
+    // 每个页面抓取的项目数量
+    topN: 10,
+    // 需要抓取的语言 slug（空字符串表示全部语言），可用 --lang 覆盖
+    languages: [''],
+    // 需要抓取的时间窗口（daily / weekly / monthly），可用 --since 覆盖
+    sinceWindows: ['daily'],
+    // 是否同时抓取热门开发者榜（/trending/developers）
+    scrapeDevelopers: true,
+    // 数据源：html（爬取 Trending 页面）或 github-api（Search API 近似），可用 --source 覆盖
+    source: process.env.TRENDING_SOURCE || 'html'
+  },
+
+  // GitHub Search API 数据源配置
+  githubApi: {
+    // API 地址，测试时可指向本地 mock 服务
+    baseUrl: process.env.GITHUB_API_BASE_URL || 'https://api.github.com',
+    // 访问令牌（在 .env 中设置 GITHUB_TOKEN）
+    token: process.env.GITHUB_TOKEN || '',
+    // 按创建时间（created）还是最近推送时间（pushed）筛选仓库
+    dateQualifier: 'created',
+    // 各时间窗口向前追溯的天数
+    lookbackDays: {
+      daily: 7,
+      weekly: 30,
+      monthly: 90
+    },
+    // 请求超时时间（毫秒）
+    timeout: 15000
+  },
+
+  // 仓库元数据补充配置（topics、license、README 摘要等）
+  enrichment: {
+    // 缓存有效期（小时），过期后重新请求 API
+    cacheTTLHours: 72,
+    // README 摘要的最大字符数
+    readmeExcerptLength: 600
+  },
+
+  // 抓取结果校验配置（检测页面结构变化导致的数据退化）
+  validation: {
+    // 每个页面至少应解析出的行数
+    minRows: 10,
+    // 语言为 Unknown 的行允许的最大比例
+    maxUnknownLanguageRatio: 0.5
   },
 
   // 排行榜统计天数配置
@@ -27,19 +91,200 @@ const config = {
     // 近90天（季度排行）
     quarter: 90,
     // 排行榜显示的最多项目数量
-    maxItems: 10
+    maxItems: 10,
+    // 默认排序策略（combined / appearances / position / recency / velocity）
+    strategy: 'combined',
+    // 侧边栏可切换的排序策略
+    strategies: ['combined', 'appearances', 'velocity'],
+    // 名次加权：第 1 名权重为 1，每后一名减少 1/positionDepth
+    positionDepth: 10,
+    // 时间衰减半衰期（天）：每早 halfLifeDays 天，上榜记录的权重减半
+    halfLifeDays: 14
+  },
+
+  // 语言与主题统计页面配置
+  stats: {
+    // 每个时间范围展示的语言数量
+    topLanguages: 8,
+    // 每种语言展示的热门仓库数量
+    topReposPerLanguage: 3,
+    // 展示的热门主题数量
+    topTopics: 10,
+    // 占比变化图中单独展示的语言数量（其余归入"其他"）
+    trendLanguages: 5,
+    // 占比变化图每个统计周期的天数
+    trendBucketDays: 7
+  },
+
+  // 项目分类配置
+  classifier: {
+    // 分类方式：rules（关键词规则）或 llm（大模型分类，失败时回退到规则），可用 --mode 覆盖
+    mode: process.env.CLASSIFIER_MODE || 'rules',
+    // 每个项目最多打上的分类标签数量
+    maxCategories: 2,
+    // 规则模式中分类得分达到该值才打上标签
+    minScore: 1,
+    // 规则模式中各信号的得分：描述命中关键词、命中 topic、编程语言匹配
+    weights: {
+      keyword: 1,
+      topic: 2,
+      language: 1
+    },
+    // 分类列表（顺序即页面上的展示顺序）
+    // keywords 为技术关键词表之外补充的描述关键词，topics 和 languages 分别匹配仓库 topics 和编程语言
+    categories: [
+      {
+        id: 'ai',
+        label: '🤖 AI / 智能体',
+        keywords: ['agent', 'agentic', 'rag', 'mcp', 'embedding', 'diffusion', 'transformer', 'inference', 'prompt', 'openai', 'claude', 'gemini', 'ollama', 'copilot'],
+        topics: ['ai', 'llm', 'llms', 'machine-learning', 'deep-learning', 'artificial-intelligence', 'agents', 'ai-agents', 'mcp', 'rag', 'generative-ai', 'chatgpt', 'openai', 'nlp', 'computer-vision'],
+        languages: ['Jupyter Notebook']
+      },
+      {
+        id: 'devtools',
+        label: '🛠️ 开发工具',
+        keywords: ['ide', 'editor', 'terminal', 'compiler', 'debugger', 'linter', 'formatter', 'git', 'vscode', 'neovim', 'vim', 'code review', 'testing', 'devtools', 'build tool', 'package manager'],
+        topics: ['cli', 'developer-tools', 'devtools', 'vscode-extension', 'neovim', 'terminal', 'ide', 'testing', 'git'],
+        languages: ['Vim Script', 'Emacs Lisp']
+      },
+      {
+        id: 'infra',
+        label: '☁️ 基础设施',
+        keywords: ['devops', 'deployment', 'serverless', 'container', 'observability', 'proxy', 'gateway', 'self-hosted', 'load balancer', 'infrastructure', 'k8s', 'terraform', 'ci/cd'],
+        topics: ['kubernetes', 'docker', 'devops', 'infrastructure', 'cloud', 'self-hosted', 'serverless', 'terraform', 'observability'],
+        languages: ['HCL', 'Nix', 'Dockerfile']
+      },
+      {
+        id: 'security',
+        label: '🔒 安全',
+        keywords: ['security', 'vulnerability', 'pentest', 'pentesting', 'penetration', 'exploit', 'hacker', 'cyber', 'threat', 'malware', 'ctf', 'encryption', 'privacy', 'password', 'authentication', 'reverse engineering', 'firewall', 'osint'],
+        topics: ['security', 'cybersecurity', 'hacking', 'pentesting', 'infosec', 'privacy', 'encryption', 'osint', 'red-team'],
+        languages: []
+      },
+      {
+        id: 'frontend',
+        label: '🎨 前端',
+        keywords: ['css', 'ui', 'component', 'tailwind', 'nextjs', 'next.js', 'svelte', 'browser', 'design system'],
+        topics: ['react', 'vue', 'frontend', 'css', 'ui', 'nextjs', 'tailwindcss', 'svelte', 'web'],
+        languages: ['CSS', 'HTML', 'Vue', 'Svelte', 'Astro']
+      },
+      {
+        id: 'data',
+        label: '📊 数据',
+        keywords: ['sql', 'analytics', 'etl', 'pipeline', 'visualization', 'scraper', 'crawler', 'scraping', 'dataset', 'spreadsheet', 'vector'],
+        topics: ['database', 'data-science', 'data-engineering', 'analytics', 'sql', 'visualization', 'scraping', 'etl', 'big-data'],
+        languages: ['SQL', 'R']
+      },
+      {
+        id: 'mobile',
+        label: '📱 移动端',
+        keywords: ['mobile', 'android', 'ios', 'iphone', 'flutter', 'react native', 'swiftui'],
+        topics: ['android', 'ios', 'flutter', 'mobile', 'react-native', 'swiftui'],
+        languages: ['Swift', 'Kotlin', 'Dart', 'Objective-C']
+      }
+    ]
   },
 
-  // 侧边栏显示配置
+  // AI 日报生成配置
+  summary: {
+    // 大模型输出不是合法的日报 JSON 时，最多尝试的次数（包括第一次）
+    maxAttempts: 3,
+    // 写作风格没有单独设置 temperature 时使用
+    temperature: 0.7,
+    // 日报 JSON 包含每个项目的点评，需要比普通回复更多的 token
+    maxTokens: 4000,
+    // 默认的写作风格，可用 --persona 或 REPORT_PERSONA 覆盖
+    persona: process.env.REPORT_PERSONA || 'snarky',
+    // 默认的输出配置，可用 --profile 或 REPORT_PROFILE 覆盖；为空时只使用 persona 和 i18n.languages
+    profile: process.env.REPORT_PROFILE || '',
+    // 可选的写作风格：提示词模板为 templates/prompts/<id>/system.md 和 user.md（可选，默认使用 prompts/user.md）
+    // 修改模板内容时递增 version，version 和模板哈希会记录在每份日报 JSON 中
+    personas: {
+      snarky: { label: '毒舌技术博主', version: 1, temperature: 0.7 },
+      newsletter: { label: '中立技术周刊', version: 1, temperature: 0.5 },
+      digest: { label: '工程团队速览', version: 1, temperature: 0.3 }
+    },
+    // 输出配置：预设的写作风格和日报语言组合
+    profiles: {
+      default: { persona: 'snarky', languages: ['zh'] },
+      newsletter: { persona: 'newsletter', languages: ['zh', 'en'] },
+      team: { persona: 'digest', languages: ['en'] }
+    }
+  },
+
+  // 多语言配置
+  i18n: {
+    // 生成日报和页面的语言，可用 REPORT_LANGUAGES 覆盖，例如 zh,en
+    languages: (process.env.REPORT_LANGUAGES || 'zh').split(',').map(language => language.trim()).filter(Boolean),
+    // 基础语言：文件名不带语言后缀，项目点评索引和排行榜中文描述都来自这种语言的日报
+    baseLanguage: 'zh',
+    // 各语言的设置，界面文字在 src/locales/<语言>.js 中
+    locales: {
+      zh: {
+        // 语言切换中显示的名称
+        label: '中文',
+        // 页面 <html lang> 和日期格式使用的语言标记
+        htmlLang: 'zh-CN',
+        // 日报文件名中日期之后的后缀，例如 daily_2026-02-28.en.html
+        fileSuffix: '',
+        // 填入提示词模板 {{LANGUAGE}} 变量的语言名称
+        promptName: '简体中文',
+        // 排行榜是否显示中文点评和翻译后的描述（否则显示原始英文描述）
+        translatedDescriptions: true
+      },
+      en: {
+        label: 'English',
+        htmlLang: 'en',
+        fileSuffix: '.en',
+        promptName: '英文',
+        translatedDescriptions: false
+      }
+    }
+  },
+
+  // 周报 / 月报配置
+  digest: {
+    // 每周的这一天生成上一周（ISO 周）的周报，1 为周一、7 为周日
+    weeklyDay: 1,
+    // 每月的这一天生成上个月的月报
+    monthlyDay: 1,
+    // 排行榜、增长最快、新上榜各列出的项目数量
+    topItems: 10,
+    // 语言趋势中列出的语言数量
+    topLanguages: 8,
+    // 侧边栏"周报与月报"中显示的最近几期
+    sidebarItems: 6,
+    // 调用大模型撰写点评的参数
+    temperature: 0.5,
+    maxTokens: 3000,
+    // 修改 templates/prompts/digest_report/ 中的模板时递增，记录在每期周报 / 月报的 JSON 中
+    promptVersion: 1
+  },
+
+  // 项目描述翻译配置（排行榜中没有 AI 点评的项目）
+  translation: {
+    // 翻译服务：llm（大模型批量翻译）、glossary（离线技术词表）或 none（不翻译）
+    provider: process.env.TRANSLATION_PROVIDER || 'glossary',
+    // 每次请求翻译的描述条数
+    batchSize: 20,
+    // 单次请求的超时时间（毫秒）
+    timeout: 30000,
+    // 每批描述最多请求的次数（返回内容无法解析时重新请求，网络错误由 llm 配置重试）
+    maxRetries: 2
+  },
+
+  // 项目徽章配置（首次上榜、连续上榜、重新上榜）
+  badges: {
+    // 连续上榜达到该天数时显示连续上榜徽章
+    streakMinDays: 3,
+    // 离开榜单至少该天数后重新上榜，显示重新上榜徽章
+    returningAfterDays: 14
+  },
+
+  // 侧边栏显示配置（界面文字见 src/locales/）
   sidebar: {
     // 侧边栏历史记录显示的最近天数
-    recentDays: 7,
-    // 侧边栏标题
-    historyTitle: '📅 历史报告',
-    // 排行榜标题
-    rankingTitle: '🔥 热门项目排行榜',
-    // 时间范围选择器标签
-    timeRangeLabel: '选择时间范围：'
+    recentDays: 7
   },
 
   // 文件命名模式
@@ -48,20 +293,37 @@ const config = {
     markdownPrefix: 'daily_',
     // HTML 文件名前缀
     htmlPrefix: 'daily_',
+    // 结构化日报（大模型输出的 JSON）扩展名，与 Markdown 日报同名：daily_YYYY-MM-DD.json
+    reportDataExt: '.json',
     // Trending 数据文件名前缀
     trendingPrefix: 'trending_',
     // Trending 数据文件扩展名
     trendingExt: '.json',
-    // 排行榜数据文件名
-    rankingDataFile: 'ranking_data.js'
+    // 热门开发者数据文件名前缀
+    developersPrefix: 'developers_',
+    // 原始页面归档文件扩展名
+    rawSnapshotExt: '.html.gz',
+    // 未通过校验的原始页面归档文件扩展名（不覆盖已有的有效归档，reparse 不处理）
+    rejectedSnapshotExt: '.rejected.html.gz',
+    // 翻译缓存文件名
+    translationCacheFile: 'translation_cache.json',
+    // 周报 / 月报文件名前缀：weekly_YYYY-Www.*、monthly_YYYY-MM.*
+    weeklyPrefix: 'weekly_',
+    monthlyPrefix: 'monthly_',
+    // 项目点评索引文件名（汇总所有日报中的 AI 点评）
+    summaryIndexFile: 'summary_index.json',
+    // 历史数据索引文件名（追加写入的 NDJSON）
+    historyIndexFile: 'history_index.ndjson',
+    // 语言与主题统计页面文件名
+    statsPage: 'stats.html',
+    // 排行榜数据文件名前缀（每个报告日期一个文件：ranking_data_YYYY-MM-DD.js）
+    rankingDataPrefix: 'ranking_data_',
+    // 最新排行榜数据的副本，供改为按日期保存之前生成的页面（index.html 和旧日报）加载
+    legacyRankingDataFile: 'ranking_data.js'
   },
 
-  // 页面标题配置
+  // 页面显示配置（界面文字见 src/locales/）
   page: {
-    // 页面标题前缀
-    titlePrefix: 'GitHub 简报',
-    // 副标题
-    subtitle: '每日精选热门开源项目，发现最新技术趋势',
     // 日期格式显示
     dateFormat: {
       year: 'numeric',
@@ -73,13 +335,35 @@ const config = {
 
   // 前端资源路径（相对于生成的 HTML 文件位置）
   frontend: {
-    rankingDataPath: '../data/ranking_data.js',
+    // 排行榜数据文件所在目录
+    rankingDataDir: '../data',
+    // 项目历史页面所在目录
+    repoPageBase: 'repo/',
     defaultHomeDate: 'daily_2026-02-22.html'
   },
+
+  // 大模型调用配置（AI 总结、周报 / 月报、描述翻译和项目分类共用）
+  llm: {
+    // 大模型服务：openai（OpenAI 兼容接口，见下方 openai）或 mock（离线模拟服务，不访问网络）
+    provider: process.env.LLM_PROVIDER || 'openai',
+    // 单次请求的超时时间（毫秒）
+    timeout: 120000,
+    // 网络错误、超时、限流和服务端错误时的最多重试次数
+    maxRetries: 3,
+    // 第一次重试前的等待时间（毫秒），之后每次翻倍
+    retryBaseDelay: 2000,
+    // 两次重试之间最长的等待时间（毫秒）
+    retryMaxDelay: 30000,
+    // 同时进行的请求数
+    concurrency: 2,
+    // 相邻两个请求开始的最小间隔（毫秒），0 表示不限制
+    minInterval: 0
+  },
   openai: {
     apiKey: process.env.OPENAI_API_KEY || '',
-    model: 'gpt-3.5-turbo',
-    enabled: false
+    // OpenAI 兼容接口地址（例如 https://api.deepseek.com），为空时使用官方地址
+    baseURL: process.env.OPENAI_BASE_URL || '',
+    model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo'
   }
 };
 
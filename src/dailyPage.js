@@ -0,0 +1,218 @@
+/**
+ * 日报页面模块
+ * 功能：把某天的日报渲染成完整的 HTML 页面，每种语言一个页面（daily_YYYY-MM-DD.html、daily_YYYY-MM-DD.en.html），
+ * 页面头部的语言切换链接指向同一天的其他语言页面
+ *
+ * html_generator 和 regenerate_history 共用本模块；排行榜数据与语言无关，每天只生成一次
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const config = require('./config');
+const dailyReport = require('./dailyReport');
+const dataProcessor = require('./dataProcessor');
+const digestReport = require('./digestReport');
+const i18n = require('./i18n');
+const markdownParser = require('./markdownParser');
+const reportDate = require('./reportDate');
+const statsPage = require('./statsPage');
+const summaryIndex = require('./summaryIndex');
+
+/**
+ * 读取模板文件内容
+ * @param {string} fileName - 模板文件名
+ * @returns {string} 文件内容
+ */
+function readTemplateFile(fileName) {
+  const templatePath = path.join(config.directories.templates, fileName);
+
+  try {
+    return fs.readFileSync(templatePath, 'utf8');
+  } catch (error) {
+    console.error('读取模板文件失败:', templatePath, error.message);
+    return '';
+  }
+}
+
+/**
+ * 获取某天有日报的语言
+ * 基础语言有 Markdown 或 JSON 日报即可，其他语言只认日报 JSON
+ * @param {string} dateStr - 日期 YYYY-MM-DD
+ * @returns {Array} 语言数组，基础语言排在第一位
+ */
+function getReportLanguages(dateStr) {
+  const base = config.i18n.baseLanguage;
+  const languages = Object.keys(config.i18n.locales).filter(language => {
+    if (fs.existsSync(dailyReport.getReportPath(dateStr, language))) {
+      return true;
+    }
+    return language === base &&
+      fs.existsSync(path.join(config.directories.reports, i18n.getReportFileName(dateStr, base, '.md')));
+  });
+  return i18n.getLanguages(languages);
+}
+
+/**
+ * 生成某种语言的日报正文 HTML（用当天 Trending 数据补全增长信息，用上榜历史生成徽章）
+ * 有日报 JSON 时直接由它渲染，早期只有 Markdown 的基础语言日报解析 Markdown
+ * @param {string} dateStr - 日期 YYYY-MM-DD
+ * @param {string} language - 语言
+ * @returns {string|null} 正文 HTML，该语言没有日报时返回 null
+ */
+function renderReportContent(dateStr, language) {
+  const trendingData = dataProcessor.readTrendingDay(dateStr);
+  const repoStats = dataProcessor.readRepoHistoryStats(dateStr);
+
+  const report = dailyReport.readReport(dateStr, language);
+  if (report) {
+    return markdownParser.convertReportToHTML(report, trendingData, repoStats, language);
+  }
+
+  const markdownPath = path.join(config.directories.reports, i18n.getReportFileName(dateStr, language, '.md'));
+  if (language !== config.i18n.baseLanguage || !fs.existsSync(markdownPath)) {
+    return null;
+  }
+  return markdownParser.convertMarkdownToHTML(fs.readFileSync(markdownPath, 'utf8'), trendingData, repoStats, language);
+}
+
+/**
+ * 生成语言切换链接
+ * @param {string} dateStr - 日期 YYYY-MM-DD
+ * @param {string} language - 当前页面的语言
+ * @param {Array} languages - 当天有页面的语言
+ * @returns {string} 切换链接的 HTML，只有一种语言时返回空字符串
+ */
+function generateLanguageSwitcherHTML(dateStr, language, languages) {
+  if (languages.length < 2) {
+    return '';
+  }
+
+  const links = languages.map(item => {
+    const label = i18n.getLocale(item).label;
+    return item === language
+      ? `<span class="language-current">${label}</span>`
+      : `<a href="${i18n.getReportFileName(dateStr, item, '.html')}" hreflang="${i18n.getLocale(item).htmlLang}">${label}</a>`;
+  });
+  return `<div class="language-switcher">${i18n.getStrings(language).page.languageLabel} ${links.join(' | ')}</div>`;
+}
+
+/**
+ * 生成完整的日报页面
+ * 将模板与数据结合；排行榜数据需要事先由 dataProcessor.generateRankingData 生成
+ * @param {string} htmlContent - 日报正文 HTML
+ * @param {string} dateStr - 日期 YYYY-MM-DD
+ * @param {string} language - 页面语言
+ * @param {Array} languages - 当天有页面的语言，用于生成语言切换链接
+ * @returns {string} 完整的 HTML 页面内容
+ */
+function renderDailyPage(htmlContent, dateStr, language = config.i18n.baseLanguage, languages = [language]) {
+  const baseTemplate = readTemplateFile('base.html');
+  const styles = readTemplateFile('style.css');
+  const scripts = readTemplateFile('script.js');
+
+  if (!baseTemplate) {
+    throw new Error('无法读取基础模板文件');
+  }
+
+  const strings = i18n.getStrings(language);
+  const dateText = reportDate.formatReportDate(dateStr, i18n.getLocale(language).htmlLang);
+
+  // 侧边栏只显示最近几天，下拉框使用完整的日期列表
+  const allAvailableDates = dataProcessor.getAllAvailableDates(language);
+  const recentDates = dataProcessor.getRecentDates(language);
+  const historyDatesHTML = dataProcessor.generateHistoryDatesHTML(recentDates, false, language);
+  const dateSelectorHTML = dataProcessor.generateDateSelectorHTML(allAvailableDates, language);
+
+  // 当天的热门开发者
+  const developers = dataProcessor.readDevelopersDay(dateStr);
+  const developersHTML = markdownParser.generateDeveloperSection(developers, strings.page.developersTitle, language);
+
+  // 前端脚本使用的界面文字，"</" 转义后才能安全地放进 <script>
+  const pageLocale = JSON.stringify(i18n.getClientLocale(language)).replace(/<\//g, '<\\/');
+
+  const replacements = {
+    HTML_LANG: i18n.getLocale(language).htmlLang,
+    TITLE: `${strings.page.titlePrefix} - ${dateText}`,
+    PAGE_HEADING: strings.page.heading,
+    PAGE_SUBTITLE: strings.page.subtitle,
+    DATE_CN: dateText,
+    LANGUAGE_SWITCHER: generateLanguageSwitcherHTML(dateStr, language, languages),
+    RANKING_DATA_PATH: `${config.frontend.rankingDataDir}/${dataProcessor.getRankingDataFileName(dateStr)}`,
+    PAGE_LOCALE: pageLocale,
+    STYLES: styles,
+    SCRIPTS: scripts,
+    SIDEBAR_HISTORY_TITLE: strings.sidebar.historyTitle,
+    SIDEBAR_RANKING_TITLE: strings.sidebar.rankingTitle,
+    TIME_RANGE_LABEL: strings.sidebar.timeRangeLabel,
+    TIME_RANGE_WEEK: strings.sidebar.timeRanges.week,
+    TIME_RANGE_MONTH: strings.sidebar.timeRanges.month,
+    TIME_RANGE_QUARTER: strings.sidebar.timeRanges.quarter,
+    RANKING_SECTION_TITLE: strings.sidebar.rankingTitle,
+    RANKING_MODE_LABEL: strings.sidebar.rankingModeLabel,
+    RANKING_STRATEGY_OPTIONS: dataProcessor.generateRankingStrategyOptionsHTML(language),
+    RANKING_CATEGORY_LABEL: strings.sidebar.rankingCategoryLabel,
+    RANKING_CATEGORY_OPTIONS: dataProcessor.generateRankingCategoryOptionsHTML(language),
+    REPO_PAGE_BASE: config.frontend.repoPageBase,
+    STATS_PAGE_URL: statsPage.getStatsPageFileName(language),
+    SIDEBAR_STATS_LINK_TITLE: strings.sidebar.statsLinkTitle,
+    SIDEBAR_DEVELOPER_RANKING_TITLE: strings.sidebar.developerRankingTitle,
+    LOADING_TEXT: strings.page.loading,
+    HISTORY_DATES_HTML: historyDatesHTML + '\n\n' + dateSelectorHTML,
+    SIDEBAR_DIGEST_TITLE: strings.sidebar.digestTitle,
+    DIGEST_ARCHIVE_HTML: digestReport.generateDigestArchiveHTML(language, config.digest.sidebarItems),
+    CONTENT: htmlContent,
+    DEVELOPERS_HTML: developersHTML
+  };
+
+  // 用函数替换，避免样式、脚本或正文中的 "$&" 等被当作替换模式；模板中同一占位符可能出现多次
+  return baseTemplate.replace(/\{\{([A-Z_]+)\}\}/g, (placeholder, name) =>
+    (Object.prototype.hasOwnProperty.call(replacements, name) ? replacements[name] : placeholder)
+  );
+}
+
+/**
+ * 生成某天所有语言的日报页面并写入 reports/
+ * 先加载截至当天的项目点评并生成排行榜数据，再逐个语言渲染页面
+ * @param {string} dateStr - 日期 YYYY-MM-DD
+ * @returns {Promise<Array>} 写入的 HTML 文件路径，基础语言排在第一位
+ */
+async function generateDailyPages(dateStr) {
+  const languages = getReportLanguages(dateStr);
+  if (languages.length === 0) {
+    throw new Error(`${dateStr} 没有任何语言的日报`);
+  }
+
+  // 加载截至当天所有日报中的项目点评（用于排行榜中文描述）
+  try {
+    const summaryCount = dataProcessor.loadProjectSummaries(summaryIndex.getSummariesAsOf(dateStr));
+    console.log(`已加载 ${summaryCount} 个项目的中文点评`);
+  } catch (error) {
+    console.warn('加载项目点评失败:', error.message);
+  }
+
+  // 生成截至当天的排行榜数据并保存到文件（等待描述翻译完成），各语言页面共用
+  await dataProcessor.generateRankingData(dateStr);
+
+  const outputPaths = [];
+  for (const language of languages) {
+    const htmlContent = renderReportContent(dateStr, language);
+    if (htmlContent === null) {
+      continue;
+    }
+
+    const outputPath = path.join(config.directories.reports, i18n.getReportFileName(dateStr, language, '.html'));
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, renderDailyPage(htmlContent, dateStr, language, languages), 'utf8');
+    outputPaths.push(outputPath);
+  }
+
+  return outputPaths;
+}
+
+module.exports = {
+  getReportLanguages,
+  renderReportContent,
+  renderDailyPage,
+  generateDailyPages
+};
@@ -0,0 +1,285 @@
+/**
+ * 结构化日报模块
+ * 功能：定义 AI 日报的 JSON 结构（标题、导语、每个项目的点评、结尾总结），校验大模型的输出，
+ * 并根据 JSON 确定性地渲染 Markdown；JSON 保存在 reports/daily_YYYY-MM-DD.json，与同名的 .md / .html 放在一起，
+ * 其他语言的日报在日期后带有语言后缀，例如 daily_YYYY-MM-DD.en.json
+ *
+ * JSON 中只保存 AI 撰写的内容，项目网址、Star、今日新增和 Fork 数量在渲染时从当天的 Trending 数据中读取
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const config = require('./config');
+const i18n = require('./i18n');
+const validator = require('./validator');
+
+// 日报 JSON 格式版本
+const REPORT_VERSION = 1;
+
+// 日报的 schema
+const REPORT_SCHEMA = {
+  title: { type: 'string', required: true },
+  intro: { type: 'string', required: true },
+  projects: { type: 'array', required: true },
+  closing: { type: 'string', required: true }
+};
+
+// 日报中单个项目的 schema
+const REPORT_PROJECT_SCHEMA = {
+  repo: { type: 'string', required: true, pattern: /^[\w.-]+\/[\w.-]+$/ },
+  summary: { type: 'string', required: true },
+  details: { type: 'string', required: true },
+  rating: { type: 'number', required: true },
+  ratingReason: { type: 'string' }
+};
+
+// 推荐指数范围
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+
+/**
+ * 获取日报 JSON 文件路径
+ * @param {string} date - 日期 YYYY-MM-DD
+ * @param {string} language - 日报语言，不传时为基础语言
+ * @returns {string} 文件路径
+ */
+function getReportPath(date, language = config.i18n.baseLanguage) {
+  return path.join(
+    config.directories.reports,
+    i18n.getReportFileName(date, language, config.filePatterns.reportDataExt)
+  );
+}
+
+/**
+ * 校验日报内容
+ * 传入当天的 Trending 数据时，还会检查每个项目都在榜单上、榜单上的每个项目都有点评
+ * @param {Object} report - 日报 JSON
+ * @param {Array} trendingData - 当天的 Trending 数据（可选）
+ * @returns {Array} 错误信息数组，为空表示校验通过
+ */
+function validateReport(report, trendingData = []) {
+  const errors = validator.validateRow(report, REPORT_SCHEMA);
+  if (!report || !Array.isArray(report.projects)) {
+    return errors;
+  }
+
+  if (report.projects.length === 0) {
+    errors.push('projects 不能为空');
+  }
+
+  const seen = new Set();
+  report.projects.forEach((project, index) => {
+    const label = `projects[${index}]`;
+    for (const message of validator.validateRow(project, REPORT_PROJECT_SCHEMA)) {
+      errors.push(`${label}: ${message}`);
+    }
+    if (!project || typeof project.repo !== 'string') {
+      return;
+    }
+
+    if (typeof project.rating === 'number' &&
+        (!Number.isInteger(project.rating) || project.rating < MIN_RATING || project.rating > MAX_RATING)) {
+      errors.push(`${label}: 字段 rating 应为 ${MIN_RATING}-${MAX_RATING} 的整数，实际为 ${project.rating}`);
+    }
+
+    const key = project.repo.toLowerCase();
+    if (seen.has(key)) {
+      errors.push(`${label}: 项目 ${project.repo} 重复出现`);
+    }
+    seen.add(key);
+  });
+
+  if (Array.isArray(trendingData) && trendingData.length > 0) {
+    const trendingNames = new Set(trendingData.filter(repo => repo && repo.name).map(repo => repo.name.toLowerCase()));
+    const unknown = report.projects
+      .filter(project => project && typeof project.repo === 'string' && !trendingNames.has(project.repo.toLowerCase()))
+      .map(project => project.repo);
+    const missing = trendingData
+      .filter(repo => repo && repo.name && !seen.has(repo.name.toLowerCase()))
+      .map(repo => repo.name);
+
+    if (unknown.length > 0) {
+      errors.push(`以下项目不在当天的 Trending 数据中: ${unknown.join(', ')}`);
+    }
+    if (missing.length > 0) {
+      errors.push(`缺少以下项目的点评: ${missing.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 从大模型返回的文本中解析日报 JSON
+ * 兼容包在 ```json 代码块中或前后带有说明文字的输出
+ * @param {string} content - 大模型返回的文本
+ * @returns {Object} 解析后的对象
+ */
+function parseReportContent(content) {
+  const text = String(content || '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('大模型返回的内容中没有 JSON 对象');
+  }
+  return JSON.parse(text.slice(start, end + 1));
+}
+
+/**
+ * 创建日报对象，只保留 schema 中的字段并附加元信息
+ * @param {Object} content - 校验通过的大模型输出
+ * @param {Object} meta - { date, model, profile, persona, promptVersion, promptHash, language }
+ * @returns {Object} 日报对象
+ */
+function createReport(content, meta = {}) {
+  return {
+    version: REPORT_VERSION,
+    date: meta.date || null,
+    model: meta.model || null,
+    // 生成日报所用的输出配置、写作风格和提示词版本
+    profile: meta.profile || null,
+    persona: meta.persona || null,
+    promptVersion: meta.promptVersion || null,
+    promptHash: meta.promptHash || null,
+    language: meta.language || null,
+    generatedAt: new Date().toISOString(),
+    title: content.title.trim(),
+    intro: content.intro.trim(),
+    projects: content.projects.map(project => ({
+      repo: project.repo.trim(),
+      summary: project.summary.trim(),
+      details: project.details.trim(),
+      rating: project.rating,
+      ratingReason: (project.ratingReason || '').trim()
+    })),
+    closing: content.closing.trim()
+  };
+}
+
+/**
+ * 读取某天的日报 JSON
+ * @param {string} date - 日期 YYYY-MM-DD
+ * @param {string} language - 日报语言，不传时为基础语言
+ * @returns {Object|null} 日报对象，文件不存在、版本不支持或内容不合法时返回 null
+ */
+function readReport(date, language = config.i18n.baseLanguage) {
+  const filePath = getReportPath(date, language);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    const report = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (report.version > REPORT_VERSION) {
+      throw new Error(`格式版本 ${report.version} 高于当前支持的版本 ${REPORT_VERSION}`);
+    }
+    const errors = validateReport(report);
+    if (errors.length > 0) {
+      throw new Error(errors.join('；'));
+    }
+    return report;
+  } catch (error) {
+    console.warn(`读取日报 ${path.basename(filePath)} 失败，改用 Markdown: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 保存日报 JSON
+ * @param {Object} report - 日报对象（需包含 date，language 为空时按基础语言保存）
+ * @returns {string} 文件路径
+ */
+function writeReport(report) {
+  const filePath = getReportPath(report.date, report.language || config.i18n.baseLanguage);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(report, null, 2), 'utf8');
+  return filePath;
+}
+
+/**
+ * 格式化数值字段
+ * @param {*} value - 数值
+ * @returns {string} 带千分位的数字，非数值时为空字符串
+ */
+function formatCount(value) {
+  return typeof value === 'number' ? value.toLocaleString('en-US') : '';
+}
+
+/**
+ * 将日报中的项目转换为卡片数据，字段与 markdownParser.extractProjects 的结果一致
+ * @param {Object} report - 日报对象
+ * @param {Array} trendingData - 当天的 Trending 数据
+ * @returns {Array} [{ name, summary, details, url, stars, starsToday, forks, rating }]
+ */
+function getReportProjects(report, trendingData = []) {
+  const repos = new Map();
+  for (const repo of Array.isArray(trendingData) ? trendingData : []) {
+    if (repo && repo.name) {
+      repos.set(repo.name.toLowerCase(), repo);
+    }
+  }
+
+  return report.projects.map(project => {
+    const repo = repos.get(project.repo.toLowerCase()) || {};
+    return {
+      name: repo.name || project.repo,
+      summary: project.summary,
+      details: project.details,
+      url: repo.url || `https://github.com/${project.repo}`,
+      stars: formatCount(repo.stars),
+      starsToday: formatCount(repo.starsToday),
+      forks: formatCount(repo.forks),
+      rating: '⭐'.repeat(project.rating) + (project.ratingReason ? `（${project.ratingReason}）` : '')
+    };
+  });
+}
+
+/**
+ * 根据日报 JSON 渲染 Markdown
+ * 基础语言的输出格式与早期由大模型直接撰写的 Markdown 日报相同，其他语言使用该语言的字段名称
+ * @param {Object} report - 日报对象
+ * @param {Array} trendingData - 当天的 Trending 数据
+ * @returns {string} Markdown 内容
+ */
+function renderMarkdown(report, trendingData = []) {
+  // 列表项中的换行会打断 Markdown 列表，合并为一行
+  const inline = text => String(text || '').replace(/\s+/g, ' ').trim();
+  const labels = i18n.getStrings(report.language || config.i18n.baseLanguage).markdown;
+
+  const sections = getReportProjects(report, trendingData).map(project => {
+    const lines = [
+      `### ${project.name}`,
+      `*   **${labels.summary}**${labels.separator}${inline(project.summary)}`,
+      `*   **${labels.details}**${labels.separator}${inline(project.details)}`,
+      `*   **${labels.link}**${labels.separator}${project.url}`
+    ];
+    if (project.stars) lines.push(`*   **${labels.stars}**${labels.separator}${project.stars}`);
+    if (project.starsToday) lines.push(`*   **${labels.starsToday}**${labels.separator}${project.starsToday}`);
+    if (project.forks) lines.push(`*   **${labels.forks}**${labels.separator}${project.forks}`);
+    lines.push(`*   **${labels.rating}**${labels.separator}${inline(project.rating)}`);
+    return lines.join('\n');
+  });
+
+  return [
+    `# ${inline(report.title)}`,
+    report.intro,
+    ...sections,
+    '---',
+    report.closing
+  ].join('\n\n') + '\n';
+}
+
+module.exports = {
+  REPORT_VERSION,
+  REPORT_SCHEMA,
+  REPORT_PROJECT_SCHEMA,
+  getReportPath,
+  validateReport,
+  parseReportContent,
+  createReport,
+  readReport,
+  writeReport,
+  getReportProjects,
+  renderMarkdown
+};
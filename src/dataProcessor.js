@@ -6,89 +6,351 @@
 const fs = require('fs');
 const path = require('path');
 const config = require('./config');
-
-// 项目摘要缓存（用于存储 Markdown 中的中文描述）
+const schema = require('./schema');
+const reportDate = require('./reportDate');
+const historyIndex = require('./historyIndex');
+const classifier = require('./classifier');
+const i18n = require('./i18n');
+const translator = require('./translator');
+const translationCache = require('./translationCache');
+
+// 项目点评缓存（小写仓库名 -> 各期日报中的点评，按日期降序）
 let projectSummariesCache = {};
 
-// 翻译缓存
-let translationCache = {};
-const TRANSLATION_CACHE_FILE = 'translation_cache.json';
+// Trending 支持的时间窗口
+const SINCE_WINDOWS = ['daily', 'weekly', 'monthly'];
+
+// trending 文件名格式：trending_YYYY-MM-DD.json 或 trending_<lang>_<since>_YYYY-MM-DD.json
+const TRENDING_FILE_REGEX = /^trending_(?:([a-z0-9-]+)_(daily|weekly|monthly)_)?(\d{4}-\d{2}-\d{2})\.json$/;
+
+/**
+ * 将语言 slug 转换为可用于文件名的形式
+ * @param {string} language - 语言 slug，例如 rust、c++、c#
+ * @returns {string} 仅包含小写字母、数字和连字符的 slug，全部语言返回空字符串
+ */
+function toFileLanguageSlug(language) {
+  if (!language || language === 'all') return '';
+  return String(language).trim().toLowerCase()
+    .replace(/\+/g, 'plus')
+    .replace(/#/g, 'sharp')
+    .replace(/[^a-z0-9-]+/g, '-');
+}
+
+/**
+ * 获取 Trending 变体的键名
+ * 默认变体（全部语言 + daily）返回空字符串，以保持历史文件名不变
+ * @param {Object} variant - 变体描述 { language, since }
+ * @returns {string} 变体键名，例如 rust_weekly、all_monthly
+ */
+function getVariantKey(variant = {}) {
+  const language = toFileLanguageSlug(variant.language);
+  const since = variant.since || 'daily';
+  if (!language && since === 'daily') {
+    return '';
+  }
+  return `${language || 'all'}_${since}`;
+}
+
+/**
+ * 生成 Trending 数据文件名
+ * @param {string} dateStr - 日期字符串 YYYY-MM-DD
+ * @param {Object} variant - 变体描述 { language, since }
+ * @returns {string} 文件名
+ */
+function getTrendingFileName(dateStr, variant = {}) {
+  const key = getVariantKey(variant);
+  const { trendingPrefix, trendingExt } = config.filePatterns;
+  return key
+    ? `${trendingPrefix}${key}_${dateStr}${trendingExt}`
+    : `${trendingPrefix}${dateStr}${trendingExt}`;
+}
+
+/**
+ * 解析 Trending 数据文件名
+ * @param {string} fileName - 文件名
+ * @returns {Object|null} { date, language, since, key }，无法识别时返回 null
+ */
+function parseTrendingFileName(fileName) {
+  const match = fileName.match(TRENDING_FILE_REGEX);
+  if (!match) return null;
+
+  const language = match[1] && match[1] !== 'all' ? match[1] : '';
+  const since = match[2] || 'daily';
+  return {
+    date: match[3],
+    language,
+    since,
+    key: getVariantKey({ language, since })
+  };
+}
+
+/**
+ * 旧版（schema v1）数据文件没有抓取时间，以文件名中的日期代替
+ * @param {string} fileName - trending 数据文件名
+ * @returns {string|undefined} ISO 时间字符串，无法识别文件名时返回 undefined
+ */
+function getLegacyCapturedAt(fileName) {
+  const parsed = parseTrendingFileName(fileName);
+  return parsed ? `${parsed.date}T00:00:00.000Z` : undefined;
+}
+
+/**
+ * 生成热门开发者数据文件名
+ * @param {string} dateStr - 日期字符串 YYYY-MM-DD
+ * @returns {string} 文件名
+ */
+function getDevelopersFileName(dateStr) {
+  return `${config.filePatterns.developersPrefix}${dateStr}${config.filePatterns.trendingExt}`;
+}
+
+/**
+ * 根据数据文件名生成对应的原始页面归档文件名
+ * @param {string} dataFileName - 数据文件名，例如 trending_2026-02-28.json
+ * @returns {string} 归档文件名，例如 trending_2026-02-28.html.gz
+ */
+function getRawSnapshotFileName(dataFileName) {
+  return dataFileName.replace(/\.json$/, '') + config.filePatterns.rawSnapshotExt;
+}
+
+/**
+ * 根据原始页面归档文件名还原对应的数据文件名
+ * @param {string} rawFileName - 归档文件名
+ * @returns {string|null} 数据文件名，无法识别时返回 null
+ */
+function getDataFileNameFromRaw(rawFileName) {
+  const ext = config.filePatterns.rawSnapshotExt;
+  if (!rawFileName.endsWith(ext)) return null;
+  return rawFileName.slice(0, -ext.length) + config.filePatterns.trendingExt;
+}
 
 /**
  * 读取指定天数范围内的历史 Trending 数据
  * @param {number} days - 向前追溯的天数
+ * @param {Object} variant - 变体描述 { language, since }，默认全部语言 + daily
+ * @param {string} asOfDate - 时间范围的截止日期（YYYY-MM-DD），默认为当前报告日期
  * @returns {Array} 历史数据数组，每项包含 date 和 data
  */
-function readHistoryData(days) {
-  const dataDir = config.directories.data;
+function readHistoryData(days, variant = {}, asOfDate) {
+  // 只读取属于该变体的 trending_*.json 文件（索引中已统一为仓库数组）
+  const variantKey = getVariantKey(variant);
+  return readDatedDataFiles(days, file => {
+    const parsed = parseTrendingFileName(file);
+    return parsed !== null && parsed.key === variantKey ? parsed.date : null;
+  }, 'trending', asOfDate);
+}
 
-  // 如果数据目录不存在，返回空数组
-  if (!fs.existsSync(dataDir)) {
-    console.warn('数据目录不存在:', dataDir);
-    return [];
-  }
+/**
+ * 读取某一天的 Trending 数据（从历史数据索引中查询）
+ * @param {string} dateStr - 日期字符串 YYYY-MM-DD
+ * @param {Object} variant - 变体描述 { language, since }，默认全部语言 + daily
+ * @returns {Array} 仓库数组，没有数据时返回空数组
+ */
+function readTrendingDay(dateStr, variant = {}) {
+  return historyIndex.getIndexedData(getTrendingFileName(dateStr, variant)) || [];
+}
+
+/**
+ * 读取某一天的热门开发者数据（从历史数据索引中查询）
+ * @param {string} dateStr - 日期字符串 YYYY-MM-DD
+ * @returns {Array} 开发者数组，没有数据时返回空数组
+ */
+function readDevelopersDay(dateStr) {
+  return historyIndex.getIndexedData(getDevelopersFileName(dateStr)) || [];
+}
 
+/**
+ * 读取指定天数范围内的历史热门开发者数据
+ * @param {number} days - 向前追溯的天数
+ * @param {string} asOfDate - 时间范围的截止日期（YYYY-MM-DD），默认为当前报告日期
+ * @returns {Array} 历史数据数组，每项包含 date 和 data
+ */
+function readDeveloperHistoryData(days, asOfDate) {
+  const prefix = config.filePatterns.developersPrefix;
+  const ext = config.filePatterns.trendingExt;
+  return readDatedDataFiles(days, file => {
+    if (!file.startsWith(prefix) || !file.endsWith(ext)) return null;
+    const date = file.slice(prefix.length, -ext.length);
+    return /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : null;
+  }, 'developers', asOfDate);
+}
+
+/**
+ * 从历史数据索引中查询按日期命名的数据文件
+ * @param {number} days - 向前追溯的天数
+ * @param {Function} getFileDate - 从文件名中提取日期的函数，不匹配时返回 null
+ * @param {string} label - 数据类型名称，用于日志
+ * @param {string} asOfDate - 时间范围的截止日期（YYYY-MM-DD），默认为当前报告日期
+ * @returns {Array} 按日期降序排列的数组，每项包含 date 和 data
+ */
+function readDatedDataFiles(days, getFileDate, label, asOfDate) {
   try {
-    // 读取目录下所有 trending_*.json 文件
-    const files = fs.readdirSync(dataDir).filter(file =>
-      file.startsWith(config.filePatterns.trendingPrefix) &&
-      file.endsWith(config.filePatterns.trendingExt)
-    );
+    const entries = historyIndex.getIndexedEntries();
+    const files = Array.from(entries.keys())
+      .map(file => ({ file, date: getFileDate(file) }))
+      .filter(item => item.date !== null);
 
     if (files.length === 0) {
-      console.warn('未找到任何 trending 数据文件');
+      console.warn(`未找到任何 ${label} 数据文件`);
       return [];
     }
 
-    const now = new Date();
-    const cutoffDate = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    // 时间范围为截止日期及之前的 days 天（含截止日期当天），不包含截止日期之后的数据
+    // days 为 Infinity 时读取截止日期及之前的全部数据
+    const endDate = asOfDate || reportDate.getReportDate();
+    const startDate = Number.isFinite(days) ? reportDate.addDays(endDate, -(days - 1)) : '';
 
     // 筛选出在指定时间范围内的文件
-    const recentFiles = files.filter(file => {
-      const match = file.match(/trending_(\d{4}-\d{2}-\d{2})\.json/);
-      if (!match) return false;
-      const fileDate = new Date(match[1]);
-      return fileDate >= cutoffDate && fileDate <= now;
-    }).sort().reverse();
-
-    // 读取并解析每个文件
-    const historyData = [];
-    for (const file of recentFiles) {
-      try {
-        const content = fs.readFileSync(path.join(dataDir, file), 'utf8');
-        const data = JSON.parse(content);
-        const dateMatch = file.match(/trending_(\d{4}-\d{2}-\d{2})\.json/);
-        const date = dateMatch ? dateMatch[1] : '';
-        historyData.push({ date, data });
-      } catch (e) {
-        console.error('读取历史数据文件失败:', file, e.message);
-      }
-    }
+    const recentFiles = files
+      .filter(item => item.date >= startDate && item.date <= endDate)
+      .sort((a, b) => b.date.localeCompare(a.date));
 
-    return historyData;
+    return recentFiles.map(({ file, date }) => ({ date, data: entries.get(file).data }));
   } catch (error) {
     console.error('读取历史数据时发生错误:', error.message);
     return [];
   }
 }
 
+/**
+ * 计算两个 YYYY-MM-DD 日期之间相差的天数
+ * @param {string} from - 较早的日期
+ * @param {string} to - 较晚的日期
+ * @returns {number} 天数
+ */
+function daysBetween(from, to) {
+  return Math.round((new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000));
+}
+
+// 排行榜时间范围，天数见 config.ranking
+const RANKING_RANGES = ['week', 'month', 'quarter'];
+
+/**
+ * 排行榜排序策略注册表
+ * 每个策略根据项目的统计信息（见 calculateRanking）给出分数，分数越高排名越靠前；
+ * 显示名称见 src/locales/ 中的 strategies（getStrategyLabel）
+ */
+const RANKING_STRATEGIES = {
+  // 综合评分：每次上榜的名次权重 × 时间衰减权重之和
+  combined: { score: stats => stats.combinedScore },
+  // 按上榜次数
+  appearances: { score: stats => stats.count },
+  // 名次加权：排名越靠前的上榜记录权重越高
+  position: { score: stats => stats.positionScore },
+  // 时间衰减：越近的上榜记录权重越高
+  recency: { score: stats => stats.recencyScore },
+  // 增长最快：时间范围内每天平均新增的 star 数
+  velocity: { score: stats => getVelocity(stats) }
+};
+
+/**
+ * 注册排行榜排序策略
+ * @param {string} name - 策略名称
+ * @param {Object} strategy - { label, score(stats) }，界面文字中没有该策略时显示 label
+ */
+function registerRankingStrategy(name, strategy) {
+  if (!strategy || typeof strategy.score !== 'function') {
+    throw new Error(`排行榜策略 ${name} 缺少 score 函数`);
+  }
+  RANKING_STRATEGIES[name] = { label: strategy.label || name, score: strategy.score };
+}
+
+/**
+ * 获取排行榜策略
+ * @param {string} name - 策略名称
+ * @returns {Object} 策略对象
+ */
+function getRankingStrategy(name) {
+  const strategy = RANKING_STRATEGIES[name];
+  if (!strategy) {
+    throw new Error(`不支持的排行榜策略: ${name}（可选 ${Object.keys(RANKING_STRATEGIES).join('/')}）`);
+  }
+  return strategy;
+}
+
+/**
+ * 获取排行榜策略的显示名称
+ * @param {string} name - 策略名称
+ * @param {string} language - 语言，不传时为基础语言
+ * @returns {string} 界面文字中的名称，没有时使用注册策略时的 label
+ */
+function getStrategyLabel(name, language = config.i18n.baseLanguage) {
+  return i18n.getStrings(language).strategies[name] || getRankingStrategy(name).label || name;
+}
+
+/**
+ * 获取项目用于增长排序的每日新增 star 数
+ * 只上榜一次的项目无法根据快照计算差值，回退为当天的新增 star 数
+ * @param {Object} repoInfo - 排行榜项目
+ * @returns {number} 每日新增 star 数
+ */
+function getVelocity(repoInfo) {
+  if (typeof repoInfo.starsPerDay === 'number') {
+    return repoInfo.starsPerDay;
+  }
+  return typeof repoInfo.starsToday === 'number' ? repoInfo.starsToday : 0;
+}
+
+/**
+ * 计算一次上榜记录的名次权重
+ * 第 1 名为 1，之后每名递减 1/positionDepth，最低为 1/positionDepth
+ * @param {number} rank - 当天的名次
+ * @returns {number} 名次权重
+ */
+function getPositionWeight(rank) {
+  const depth = config.ranking.positionDepth;
+  if (!rank || rank < 1) {
+    return 1 / depth;
+  }
+  return Math.max(depth + 1 - rank, 1) / depth;
+}
+
+/**
+ * 计算一次上榜记录的时间衰减权重
+ * 距时间范围内最近一天每过 halfLifeDays 天，权重减半
+ * @param {number} ageDays - 距最近一天的天数
+ * @returns {number} 时间衰减权重
+ */
+function getRecencyWeight(ageDays) {
+  return Math.pow(0.5, ageDays / config.ranking.halfLifeDays);
+}
+
+/**
+ * 保留两位小数
+ * @param {number} value - 数值
+ * @returns {number} 四舍五入后的数值
+ */
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
 /**
  * 计算排行榜数据
- * 根据历史数据统计项目的出现次数和获得的 star 数量
- * @param {Array} historyData - 历史数据数组
- * @returns {Array} 排行榜数组，按出现次数和 star 数量排序
+ * 根据历史数据统计项目的出现次数、名次加权分、时间衰减分和综合分，
+ * 并根据最早和最近一次快照的 star 数计算时间范围内的增长，最后按所选策略的分数排序
+ * @param {Array} historyData - 历史数据数组（按日期降序）
+ * @param {string} strategyName - 排序策略，见 RANKING_STRATEGIES，默认取 config.ranking.strategy
+ * @returns {Array} 排行榜数组，每项包含 score 和各策略分数 scoreBreakdown；
+ *   firstSeenInRange / lastSeenInRange 为时间范围内最早和最近一次快照的日期，
+ *   项目全部历史中的首次 / 最近上榜日期见 calculateRepoHistoryStats
  */
-function calculateRanking(historyData) {
+function calculateRanking(historyData, strategyName = config.ranking.strategy) {
+  const strategy = getRankingStrategy(strategyName);
+
   // 使用 Map 存储项目信息，便于快速查找和去重
   const repoMap = new Map();
 
-  // 遍历所有历史数据
+  // 时间衰减以时间范围内最近的一天为基准
+  const latestDate = historyData.reduce((latest, item) => (item.date > latest ? item.date : latest), '');
+
+  // 遍历所有历史数据，第一次遇到项目时即为最近一天的快照
   for (const { date, data } of historyData) {
     // 安全处理：确保 data 是数组
     if (!Array.isArray(data)) {
       continue;
     }
 
+    const recencyWeight = getRecencyWeight(daysBetween(date, latestDate));
+
     for (const repo of data) {
       // 跳过无效的项目数据
       if (!repo || !repo.name) {
@@ -96,6 +358,7 @@ function calculateRanking(historyData) {
       }
 
       const name = repo.name;
+      const stars = schema.toStarCount(repo.stars);
 
       // 如果是第一次遇到该项目，初始化其信息
       if (!repoMap.has(name)) {
@@ -103,9 +366,22 @@ function calculateRanking(historyData) {
           name: name,
           url: repo.url || '',
           description: repo.description || '',
-          stars: repo.stars || '0',
+          stars: stars,
+          starsToday: null,
+          forks: null,
+          topics: [],
+          license: null,
+          categories: classifier.getRepoCategories(repo),
           count: 0,
-          dates: []
+          dates: [],
+          firstSeenInRange: date,
+          lastSeenInRange: date,
+          firstStars: stars,
+          starsGained: null,
+          starsPerDay: null,
+          positionScore: 0,
+          recencyScore: 0,
+          combinedScore: 0
         });
       }
 
@@ -114,28 +390,81 @@ function calculateRanking(historyData) {
       // 更新出现次数
       repoInfo.count++;
 
+      // 累加各项加权分
+      const positionWeight = getPositionWeight(repo.rank);
+      repoInfo.positionScore += positionWeight;
+      repoInfo.recencyScore += recencyWeight;
+      repoInfo.combinedScore += positionWeight * recencyWeight;
+
       // 记录出现的日期（去重）
       if (!repoInfo.dates.includes(date)) {
         repoInfo.dates.push(date);
       }
 
-      // 更新为最新的 star 数量
-      if (repo.stars) {
-        repoInfo.stars = repo.stars;
+      // 越往后遍历日期越早，持续更新最早一次的快照
+      if (stars > 0) {
+        repoInfo.firstSeenInRange = date;
+        repoInfo.firstStars = stars;
+        if (!repoInfo.stars) {
+          repoInfo.stars = stars;
+        }
+      }
+
+      // 记录最近一次上榜时的新增 star 和 fork 数量（旧数据没有这两个字段）
+      if (repoInfo.starsToday === null && typeof repo.starsToday === 'number') {
+        repoInfo.starsToday = repo.starsToday;
+      }
+      if (repoInfo.forks === null && typeof repo.forks === 'number') {
+        repoInfo.forks = repo.forks;
+      }
+
+      // 元数据只存在于补充过的数据中，取最近一次的
+      if (repo.metadata && repoInfo.topics.length === 0 && repoInfo.license === null) {
+        repoInfo.topics = repo.metadata.topics || [];
+        repoInfo.license = repo.metadata.license || null;
       }
     }
   }
 
-  // 将 Map 转换为数组并排序
-  const sorted = Array.from(repoMap.values()).sort((a, b) => {
-    // 首先按出现次数降序排序
+  const repos = Array.from(repoMap.values()).map(stats => {
+    // 根据最早和最近一次快照计算增长
+    const span = daysBetween(stats.firstSeenInRange, stats.lastSeenInRange);
+    if (span > 0) {
+      stats.starsGained = stats.stars - stats.firstStars;
+      stats.starsPerDay = Math.round(stats.starsGained / span);
+    }
+
+    const { positionScore, recencyScore, combinedScore, ...repoInfo } = stats;
+    const rounded = {
+      ...stats,
+      positionScore: roundScore(positionScore),
+      recencyScore: roundScore(recencyScore),
+      combinedScore: roundScore(combinedScore)
+    };
+
+    // 记录每个策略的分数，便于解释排名
+    const scoreBreakdown = {};
+    for (const [name, item] of Object.entries(RANKING_STRATEGIES)) {
+      scoreBreakdown[name] = roundScore(item.score(rounded));
+    }
+
+    return {
+      ...repoInfo,
+      strategy: strategyName,
+      score: scoreBreakdown[strategyName],
+      scoreBreakdown
+    };
+  });
+
+  // 按分数降序排序，分数相同时依次按上榜次数、star 数量排序
+  const sorted = repos.sort((a, b) => {
+    if (a.score !== b.score) {
+      return b.score - a.score;
+    }
     if (a.count !== b.count) {
       return b.count - a.count;
     }
-    // 如果出现次数相同，按 star 数量降序排序
-    const aStars = parseInt(a.stars.replace(/,/g, '')) || 0;
-    const bStars = parseInt(b.stars.replace(/,/g, '')) || 0;
-    return bStars - aStars;
+    return b.stars - a.stars;
   });
 
   // 返回前 N 个项目
@@ -143,64 +472,205 @@ function calculateRanking(historyData) {
 }
 
 /**
- * 加载项目摘要
- * 从 Markdown 内容中提取项目的中文描述（一句话概括）
- * @param {string} markdownContent - Markdown 文件内容
- * @returns {Object} 项目名称到中文描述的映射对象
+ * 计算每个项目截至某天的上榜历史统计
+ * @param {Array} historyData - 历史数据数组（截至 asOfDate 的全部数据）
+ * @param {string} asOfDate - 统计的截止日期 YYYY-MM-DD
+ * @returns {Object} 项目名称到统计信息的映射：
+ *   { firstSeen, lastSeen, totalDays, currentStreak, longestStreak, bestRank, daysAway, badges }
+ *   currentStreak 为截至 asOfDate 的连续上榜天数（当天未上榜时为 0），
+ *   daysAway 为当前这轮连续上榜之前离开榜单的天数（此前从未上榜时为 null）
  */
-function loadProjectSummaries(markdownContent) {
-  projectSummariesCache = {};
+function calculateRepoHistoryStats(historyData, asOfDate) {
+  const repoDates = new Map();
 
-  // 正则表达式匹配 ### 项目名 后面的 一句话概括
-  const projectRegex = /###\s+([^\n]+)\n[\s\S]*?\*\s+\*\*一句话概括\*\*[：:]\s*([^\n]+)/g;
-  let match;
+  for (const { date, data } of historyData) {
+    if (!Array.isArray(data)) {
+      continue;
+    }
 
-  while ((match = projectRegex.exec(markdownContent)) !== null) {
-    const name = match[1].trim();
-    const summary = match[2].trim();
+    for (const repo of data) {
+      if (!repo || !repo.name) {
+        continue;
+      }
 
-    // 存储完整项目名（包含 owner）
-    projectSummariesCache[name.toLowerCase()] = summary;
+      if (!repoDates.has(repo.name)) {
+        repoDates.set(repo.name, { dates: new Set(), bestRank: null });
+      }
 
-    // 同时存储简略项目名（仅仓库名部分）
-    const nameParts = name.split('/');
-    if (nameParts.length > 1) {
-      projectSummariesCache[nameParts[nameParts.length - 1].toLowerCase()] = summary;
+      const entry = repoDates.get(repo.name);
+      entry.dates.add(date);
+      if (repo.rank && (entry.bestRank === null || repo.rank < entry.bestRank)) {
+        entry.bestRank = repo.rank;
+      }
     }
   }
 
-  return projectSummariesCache;
+  const stats = {};
+  for (const [name, { dates, bestRank }] of repoDates) {
+    const sorted = Array.from(dates).sort();
+
+    // 按日期升序切分为连续上榜的区间
+    const runs = [];
+    for (const date of sorted) {
+      const lastRun = runs[runs.length - 1];
+      if (lastRun && reportDate.addDays(lastRun.end, 1) === date) {
+        lastRun.end = date;
+        lastRun.length++;
+      } else {
+        runs.push({ start: date, end: date, length: 1 });
+      }
+    }
+
+    const currentRun = runs[runs.length - 1];
+    const previousRun = runs.length > 1 ? runs[runs.length - 2] : null;
+
+    const repoStats = {
+      firstSeen: sorted[0],
+      lastSeen: currentRun.end,
+      totalDays: sorted.length,
+      currentStreak: currentRun.end === asOfDate ? currentRun.length : 0,
+      longestStreak: Math.max(...runs.map(run => run.length)),
+      bestRank: bestRank,
+      daysAway: previousRun ? daysBetween(previousRun.end, currentRun.start) - 1 : null
+    };
+    repoStats.badges = getRepoBadges(repoStats, asOfDate);
+    stats[name] = repoStats;
+  }
+
+  return stats;
+}
+
+/**
+ * 根据上榜历史统计生成项目徽章
+ * 徽章只取决于项目全部历史中的上榜记录（calculateRepoHistoryStats），与排行榜所选的时间范围无关
+ * NEW：当天第一次上榜；连续上榜：连续上榜天数达到 badges.streakMinDays；
+ * 重新上榜：离开榜单至少 badges.returningAfterDays 天后，当天重新上榜
+ * @param {Object} stats - 项目截至 asOfDate 全部历史的上榜统计
+ * @param {string} asOfDate - 统计的截止日期 YYYY-MM-DD
+ * @returns {Array} 徽章数组，每项包含 type、label 和连续 / 离开的天数 days
+ */
+function getRepoBadges(stats, asOfDate) {
+  const badges = [];
+
+  if (stats.firstSeen === asOfDate) {
+    badges.push({ type: 'new' });
+  }
+  if (stats.currentStreak >= config.badges.streakMinDays) {
+    badges.push({ type: 'streak', days: stats.currentStreak });
+  }
+  if (stats.currentStreak === 1 && stats.daysAway !== null && stats.daysAway >= config.badges.returningAfterDays) {
+    badges.push({ type: 'returning', days: stats.daysAway });
+  }
+
+  // label 为基础语言的文字，各语言页面再用 i18n.getBadgeLabel 按 type 和 days 生成自己的文字
+  return badges.map(badge => ({ ...badge, label: i18n.getBadgeLabel(badge, config.i18n.baseLanguage) }));
+}
+
+/**
+ * 读取截至某天的全部历史数据并计算每个项目的上榜历史统计
+ * @param {string} asOfDate - 统计的截止日期，默认为当前报告日期
+ * @returns {Object} 项目名称到统计信息的映射，见 calculateRepoHistoryStats
+ */
+function readRepoHistoryStats(asOfDate = reportDate.getReportDate()) {
+  return calculateRepoHistoryStats(readHistoryData(Infinity, {}, asOfDate), asOfDate);
+}
+
+/**
+ * 计算热门开发者排行榜
+ * 与 calculateRanking 相同：按上榜次数排序，次数相同时按最好名次排序
+ * @param {Array} historyData - 历史热门开发者数据数组
+ * @returns {Array} 排行榜数组
+ */
+function calculateDeveloperRanking(historyData) {
+  const developerMap = new Map();
+
+  for (const { date, data } of historyData) {
+    if (!Array.isArray(data)) {
+      continue;
+    }
+
+    for (const developer of data) {
+      if (!developer || !developer.login) {
+        continue;
+      }
+
+      const login = developer.login;
+
+      // 第一次遇到时记录的是最新一天的信息（历史数据按日期降序排列）
+      if (!developerMap.has(login)) {
+        developerMap.set(login, {
+          login: login,
+          name: developer.name || login,
+          url: developer.url || `https://github.com/${login}`,
+          avatar: developer.avatar || '',
+          popularRepo: developer.popularRepo || null,
+          bestRank: developer.rank || null,
+          count: 0,
+          dates: []
+        });
+      }
+
+      const info = developerMap.get(login);
+      info.count++;
+
+      if (!info.dates.includes(date)) {
+        info.dates.push(date);
+      }
+
+      if (developer.rank && (info.bestRank === null || developer.rank < info.bestRank)) {
+        info.bestRank = developer.rank;
+      }
+    }
+  }
+
+  const sorted = Array.from(developerMap.values()).sort((a, b) => {
+    if (a.count !== b.count) {
+      return b.count - a.count;
+    }
+    return (a.bestRank || Number.MAX_SAFE_INTEGER) - (b.bestRank || Number.MAX_SAFE_INTEGER);
+  });
+
+  return sorted.slice(0, config.ranking.maxItems);
+}
+
+/**
+ * 加载项目点评
+ * 点评来自所有日报汇总的点评索引（summaryIndex.getSummariesAsOf），而不只是最新一份日报
+ * @param {Object} summaries - 小写仓库名 -> 点评数组（按日期降序，第一条为最新点评）
+ * @returns {number} 有点评的仓库数量
+ */
+function loadProjectSummaries(summaries) {
+  projectSummariesCache = summaries || {};
+  return Object.keys(projectSummariesCache).length;
+}
+
+/**
+ * 获取项目最新一次的点评
+ * @param {string} projectName - 仓库全名
+ * @returns {Object|null} { date, summary, details, rating }，没有点评时返回 null
+ */
+function getLatestProjectSummary(projectName) {
+  const entries = projectSummariesCache[projectName.toLowerCase()];
+  return entries && entries.length > 0 ? entries[0] : null;
 }
 
 /**
  * 获取项目的中文摘要
- * 优先从缓存中查找，其次返回原始描述
+ * 优先使用日报中最新一次的一句话概括，其次使用翻译缓存，最后返回原始描述
  * @param {string} projectName - 项目名称
  * @param {string} originalDesc - 原始英文描述
  * @returns {string} 中文摘要或原始描述
  */
 function getChineseSummary(projectName, originalDesc) {
-  // 优先查找完整项目名
-  const nameKey = projectName.toLowerCase();
-  if (projectSummariesCache[nameKey]) {
-    return projectSummariesCache[nameKey];
-  }
-
-  // 其次查找简略项目名
-  const nameParts = projectName.split('/');
-  if (nameParts.length > 1) {
-    const shortName = nameParts[nameParts.length - 1].toLowerCase();
-    if (projectSummariesCache[shortName]) {
-      return projectSummariesCache[shortName];
-    }
+  const latest = getLatestProjectSummary(projectName);
+  if (latest) {
+    return latest.summary;
   }
 
-  // 如果都找不到，使用简单的翻译回退机制
-  if (originalDesc) {
-    const translated = simpleTranslate(originalDesc);
-    if (translated !== originalDesc) {
-      return translated;
-    }
+  // 其次使用已翻译的描述（描述修改过或只有 fallback 的缓存不使用）
+  const translated = originalDesc ? translationCache.getCachedTranslation(projectName, originalDesc) : null;
+  if (translated) {
+    return translated;
   }
 
   // 如果都找不到，返回原始描述或默认文本
@@ -208,185 +678,211 @@ function getChineseSummary(projectName, originalDesc) {
 }
 
 /**
- * 简单的英文到中文翻译回退
- * 当没有匹配到 Markdown 中的中文摘要时使用
- * @param {string} text - 英文文本
- * @returns {string} 翻译后的中文文本（如果识别到关键词）
- */
-function simpleTranslate(text) {
-  if (!text) return text;
-
-  // 常见技术关键词翻译映射
-  const keywordMap = {
-    // AI/机器学习
-    'ai': '人工智能',
-    'artificial intelligence': '人工智能',
-    'machine learning': '机器学习',
-    'deep learning': '深度学习',
-    'neural': '神经网络',
-    'llm': '大语言模型',
-    'language model': '语言模型',
-    'gpt': 'GPT',
-    'chatbot': '聊天机器人',
-
-    // 开发工具
-    'framework': '框架',
-    'library': '库',
-    'tool': '工具',
-    'developer': '开发者',
-    'development': '开发',
-    'cli': '命令行工具',
-    'sdk': '开发工具包',
-    'api': '接口',
-
-    // Web相关
-    'web': 'Web',
-    'frontend': '前端',
-    'backend': '后端',
-    'fullstack': '全栈',
-    'react': 'React',
-    'vue': 'Vue',
-    'angular': 'Angular',
-    'node': 'Node.js',
-    'javascript': 'JavaScript',
-    'typescript': 'TypeScript',
-
-    // 数据相关
-    'database': '数据库',
-    'data': '数据',
-    'cache': '缓存',
-    'server': '服务器',
-    'cloud': '云',
-    'docker': 'Docker',
-    'kubernetes': 'Kubernetes',
-
-    // 开源相关
-    'open source': '开源',
-    'opensource': '开源',
-    'github': 'GitHub',
-    'repository': '仓库',
-
-    // 功能描述
-    'build': '构建',
-    'create': '创建',
-    'manage': '管理',
-    'deploy': '部署',
-    'test': '测试',
-    'monitor': '监控',
-    'optimize': '优化',
-    'automate': '自动化',
-    'generate': '生成',
-    'parse': '解析',
-    'convert': '转换',
-
-    // 常用形容词
-    'fast': '快速',
-    'simple': '简单',
-    'easy': '易于',
-    'powerful': '强大',
-    'modern': '现代',
-    'lightweight': '轻量级',
-    'high-performance': '高性能',
-    'real-time': '实时',
-    'distributed': '分布式',
-
-    // 应用领域
-    'crypto': '加密货币',
-    'blockchain': '区块链',
-    'video': '视频',
-    'audio': '音频',
-    'image': '图像',
-    'game': '游戏',
-    'mobile': '移动',
-    'desktop': '桌面',
-
-    // 常用动词短语
-    'self-hosted': '自托管',
-    'open-source': '开源',
-    'cross-platform': '跨平台',
-    'real-time': '实时',
-    'file': '文件',
-    'system': '系统',
-    'plugin': '插件',
-    'extension': '扩展'
-  };
+ * 只保留历史数据中属于某个分类的仓库
+ * @param {Array} historyData - 历史数据数组
+ * @param {string} category - 分类 id
+ * @returns {Array} 结构相同的历史数据数组
+ */
+function filterHistoryByCategory(historyData, category) {
+  return historyData.map(({ date, data }) => ({
+    date,
+    data: Array.isArray(data)
+      ? data.filter(repo => repo && classifier.getRepoCategories(repo).includes(category))
+      : data
+  }));
+}
 
-  let result = text;
+/**
+ * 生成排行榜分类下拉框的选项 HTML，第一项为不筛选
+ * @param {string} language - 页面语言，不传时为基础语言
+ * @returns {string} option 标签 HTML
+ */
+function generateRankingCategoryOptionsHTML(language = config.i18n.baseLanguage) {
+  const options = [`<option value="">${i18n.getStrings(language).sidebar.allCategoriesLabel}</option>`];
+  for (const category of config.classifier.categories) {
+    options.push(`<option value="${category.id}">${classifier.getCategoryLabel(category.id, language)}</option>`);
+  }
+  return options.join('\n            ');
+}
 
-  // 如果文本很短，直接尝试匹配关键词
-  if (text.length < 100) {
-    const lowerText = text.toLowerCase();
+/**
+ * 获取侧边栏可选的排行榜策略，默认策略排在第一位
+ * @returns {Array} 策略名称数组
+ */
+function getSidebarStrategies() {
+  const names = [config.ranking.strategy, ...config.ranking.strategies];
+  const unique = [...new Set(names)];
+  unique.forEach(getRankingStrategy);
+  return unique;
+}
 
-    // 尝试从关键词映射中找到匹配
-    for (const [eng, chi] of Object.entries(keywordMap)) {
-      if (lowerText.includes(eng)) {
-        // 简单替换，但保持原有大小写格式的某些特征
-        result = result.replace(new RegExp(eng, 'gi'), chi);
-      }
-    }
-  }
+/**
+ * 生成排行榜策略下拉框的选项 HTML
+ * @param {string} language - 页面语言，不传时为基础语言
+ * @returns {string} option 标签 HTML
+ */
+function generateRankingStrategyOptionsHTML(language = config.i18n.baseLanguage) {
+  return getSidebarStrategies()
+    .map(name => `<option value="${name}">${getStrategyLabel(name, language)}</option>`)
+    .join('\n            ');
+}
 
-  // 如果没有发生任何变化，返回原文
-  if (result === text && text.length > 20) {
-    // 对于较长的描述，添加一个提示前缀
-    return `📝 ${text}`;
-  }
+/**
+ * 获取项目历史页面的文件名
+ * @param {string} repoName - 仓库全名 owner/name
+ * @returns {string} 例如 owner__name.html
+ */
+function getRepoPageFileName(repoName) {
+  return `${repoName.replace('/', '__')}.html`;
+}
 
-  return result;
+/**
+ * 获取某个报告日期对应的排行榜数据文件名
+ * @param {string} dateStr - 日期字符串 YYYY-MM-DD
+ * @returns {string} 例如 ranking_data_2026-02-28.js
+ */
+function getRankingDataFileName(dateStr) {
+  return `${config.filePatterns.rankingDataPrefix}${dateStr}.js`;
+}
+
+/**
+ * 判断某个报告日期是否不早于所有已生成的排行榜数据
+ * @param {string} dateStr - 日期字符串 YYYY-MM-DD
+ * @returns {boolean} 没有更晚日期的排行榜数据文件时返回 true
+ */
+function isLatestRankingDate(dateStr) {
+  const prefix = config.filePatterns.rankingDataPrefix;
+  try {
+    return !fs.readdirSync(config.directories.data).some(file => {
+      const match = file.startsWith(prefix) && file.slice(prefix.length).match(/^(\d{4}-\d{2}-\d{2})\.js$/);
+      return match && match[1] > dateStr;
+    });
+  } catch (error) {
+    return true;
+  }
 }
 
 /**
- * 生成排行榜数据并保存到文件
- * 同时生成近7天、近30天、近90天的排行榜
- * @returns {Object} 排行榜数据对象
+ * 生成截至某个报告日期的排行榜数据并保存到文件
+ * 同时生成截至该日期的近7天、近30天、近90天的排行榜，历史页面因此始终展示当天的排行榜
+ * @param {string} asOfDate - 报告日期 YYYY-MM-DD，默认为当前报告日期
+ * @returns {Promise<Object>} 排行榜数据对象
  */
-function generateRankingData() {
+async function generateRankingData(asOfDate = reportDate.getReportDate()) {
   // 加载翻译缓存
-  loadTranslationCache();
+  translationCache.loadTranslationCache();
 
-  // 读取各时间范围的历史数据
-  const weekData = readHistoryData(config.ranking.week);
-  const monthData = readHistoryData(config.ranking.month);
-  const quarterData = readHistoryData(config.ranking.quarter);
+  // 截至当天的上榜历史统计，用于排行榜中的徽章和悬浮窗
+  const repoStats = readRepoHistoryStats(asOfDate);
 
-  // 计算各时间范围的排行榜
-  const weekRanking = calculateRanking(weekData);
-  const monthRanking = calculateRanking(monthData);
-  const quarterRanking = calculateRanking(quarterData);
+  // 记录所有排行榜，翻译完成后统一补充描述
+  const rankingLists = [];
+  const toRankingItems = (historyData, name) => {
+    const list = calculateRanking(historyData, name);
+    rankingLists.push(list);
+    return list;
+  };
 
-  // 为排行榜添加中文描述和详细信息（用于悬浮窗）
-  const weekRankingWithCN = weekRanking.map(item => enrichRankingItem(item));
-  const monthRankingWithCN = monthRanking.map(item => enrichRankingItem(item));
-  const quarterRankingWithCN = quarterRanking.map(item => enrichRankingItem(item));
+  // 读取各时间范围的历史数据，按侧边栏可选的每个策略分别计算排行榜，
+  // 并在只含某个分类的历史数据上计算分类排行榜（先筛选再取前 N 个）
+  const strategyNames = getSidebarStrategies();
+  const categoryIds = config.classifier.categories.map(category => category.id);
+  const strategies = {};
+  const categoryLists = [];
+  for (const name of strategyNames) {
+    strategies[name] = {};
+  }
+  for (const range of RANKING_RANGES) {
+    const historyData = readHistoryData(config.ranking[range], {}, asOfDate);
+    for (const name of strategyNames) {
+      strategies[name][range] = toRankingItems(historyData, name);
+    }
+    for (const category of categoryIds) {
+      const categoryHistory = filterHistoryByCategory(historyData, category);
+      for (const name of strategyNames) {
+        categoryLists.push({ category, name, range, list: toRankingItems(categoryHistory, name) });
+      }
+    }
+  }
+
+  // 写入文件前等待翻译完成，再为排行榜添加中文描述、详细信息（用于悬浮窗）和上榜历史
+  await translateRankingItems(rankingLists.flat());
+  for (const list of rankingLists) {
+    list.forEach((item, index) => {
+      list[index] = { ...enrichRankingItem(item), history: repoStats[item.name] || null };
+    });
+  }
 
   // 保存翻译缓存
-  saveTranslationCache();
+  translationCache.saveTranslationCache();
+
+  // 分类排行榜只保存仓库名称；项目详情与策略无关，每个时间范围只保存一份，
+  // 已经出现在各策略排行榜中的项目不再重复保存
+  const categoryRankings = {};
+  const categoryItems = {};
+  for (const range of RANKING_RANGES) {
+    categoryItems[range] = {};
+  }
+  for (const { category, name, range, list } of categoryLists) {
+    categoryRankings[category] = categoryRankings[category] || {};
+    categoryRankings[category][name] = categoryRankings[category][name] || {};
+    categoryRankings[category][name][range] = list.map(item => item.name);
+
+    for (const item of list) {
+      const listed = strategyNames.some(strategyName =>
+        strategies[strategyName][range].some(rankingItem => rankingItem.name === item.name)
+      );
+      if (!listed) {
+        categoryItems[range][item.name] = item;
+      }
+    }
+  }
 
-  // 组装排行榜数据
-  const rankingDataJSON = JSON.stringify({
-    week: weekRankingWithCN,
-    month: monthRankingWithCN,
-    quarter: quarterRankingWithCN
-  });
+  // 热门开发者排行榜
+  const developers = {};
+  for (const range of RANKING_RANGES) {
+    developers[range] = calculateDeveloperRanking(readDeveloperHistoryData(config.ranking[range], asOfDate));
+  }
+
+  // 组装排行榜数据：week/month/quarter 为默认策略的排行榜，strategies 为各策略的排行榜，
+  // categoryRankings 为各分类下各策略的排行榜（仓库名称），categoryItems 为只出现在分类排行榜中的项目
+  const strategyLabels = {};
+  for (const name of Object.keys(RANKING_STRATEGIES)) {
+    strategyLabels[name] = getStrategyLabel(name);
+  }
+  const result = {
+    asOf: asOfDate,
+    ...strategies[config.ranking.strategy],
+    strategy: config.ranking.strategy,
+    strategies: strategies,
+    strategyLabels: strategyLabels,
+    categoryRankings: categoryRankings,
+    categoryItems: categoryItems,
+    categoryLabels: classifier.getCategoryLabels(),
+    developers: developers
+  };
+  const rankingDataJSON = JSON.stringify(result);
 
   // 写入文件
   const rankingFilePath = path.join(
     config.directories.data,
-    config.filePatterns.rankingDataFile
+    getRankingDataFileName(asOfDate)
   );
 
   try {
-    fs.writeFileSync(rankingFilePath, 'var rankingData = ' + rankingDataJSON + ';');
+    const rankingScript = 'var rankingData = ' + rankingDataJSON + ';';
+    fs.writeFileSync(rankingFilePath, rankingScript);
     console.log('排行榜数据已生成:', rankingFilePath);
+
+    // 按日期保存之前生成的页面仍加载 ranking_data.js，让它始终是最新一天的排行榜
+    if (isLatestRankingDate(asOfDate)) {
+      fs.writeFileSync(path.join(config.directories.data, config.filePatterns.legacyRankingDataFile), rankingScript);
+    }
   } catch (error) {
     console.error('写入排行榜数据文件失败:', error.message);
   }
 
-  return {
-    week: weekRankingWithCN,
-    month: monthRankingWithCN,
-    quarter: quarterRankingWithCN
-  };
+  return result;
 }
 
 /**
@@ -402,10 +898,15 @@ function enrichRankingItem(item) {
   // 获取详细描述（用于悬浮窗）
   const detailedDesc = getDetailedDescription(item);
 
+  // 最新点评的日期和累计点评次数
+  const entries = projectSummariesCache[item.name.toLowerCase()] || [];
+
   return {
     ...item,
     chineseDesc: shortDesc,      // 简短描述，用于列表
-    detailedDesc: detailedDesc   // 详细描述，用于悬浮窗
+    detailedDesc: detailedDesc,  // 详细描述，用于悬浮窗
+    summaryDate: entries.length > 0 ? entries[0].date : null,
+    summaryCount: entries.length
   };
 }
 
@@ -415,18 +916,22 @@ function enrichRankingItem(item) {
  * @returns {string} 详细描述
  */
 function getDetailedDescription(item) {
-  // 如果有中文摘要，返回中文摘要
+  // 如果有日报点评，优先返回最新一次的详细介绍
+  const latest = getLatestProjectSummary(item.name);
+  if (latest && latest.details) {
+    return latest.details;
+  }
+
+  // 其次返回中文摘要
   const cnSummary = getChineseSummary(item.name, item.description);
   if (cnSummary && cnSummary !== item.description && cnSummary !== '暂无描述') {
     return cnSummary;
   }
 
-  // 否则尝试 AI 翻译
-  if (item.description) {
-    const translated = translateWithCache(item.name, item.description);
-    if (translated) {
-      return translated;
-    }
+  // 否则使用已翻译的描述
+  const translated = item.description ? translationCache.getCachedTranslation(item.name, item.description) : null;
+  if (translated) {
+    return translated;
   }
 
   // 最后返回原始描述
@@ -434,158 +939,34 @@ function getDetailedDescription(item) {
 }
 
 /**
- * 加载翻译缓存
+ * 批量翻译排行榜中还没有中文描述的项目
+ * 有 Markdown 一句话概括或有效译文的项目跳过；没有缓存、描述已修改或上次翻译失败的项目重新翻译
+ * @param {Array} items - 排行榜项目数组
+ * @returns {Promise<number>} 新翻译的项目数量
  */
-function loadTranslationCache() {
-  const cachePath = path.join(config.directories.data, TRANSLATION_CACHE_FILE);
-  try {
-    if (fs.existsSync(cachePath)) {
-      const content = fs.readFileSync(cachePath, 'utf8');
-      translationCache = JSON.parse(content);
-      console.log('已加载翻译缓存:', Object.keys(translationCache).length, '条');
+async function translateRankingItems(items) {
+  const pending = new Map();
+  for (const item of items) {
+    const key = item.name.toLowerCase();
+    if (pending.has(key) || !translationCache.needsTranslation(item.name, item.description)) {
+      continue;
     }
-  } catch (error) {
-    console.warn('加载翻译缓存失败:', error.message);
-    translationCache = {};
-  }
-}
-
-/**
- * 保存翻译缓存
- */
-function saveTranslationCache() {
-  const cachePath = path.join(config.directories.data, TRANSLATION_CACHE_FILE);
-  try {
-    fs.writeFileSync(cachePath, JSON.stringify(translationCache, null, 2), 'utf8');
-    console.log('翻译缓存已保存');
-  } catch (error) {
-    console.warn('保存翻译缓存失败:', error.message);
-  }
-}
-
-/**
- * 使用缓存进行翻译
- * @param {string} projectName - 项目名称
- * @param {string} text - 待翻译文本
- * @returns {string|null} 翻译后的文本
- */
-const https = require('https');
-
-function translateWithCache(projectName, text) {
-  if (!text) return null;
-
-  const cacheKey = projectName.toLowerCase();
-
-  if (translationCache[cacheKey]) {
-    return translationCache[cacheKey];
-  }
-
-  const simpleTranslated = simpleTranslate(text);
-  if (simpleTranslated !== text) {
-    translationCache[cacheKey] = simpleTranslated;
-    return simpleTranslated;
-  }
-
-  if (text.length > 20) {
-    const fallbackText = `📝 ${text}`;
-    translationCache[cacheKey] = fallbackText;
-  }
-
-  if (config.openai.enabled && config.openai.apiKey) {
-    translateWithOpenAI(text).then(translated => {
-      if (translated) {
-        translationCache[cacheKey] = translated;
-        console.log(`[AI翻译] ${projectName}: ${translated}`);
-      }
-    }).catch(err => {});
-  }
-
-  return null;
-}
-
-async function translateWithOpenAI(text) {
-  const maxRetries = 2;
-  const timeout = 10000;
-
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      const result = await Promise.race([
-        callOpenAI(text),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), timeout))
-      ]);
-      return result;
-    } catch (error) {
-      console.warn(`翻译重试 ${attempt + 1}/${maxRetries}:`, error.message);
-      if (attempt === maxRetries - 1) {
-        console.error('OpenAI 翻译最终失败:', error.message);
-      }
+    if (getChineseSummary(item.name, item.description) !== item.description) {
+      continue;
     }
+    pending.set(key, { name: item.name, description: item.description });
   }
-  return null;
-}
-
-function callOpenAI(text) {
-  return new Promise((resolve, reject) => {
-    const apiKey = config.openai.apiKey;
-    const model = config.openai.model || 'gpt-3.5-turbo';
-
-    const postData = JSON.stringify({
-      model: model,
-      messages: [
-        {
-          role: 'system',
-          content: '你是一个技术翻译助手。请将以下英文技术项目描述翻译成简洁的中文（50字以内），只保留核心信息，去除冗余词汇。直接返回翻译结果，不要添加任何解释或额外内容。'
-        },
-        {
-          role: 'user',
-          content: text
-        }
-      ],
-      max_tokens: 200,
-      temperature: 0.3
-    });
-
-    const options = {
-      hostname: 'api.openai.com',
-      path: '/v1/chat/completions',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      }
-    };
 
-    const req = https.request(options, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          const parsed = JSON.parse(data);
-          if (parsed.choices && parsed.choices[0] && parsed.choices[0].message) {
-            resolve(parsed.choices[0].message.content.trim());
-          } else if (parsed.error) {
-            reject(new Error(parsed.error.message));
-          } else {
-            reject(new Error('Unknown API response'));
-          }
-        } catch (e) {
-          reject(e);
-        }
-      });
-    });
-
-    req.on('error', reject);
-    req.write(postData);
-    req.end();
-  });
+  return translator.translateRepoDescriptions(Array.from(pending.values()));
 }
 
 /**
  * 获取所有可用的历史日期
  * 用于生成日期选择器的下拉框选项
+ * @param {string} language - 页面语言，只返回有该语言页面的日期；不传时为基础语言
  * @returns {Array} 按日期字符串降序排列的数组
  */
-function getAllAvailableDates() {
+function getAllAvailableDates(language = config.i18n.baseLanguage) {
   const reportsDir = config.directories.reports;
 
   // 如果报告目录不存在，返回空数组
@@ -601,10 +982,12 @@ function getAllAvailableDates() {
       file.endsWith('.html')
     );
 
-    // 提取日期并去重、排序
+    // 提取日期并去重、排序（文件名中日期之后是该语言的后缀）
+    const suffix = i18n.getLocale(language).fileSuffix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const htmlRegex = new RegExp(`^${config.filePatterns.htmlPrefix}(\\d{4}-\\d{2}-\\d{2})${suffix}\\.html$`);
     const dates = files
       .map(file => {
-        const match = file.match(/daily_(\d{4}-\d{2}-\d{2})\.html/);
+        const match = file.match(htmlRegex);
         return match ? match[1] : null;
       })
       .filter(date => date !== null)
@@ -621,10 +1004,11 @@ function getAllAvailableDates() {
 /**
  * 获取侧边栏显示的历史日期列表
  * 仅返回最近 N 天的日期用于侧边栏展示
+ * @param {string} language - 页面语言，不传时为基础语言
  * @returns {Array} 最近 N 天的日期数组
  */
-function getRecentDates() {
-  const allDates = getAllAvailableDates();
+function getRecentDates(language = config.i18n.baseLanguage) {
+  const allDates = getAllAvailableDates(language);
   // 只取最近的天数用于侧边栏展示
   return allDates.slice(0, config.sidebar.recentDays);
 }
@@ -632,16 +1016,17 @@ function getRecentDates() {
 /**
  * 生成日期选择器所需的年份选项 HTML
  * @param {Array} dates - 可用的日期数组
+ * @param {string} placeholder - 未选择时的占位文字
  * @returns {string} 年份选择器的 HTML 选项
  */
-function getYearOptions(dates) {
+function getYearOptions(dates, placeholder) {
   if (!dates || dates.length === 0) {
-    return '<option value="">年</option>';
+    return `<option value="">${placeholder}</option>`;
   }
 
   const years = [...new Set(dates.map(d => d.substring(0, 4)))].sort().reverse();
 
-  let options = '<option value="">年</option>';
+  let options = `<option value="">${placeholder}</option>`;
   for (const year of years) {
     options += '<option value="' + year + '">' + year + '</option>';
   }
@@ -653,22 +1038,19 @@ function getYearOptions(dates) {
  * 生成侧边栏历史记录 HTML
  * @param {Array} recentDates - 最近的历史日期数组
  * @param {boolean} isIndex - 是否为首页
+ * @param {string} language - 页面语言，链接到同一语言的历史页面；不传时为基础语言
  * @returns {string} 历史记录列表的 HTML
  */
-function generateHistoryDatesHTML(recentDates, isIndex = false) {
+function generateHistoryDatesHTML(recentDates, isIndex = false, language = config.i18n.baseLanguage) {
   if (!recentDates || recentDates.length === 0) {
-    return '<li style="color: #6a8a6a;">暂无历史记录</li>';
+    return `<li style="color: #6a8a6a;">${i18n.getStrings(language).sidebar.noHistory}</li>`;
   }
 
   const prefix = isIndex ? 'reports/' : '';
   let html = '';
   for (const date of recentDates) {
-    const parts = date.split('-');
-    const year = parts[0];
-    const month = parseInt(parts[1], 10);
-    const day = parseInt(parts[2], 10);
-    const displayDate = `${year}年${month}月${day}日`;
-    html += `<li><a href="${prefix}daily_${date}.html">${displayDate}</a></li>`;
+    const displayDate = i18n.formatHistoryDate(date, language);
+    html += `<li><a href="${prefix}${i18n.getReportFileName(date, language, '.html')}">${displayDate}</a></li>`;
   }
 
   return html;
@@ -678,10 +1060,12 @@ function generateHistoryDatesHTML(recentDates, isIndex = false) {
  * 生成日期选择器的 HTML（包含年份、月份、日期三个下拉框）
  * 注意：这里传入的是完整的可用日期数组，用于下拉框选择
  * @param {Array} allAvailableDates - 所有可用的日期数组（不截断）
+ * @param {string} language - 页面语言，不传时为基础语言
  * @returns {string} 日期选择器的 HTML
  */
-function generateDateSelectorHTML(allAvailableDates) {
-  const yearOptions = getYearOptions(allAvailableDates);
+function generateDateSelectorHTML(allAvailableDates, language = config.i18n.baseLanguage) {
+  const strings = i18n.getStrings(language).sidebar;
+  const yearOptions = getYearOptions(allAvailableDates, strings.yearPlaceholder);
 
   const availableDatesData = JSON.stringify(allAvailableDates || []);
 
@@ -691,10 +1075,10 @@ function generateDateSelectorHTML(allAvailableDates) {
         ${yearOptions}
       </select>
       <select id="monthSelect" class="date-select" onchange="updateDayOptions()">
-        <option value="">月</option>
+        <option value="">${strings.monthPlaceholder}</option>
       </select>
       <select id="daySelect" class="date-select">
-        <option value="">日</option>
+        <option value="">${strings.dayPlaceholder}</option>
       </select>
       <button class="view-history-btn" onclick="goToHistoryReport()">✓</button>
     </div>
@@ -723,8 +1107,27 @@ function safeReadJSON(filePath, defaultValue = null) {
 }
 
 module.exports = {
+  SINCE_WINDOWS,
+  getVariantKey,
+  getTrendingFileName,
+  parseTrendingFileName,
+  getLegacyCapturedAt,
+  getDevelopersFileName,
+  getRawSnapshotFileName,
+  getDataFileNameFromRaw,
   readHistoryData,
+  readDeveloperHistoryData,
+  readTrendingDay,
+  readDevelopersDay,
+  RANKING_STRATEGIES,
+  registerRankingStrategy,
+  getStrategyLabel,
+  getRankingDataFileName,
+  getRepoPageFileName,
+  calculateRepoHistoryStats,
+  readRepoHistoryStats,
   calculateRanking,
+  calculateDeveloperRanking,
   loadProjectSummaries,
   getChineseSummary,
   generateRankingData,
@@ -733,5 +1136,7 @@ module.exports = {
   getYearOptions,
   generateHistoryDatesHTML,
   generateDateSelectorHTML,
+  generateRankingStrategyOptionsHTML,
+  generateRankingCategoryOptionsHTML,
   safeReadJSON
 };
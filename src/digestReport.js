@@ -0,0 +1,744 @@
+/**
+ * 周报 / 月报模块
+ * 功能：每周一生成上一周（ISO 周）的周报，每月 1 日生成上个月的月报。根据这段时间的 Trending 历史数据统计
+ * 排行榜（calculateRanking）、star 增长最多的项目、新上榜项目和编程语言占比的变化，交给大模型撰写点评，
+ * 保存为 reports/weekly_YYYY-Www.json / .md / .html 和 reports/monthly_YYYY-MM.json / .md / .html
+ *
+ * JSON 中保存统计数据和大模型撰写的点评，Markdown 和 HTML 都由它确定性地渲染。
+ * 与日报相同，每种语言各生成一份，非基础语言的文件名在周期之后加上语言后缀，例如 weekly_2026-W09.en.html
+ *
+ * 使用方法：node src/digestReport.js [--date YYYY-MM-DD] [--period weekly|monthly] [--language zh,en] [--render]
+ *   不指定 --period 时按报告日期判断：config.digest.weeklyDay 生成周报，config.digest.monthlyDay 生成月报，其余日期跳过
+ *   指定 --period 时生成报告日期前一天所在的那一周 / 那个月
+ *   --language 指定生成的语言，不传时与日报相同（输出配置或 REPORT_LANGUAGES）
+ *   --render 只根据已保存的 JSON 重新生成所有周报和月报的 Markdown 与 HTML，不调用大模型
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { marked } = require('marked');
+
+const config = require('./config');
+const dataProcessor = require('./dataProcessor');
+const i18n = require('./i18n');
+const llmClient = require('./llmClient');
+const promptTemplates = require('./promptTemplates');
+const reportDate = require('./reportDate');
+const statsPage = require('./statsPage');
+const summarize = require('./summarize');
+const summaryIndex = require('./summaryIndex');
+const validator = require('./validator');
+
+const { escapeHTML } = require('./markdownParser');
+
+// 周报 / 月报 JSON 格式版本
+const DIGEST_VERSION = 1;
+
+// 周期类型：文件名前缀和日志中的名称（页面和提示词中的名称见 src/locales/）
+const PERIOD_TYPES = {
+  weekly: { prefix: config.filePatterns.weeklyPrefix, label: '周报' },
+  monthly: { prefix: config.filePatterns.monthlyPrefix, label: '月报' }
+};
+
+// 大模型撰写的点评的 schema
+const DIGEST_CONTENT_SCHEMA = {
+  title: { type: 'string', required: true },
+  overview: { type: 'string', required: true },
+  leaderboard: { type: 'string', required: true },
+  movers: { type: 'string', required: true },
+  newEntrants: { type: 'string', required: true },
+  languages: { type: 'string', required: true },
+  closing: { type: 'string', required: true }
+};
+
+// 周报 / 月报文件名：weekly_2026-W09.html、monthly_2026-02.en.html
+const DIGEST_FILE_REGEX = /^(weekly|monthly)_(\d{4}-W\d{2}|\d{4}-\d{2})(\.[\w-]+)?\.html$/;
+
+/**
+ * 获取某天所在的周期
+ * @param {string} type - weekly 或 monthly
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {Object} { type, id, start, end }，id 为 2026-W09 或 2026-02
+ */
+function getPeriod(type, dateStr) {
+  if (type === 'weekly') {
+    const week = reportDate.getISOWeek(dateStr);
+    return { type, id: `${week.year}-W${String(week.week).padStart(2, '0')}`, start: week.start, end: week.end };
+  }
+  if (type === 'monthly') {
+    const start = `${dateStr.slice(0, 7)}-01`;
+    const nextMonth = reportDate.addDays(start, 32).slice(0, 7);
+    return { type, id: dateStr.slice(0, 7), start, end: reportDate.addDays(`${nextMonth}-01`, -1) };
+  }
+  throw new Error(`未知的周期: ${type}（可选：${Object.keys(PERIOD_TYPES).join(' / ')}）`);
+}
+
+/**
+ * 根据周期 id 还原周期
+ * @param {string} type - weekly 或 monthly
+ * @param {string} id - 2026-W09 或 2026-02
+ * @returns {Object} { type, id, start, end }
+ */
+function parsePeriodId(type, id) {
+  if (type === 'weekly') {
+    const [year, week] = id.split('-W').map(value => parseInt(value, 10));
+    return getPeriod(type, reportDate.getISOWeekStart(year, week));
+  }
+  return getPeriod(type, `${id}-01`);
+}
+
+/**
+ * 获取周期的前一个周期
+ * @param {Object} period - 周期
+ * @returns {Object} 前一个周期
+ */
+function getPreviousPeriod(period) {
+  return getPeriod(period.type, reportDate.addDays(period.start, -1));
+}
+
+/**
+ * 获取某个报告日期需要生成的周报 / 月报
+ * 在 config.digest.weeklyDay 生成上一周的周报，在 config.digest.monthlyDay 生成上个月的月报
+ * @param {string} dateStr - 报告日期 YYYY-MM-DD
+ * @returns {Array} 周期数组，不需要生成时为空数组
+ */
+function getDuePeriods(dateStr) {
+  const weekday = new Date(`${dateStr}T00:00:00Z`).getUTCDay() || 7;
+  const day = parseInt(dateStr.slice(8, 10), 10);
+  const previousDay = reportDate.addDays(dateStr, -1);
+
+  const periods = [];
+  if (weekday === config.digest.weeklyDay) {
+    periods.push(getPeriod('weekly', previousDay));
+  }
+  if (day === config.digest.monthlyDay) {
+    periods.push(getPeriod('monthly', previousDay));
+  }
+  return periods;
+}
+
+/**
+ * 获取周期的显示名称
+ * @param {Object} period - 周期
+ * @param {string} language - 语言，不传时为基础语言
+ * @returns {string} 例如 "2026 年第 9 周周报"、"2026 年 2 月月报"
+ */
+function getPeriodLabel(period, language = config.i18n.baseLanguage) {
+  const strings = i18n.getStrings(language).sidebar;
+  if (period.type === 'weekly') {
+    const [year, week] = period.id.split('-W');
+    return i18n.format(strings.weeklyLabel, { year, week: parseInt(week, 10) });
+  }
+
+  const [year, month] = period.id.split('-');
+  const monthName = new Date(`${period.start}T00:00:00Z`)
+    .toLocaleDateString(i18n.getLocale(language).htmlLang, { month: 'long', timeZone: 'UTC' });
+  return i18n.format(strings.monthlyLabel, { year, month: parseInt(month, 10), monthName });
+}
+
+/**
+ * 获取周报 / 月报的文件名
+ * @param {Object} period - 周期
+ * @param {string} ext - 扩展名，例如 .json、.md、.html
+ * @param {string} language - 语言，不传时为基础语言
+ * @returns {string} 例如 weekly_2026-W09.html、weekly_2026-W09.en.html
+ */
+function getDigestFileName(period, ext, language = config.i18n.baseLanguage) {
+  return `${PERIOD_TYPES[period.type].prefix}${period.id}${i18n.getLocale(language).fileSuffix}${ext}`;
+}
+
+/**
+ * 读取一个周期内的 Trending 历史数据
+ * @param {Object} period - 周期
+ * @returns {Array} 历史数据数组（按日期降序），每项包含 date 和 data
+ */
+function readPeriodHistory(period) {
+  const days = Math.round((new Date(period.end) - new Date(period.start)) / (24 * 60 * 60 * 1000)) + 1;
+  return dataProcessor.readHistoryData(days, {}, period.end);
+}
+
+/**
+ * 统计一个周期的周报 / 月报数据
+ * 排行榜使用默认排序策略，增长最快按本期新增的 star 数排序，新上榜为本期第一次登上 Trending 的项目，
+ * 语言趋势为本期和上期各编程语言的上榜次数占比
+ * @param {Object} period - 周期
+ * @returns {Object} { period, dataDays, leaderboard, movers, newEntrants, languages }
+ */
+function collectDigestData(period) {
+  const history = readPeriodHistory(period);
+  if (history.length === 0) {
+    throw new Error(`${period.start} 至 ${period.end} 没有任何 Trending 数据`);
+  }
+  const previousHistory = readPeriodHistory(getPreviousPeriod(period));
+  const topItems = config.digest.topItems;
+
+  // 项目点评用于给各列表补充中文概括
+  dataProcessor.loadProjectSummaries(summaryIndex.getSummariesAsOf(period.end));
+
+  // 排行榜：与侧边栏相同的默认策略，附上上期的名次
+  const previousRanks = new Map(
+    dataProcessor.calculateRanking(previousHistory).map((item, index) => [item.name, index + 1])
+  );
+  const leaderboard = dataProcessor.calculateRanking(history).slice(0, topItems).map((item, index) => ({
+    rank: index + 1,
+    name: item.name,
+    url: item.url,
+    description: item.description,
+    summary: dataProcessor.getChineseSummary(item.name, item.description),
+    count: item.count,
+    stars: item.stars,
+    score: item.score,
+    previousRank: previousRanks.get(item.name) || null
+  }));
+
+  // 增长最快：本期至少有两次快照、能计算出 star 增长的项目
+  const movers = dataProcessor.calculateRanking(history, 'velocity')
+    .filter(item => typeof item.starsGained === 'number' && item.starsGained > 0)
+    .sort((a, b) => b.starsGained - a.starsGained)
+    .slice(0, topItems)
+    .map(item => ({
+      name: item.name,
+      url: item.url,
+      description: item.description,
+      summary: dataProcessor.getChineseSummary(item.name, item.description),
+      stars: item.stars,
+      starsGained: item.starsGained,
+      starsPerDay: item.starsPerDay
+    }));
+
+  // 新上榜：截至本期末的上榜历史中，第一次上榜的日期在本期内
+  const repoStats = dataProcessor.calculateRepoHistoryStats(dataProcessor.readHistoryData(Infinity, {}, period.end), period.end);
+  const periodRepos = new Map();
+  for (const { data } of history) {
+    for (const repo of Array.isArray(data) ? data : []) {
+      if (!repo || !repo.name) continue;
+      const stats = repoStats[repo.name];
+      if (!stats || stats.firstSeen < period.start) continue;
+
+      if (!periodRepos.has(repo.name)) {
+        periodRepos.set(repo.name, {
+          name: repo.name,
+          url: repo.url || '',
+          description: repo.description || '',
+          summary: dataProcessor.getChineseSummary(repo.name, repo.description || ''),
+          firstSeen: stats.firstSeen,
+          count: 0,
+          bestRank: null
+        });
+      }
+      const entry = periodRepos.get(repo.name);
+      entry.count++;
+      if (repo.rank && (entry.bestRank === null || repo.rank < entry.bestRank)) {
+        entry.bestRank = repo.rank;
+      }
+    }
+  }
+  const newEntrants = Array.from(periodRepos.values())
+    .sort((a, b) => b.count - a.count || (a.bestRank || Infinity) - (b.bestRank || Infinity) || a.name.localeCompare(b.name))
+    .slice(0, topItems);
+
+  // 语言趋势：本期占比最高的几种语言，以及它们在上期的占比
+  const previousShares = new Map(
+    statsPage.calculateLanguageStats(previousHistory).languages.map(item => [item.language, item.share])
+  );
+  const languages = statsPage.calculateLanguageStats(history).languages
+    .slice(0, config.digest.topLanguages)
+    .map(item => ({
+      language: item.language,
+      count: item.count,
+      share: item.share,
+      previousShare: previousHistory.length > 0 ? (previousShares.get(item.language) || 0) : null
+    }));
+
+  return {
+    period,
+    dataDays: history.length,
+    leaderboard,
+    movers,
+    newEntrants,
+    languages
+  };
+}
+
+/**
+ * 校验大模型撰写的点评
+ * @param {Object} content - 解析后的大模型输出
+ * @returns {Array} 错误信息数组，为空表示校验通过
+ */
+function validateDigestContent(content) {
+  const errors = validator.validateRow(content, DIGEST_CONTENT_SCHEMA);
+  for (const key of Object.keys(DIGEST_CONTENT_SCHEMA)) {
+    if (content && typeof content[key] === 'string' && !content[key].trim()) {
+      errors.push(`字段 ${key} 不能为空`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * 去掉交给大模型的数据中只用于渲染的字段
+ * @param {Object} data - collectDigestData 的结果
+ * @returns {Object} 提示词中的数据
+ */
+function toPromptData(data) {
+  const strip = items => items.map(({ url, ...item }) => item);
+  return {
+    leaderboard: strip(data.leaderboard),
+    movers: strip(data.movers),
+    newEntrants: strip(data.newEntrants),
+    languages: data.languages
+  };
+}
+
+/**
+ * 调用大模型为周报 / 月报撰写点评
+ * @param {Object} llm - 大模型客户端（llmClient.getClient()）
+ * @param {Object} data - collectDigestData 的结果
+ * @param {string} language - 点评使用的语言，不传时为基础语言
+ * @returns {Promise<Object>} 周报 / 月报对象 { version, type, id, start, end, ..., language, content, data }
+ */
+async function generateDigest(llm, data, language = config.i18n.baseLanguage) {
+  const { period } = data;
+  const prompts = promptTemplates.buildDigestPrompts({
+    periodType: i18n.getStrings(language).digest.periodTypes[period.type],
+    periodLabel: getPeriodLabel(period, language),
+    start: period.start,
+    end: period.end,
+    dataDays: data.dataDays,
+    data: toPromptData(data),
+    language
+  });
+
+  const content = await summarize.requestValidatedJSON(llm, prompts, validateDigestContent, {
+    task: 'digest',
+    label: PERIOD_TYPES[period.type].label,
+    maxTokens: config.digest.maxTokens
+  });
+
+  const trimmed = {};
+  for (const key of Object.keys(DIGEST_CONTENT_SCHEMA)) {
+    trimmed[key] = content[key].trim();
+  }
+
+  return {
+    version: DIGEST_VERSION,
+    type: period.type,
+    id: period.id,
+    start: period.start,
+    end: period.end,
+    model: llm.model,
+    ...prompts.provenance,
+    generatedAt: new Date().toISOString(),
+    content: trimmed,
+    data
+  };
+}
+
+/**
+ * 格式化名次变化
+ * @param {Object} item - 排行榜项目
+ * @param {Object} strings - 周报 / 月报的界面文字（i18n.getStrings(language).digest）
+ * @returns {string} 例如 ↑3、↓1、-、新进榜
+ */
+function formatRankChange(item, strings) {
+  if (item.previousRank === null) return strings.newEntry;
+  const change = item.previousRank - item.rank;
+  if (change > 0) return `↑${change}`;
+  if (change < 0) return `↓${-change}`;
+  return '-';
+}
+
+/**
+ * 格式化占比变化
+ * @param {Object} item - 语言统计
+ * @returns {string} 例如 +2.5、-1.0，上期没有数据时为 -
+ */
+function formatShareChange(item) {
+  if (item.previousShare === null) return '-';
+  const change = Math.round((item.share - item.previousShare) * 10) / 10;
+  return change > 0 ? `+${change.toFixed(1)}` : change.toFixed(1);
+}
+
+/**
+ * 生成 Markdown 表格
+ * @param {Array} headers - 表头
+ * @param {Array} rows - 每行的单元格数组
+ * @param {string} emptyText - 没有数据行时的提示
+ * @returns {string} Markdown 表格，没有数据行时返回斜体的提示文字
+ */
+function markdownTable(headers, rows, emptyText) {
+  if (rows.length === 0) {
+    return `*${emptyText}*`;
+  }
+  // 单元格中的竖线和换行会破坏表格
+  const cell = value => String(value === null || value === undefined ? '' : value).replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * 生成项目名称链接
+ * @param {Object} item - 项目
+ * @returns {string} Markdown 链接
+ */
+function projectLink(item) {
+  return item.url ? `[${item.name}](${item.url})` : item.name;
+}
+
+/**
+ * 根据周报 / 月报 JSON 渲染 Markdown
+ * 每个部分先是大模型的点评，再是确定性生成的数据表格；表头等文字使用周报 / 月报的语言，
+ * 简介在显示翻译描述的语言中为中文概括，其他语言为原始描述
+ * @param {Object} digest - 周报 / 月报对象
+ * @returns {string} Markdown 内容
+ */
+function renderDigestMarkdown(digest) {
+  const { content, data } = digest;
+  const language = digest.language || config.i18n.baseLanguage;
+  const strings = i18n.getStrings(language).digest;
+  const columns = strings.columns;
+  const formatNumber = value => (typeof value === 'number' ? value.toLocaleString('en-US') : '-');
+  const describe = item => (i18n.getLocale(language).translatedDescriptions ? item.summary : item.description);
+
+  const leaderboardTable = markdownTable(
+    ['#', columns.project, columns.summary, columns.days, columns.stars, columns.rankChange],
+    data.leaderboard.map(item => [
+      item.rank,
+      projectLink(item),
+      describe(item),
+      item.count,
+      formatNumber(item.stars),
+      formatRankChange(item, strings)
+    ]),
+    strings.noData
+  );
+  const moversTable = markdownTable(
+    [columns.project, columns.summary, columns.starsGained, columns.starsPerDay, columns.stars],
+    data.movers.map(item => [
+      projectLink(item),
+      describe(item),
+      `+${formatNumber(item.starsGained)}`,
+      `+${formatNumber(item.starsPerDay)}`,
+      formatNumber(item.stars)
+    ]),
+    strings.noData
+  );
+  const newEntrantsTable = markdownTable(
+    [columns.project, columns.summary, columns.firstSeen, columns.days, columns.bestRank],
+    data.newEntrants.map(item => [
+      projectLink(item),
+      describe(item),
+      item.firstSeen,
+      item.count,
+      item.bestRank ? `#${item.bestRank}` : '-'
+    ]),
+    strings.noData
+  );
+  const languagesTable = markdownTable(
+    [columns.language, columns.appearances, columns.share, columns.shareChange],
+    data.languages.map(item => [
+      statsPage.getLanguageLabel(item.language, language),
+      item.count,
+      `${item.share}%`,
+      formatShareChange(item)
+    ]),
+    strings.noData
+  );
+
+  const periodRange = i18n.format(strings.periodRange, {
+    label: getPeriodLabel(digest, language),
+    start: digest.start,
+    end: digest.end,
+    days: data.dataDays
+  });
+
+  return [
+    `# ${content.title.replace(/\s+/g, ' ')}`,
+    `> ${periodRange}`,
+    content.overview,
+    `## ${strings.sections.leaderboard}`,
+    content.leaderboard,
+    leaderboardTable,
+    `## ${strings.sections.movers}`,
+    content.movers,
+    moversTable,
+    `## ${strings.sections.newEntrants}`,
+    content.newEntrants,
+    newEntrantsTable,
+    `## ${strings.sections.languages}`,
+    content.languages,
+    languagesTable,
+    '---',
+    content.closing
+  ].join('\n\n') + '\n';
+}
+
+/**
+ * 获取所有已生成页面的周报 / 月报
+ * 每期优先使用指定语言的页面，没有该语言页面的期数使用基础语言的页面
+ * @param {string} language - 页面语言，不传时为基础语言
+ * @returns {Array} [{ type, id, start, end, fileName }]，按结束日期降序，结束日期相同时月报在前
+ */
+function getDigestArchive(language = config.i18n.baseLanguage) {
+  const reportsDir = config.directories.reports;
+  if (!fs.existsSync(reportsDir)) {
+    return [];
+  }
+
+  const files = new Set(fs.readdirSync(reportsDir));
+  const periods = new Map();
+  for (const file of files) {
+    const match = file.match(DIGEST_FILE_REGEX);
+    if (match && match[2].includes('W') === (match[1] === 'weekly')) {
+      periods.set(`${match[1]}_${match[2]}`, parsePeriodId(match[1], match[2]));
+    }
+  }
+
+  return Array.from(periods.values())
+    .map(period => {
+      const fileName = [language, config.i18n.baseLanguage]
+        .map(candidate => getDigestFileName(period, '.html', candidate))
+        .find(candidate => files.has(candidate));
+      return fileName ? { ...period, fileName } : null;
+    })
+    .filter(item => item !== null)
+    .sort((a, b) => b.end.localeCompare(a.end) || a.start.localeCompare(b.start));
+}
+
+/**
+ * 生成周报 / 月报列表 HTML（用于日报侧边栏和周报 / 月报页面）
+ * @param {string} language - 页面语言，不传时为基础语言
+ * @param {number} limit - 最多显示的期数，不传时显示全部
+ * @param {string} excludeFile - 不显示的文件名（当前页面）
+ * @returns {string} 列表项 HTML
+ */
+function generateDigestArchiveHTML(language = config.i18n.baseLanguage, limit = Infinity, excludeFile = '') {
+  const items = getDigestArchive(language).filter(item => item.fileName !== excludeFile).slice(0, limit);
+  if (items.length === 0) {
+    return `<li style="color: #6a8a6a;">${i18n.getStrings(language).sidebar.noDigest}</li>`;
+  }
+  return items
+    .map(item => `<li><a href="${item.fileName}">${escapeHTML(getPeriodLabel(item, language))}</a></li>`)
+    .join('\n');
+}
+
+/**
+ * 读取模板文件
+ * @param {string} fileName - 模板文件名
+ * @returns {string} 文件内容
+ */
+function readTemplateFile(fileName) {
+  const templatePath = path.join(config.directories.templates, fileName);
+  try {
+    return fs.readFileSync(templatePath, 'utf8');
+  } catch (error) {
+    console.error('读取模板文件失败:', templatePath, error.message);
+    return '';
+  }
+}
+
+/**
+ * 生成周报 / 月报页面
+ * @param {Object} digest - 周报 / 月报对象
+ * @param {string} markdown - renderDigestMarkdown 的结果
+ * @returns {string} 完整的 HTML 页面内容
+ */
+function renderDigestPage(digest, markdown) {
+  const template = readTemplateFile('digest.html');
+  const styles = readTemplateFile('style.css');
+  if (!template) {
+    throw new Error('无法读取周报 / 月报页面模板文件');
+  }
+
+  const language = digest.language || config.i18n.baseLanguage;
+  const strings = i18n.getStrings(language);
+  const htmlLang = i18n.getLocale(language).htmlLang;
+  const label = getPeriodLabel(digest, language);
+  // 返回同一语言最新的日报，没有该语言的日报时返回基础语言的日报
+  const reportDates = dataProcessor.getAllAvailableDates(language);
+  const baseReportDates = reportDates.length > 0 ? [] : dataProcessor.getAllAvailableDates();
+  let backLink = './';
+  if (reportDates.length > 0) {
+    backLink = i18n.getReportFileName(reportDates[0], language, '.html');
+  } else if (baseReportDates.length > 0) {
+    backLink = i18n.getReportFileName(baseReportDates[0], config.i18n.baseLanguage, '.html');
+  }
+  // 项目链接在新窗口中打开
+  const content = marked.parse(markdown).replace(/<a href="http/g, '<a target="_blank" href="http');
+
+  const replacements = {
+    HTML_LANG: htmlLang,
+    TITLE: `${escapeHTML(label)} - ${strings.page.titlePrefix}`,
+    STYLES: styles,
+    HEADING: `📚 ${escapeHTML(label)}`,
+    SUBTITLE: strings.digest.subtitle,
+    PERIOD_RANGE: `${reportDate.formatReportDate(digest.start, htmlLang)} - ${reportDate.formatReportDate(digest.end, htmlLang)}`,
+    BACK_LINK: backLink,
+    BACK_LINK_TEXT: strings.digest.backLink,
+    CONTENT: content,
+    ARCHIVE_TITLE: strings.digest.archiveTitle,
+    ARCHIVE_HTML: generateDigestArchiveHTML(language, Infinity, getDigestFileName(digest, '.html', language))
+  };
+  return template.replace(/\{\{([A-Z_]+)\}\}/g, (placeholder, name) =>
+    (Object.prototype.hasOwnProperty.call(replacements, name) ? replacements[name] : placeholder)
+  );
+}
+
+/**
+ * 保存周报 / 月报：写入 JSON，并由它渲染出同名的 Markdown 和 HTML 文件（非基础语言的文件名带语言后缀）
+ * @param {Object} digest - 周报 / 月报对象
+ * @returns {Array} 写入的文件路径
+ */
+function saveDigest(digest) {
+  const reportsDir = config.directories.reports;
+  fs.mkdirSync(reportsDir, { recursive: true });
+
+  const language = digest.language || config.i18n.baseLanguage;
+  const markdown = renderDigestMarkdown(digest);
+  const files = [
+    [getDigestFileName(digest, '.json', language), JSON.stringify(digest, null, 2)],
+    [getDigestFileName(digest, '.md', language), markdown],
+    [getDigestFileName(digest, '.html', language), renderDigestPage(digest, markdown)]
+  ];
+
+  return files.map(([fileName, content]) => {
+    const filePath = path.join(reportsDir, fileName);
+    fs.writeFileSync(filePath, content, 'utf8');
+    return filePath;
+  });
+}
+
+/**
+ * 读取所有已保存的周报 / 月报 JSON
+ * @returns {Array} 周报 / 月报对象数组，读取失败的文件会被跳过
+ */
+function readAllDigests() {
+  const reportsDir = config.directories.reports;
+  if (!fs.existsSync(reportsDir)) {
+    return [];
+  }
+
+  const jsonRegex = /^(weekly|monthly)_(\d{4}-W\d{2}|\d{4}-\d{2})(\.[\w-]+)?\.json$/;
+  const digests = [];
+  for (const file of fs.readdirSync(reportsDir).filter(name => jsonRegex.test(name))) {
+    try {
+      const digest = JSON.parse(fs.readFileSync(path.join(reportsDir, file), 'utf8'));
+      if (digest.version > DIGEST_VERSION) {
+        throw new Error(`格式版本 ${digest.version} 高于当前支持的版本 ${DIGEST_VERSION}`);
+      }
+      const errors = validateDigestContent(digest.content);
+      if (errors.length > 0) {
+        throw new Error(errors.join('；'));
+      }
+      digests.push(digest);
+    } catch (error) {
+      console.warn(`读取 ${file} 失败，已跳过: ${error.message}`);
+    }
+  }
+  return digests;
+}
+
+/**
+ * 根据已保存的 JSON 重新生成所有周报 / 月报的 Markdown 和 HTML
+ * 先写入全部页面，再重新渲染一遍，保证每个页面的往期列表都是完整的
+ * @returns {number} 重新生成的期数
+ */
+function renderAllDigests() {
+  const digests = readAllDigests();
+  digests.forEach(saveDigest);
+  digests.forEach(saveDigest);
+  return digests.length;
+}
+
+/**
+ * 解析命令行参数
+ * @param {Array} argv - 命令行参数
+ * @returns {Object} { period, language, render }
+ */
+function parseArgs(argv) {
+  const options = { period: null, language: null, render: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--period') {
+      options.period = argv[++i] || null;
+    } else if (arg.startsWith('--period=')) {
+      options.period = arg.slice('--period='.length);
+    } else if (arg === '--language') {
+      options.language = argv[++i] || null;
+    } else if (arg.startsWith('--language=')) {
+      options.language = arg.slice('--language='.length);
+    } else if (arg === '--render') {
+      options.render = true;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+  try {
+    const argv = process.argv.slice(2);
+    const options = parseArgs(argv);
+
+    if (options.render) {
+      console.log(`已重新生成 ${renderAllDigests()} 期周报 / 月报`);
+      return;
+    }
+
+    const today = reportDate.getReportDate({ date: reportDate.parseDateArg(argv) });
+    const periods = options.period
+      ? [getPeriod(options.period, reportDate.addDays(today, -1))]
+      : getDuePeriods(today);
+
+    if (periods.length === 0) {
+      console.log(`${today} 不需要生成周报或月报，跳过`);
+      return;
+    }
+
+    // 与日报相同，每种语言各生成一份
+    const { languages } = promptTemplates.resolvePromptOptions({ language: options.language });
+
+    const llm = llmClient.getClient();
+    for (const period of periods) {
+      const label = getPeriodLabel(period);
+      const data = collectDigestData(period);
+
+      for (const language of languages) {
+        console.log(`正在生成${label}（${period.start} 至 ${period.end}，${i18n.getLocale(language).label}）...`);
+        const digest = await generateDigest(llm, data, language);
+        for (const filePath of saveDigest(digest)) {
+          console.log(`${label}已保存至: ${filePath}`);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('生成周报 / 月报时发生错误:', error.message);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  getPeriod,
+  parsePeriodId,
+  getDuePeriods,
+  getPeriodLabel,
+  getDigestFileName,
+  collectDigestData,
+  generateDigest,
+  renderDigestMarkdown,
+  getDigestArchive,
+  generateDigestArchiveHTML,
+  saveDigest,
+  renderAllDigests
+};
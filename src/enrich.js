@@ -0,0 +1,252 @@
+/**
+ * 仓库元数据补充脚本
+ * 功能：在抓取和 AI 总结之间，为当天的每个 Trending 仓库补充 topics、license、主页、创建时间、
+ * 最近推送时间和 README 摘要，合并到当天的 JSON 数据中
+ * 元数据按仓库缓存在 data/repo_cache/ 中，缓存未过期时不请求 API；离线模式只使用缓存
+ *
+ * 使用方法：node src/enrich.js [--date YYYY-MM-DD] [--offline]
+ */
+require('dotenv').config();
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+const config = require('./config');
+const dataProcessor = require('./dataProcessor');
+const githubApiSource = require('./githubApiSource');
+const reportDate = require('./reportDate');
+const schema = require('./schema');
+
+/**
+ * 获取仓库在缓存目录中的文件路径
+ * @param {string} repoName - 仓库全名 owner/name
+ * @returns {string} 缓存文件路径，例如 data/repo_cache/owner__name.json
+ */
+function getCacheFilePath(repoName) {
+  return path.join(config.directories.repoCache, `${repoName.replace('/', '__')}.json`);
+}
+
+/**
+ * 读取缓存的仓库元数据
+ * @param {string} repoName - 仓库全名
+ * @returns {Object|null} { fetchedAt, metadata }，不存在时返回 null
+ */
+function readCache(repoName) {
+  return dataProcessor.safeReadJSON(getCacheFilePath(repoName), null);
+}
+
+/**
+ * 写入仓库元数据缓存
+ * @param {string} repoName - 仓库全名
+ * @param {Object} metadata - 仓库元数据
+ */
+function writeCache(repoName, metadata) {
+  const cacheDir = config.directories.repoCache;
+  if (!fs.existsSync(cacheDir)) {
+    fs.mkdirSync(cacheDir, { recursive: true });
+  }
+  const entry = { fetchedAt: new Date().toISOString(), metadata };
+  fs.writeFileSync(getCacheFilePath(repoName), JSON.stringify(entry, null, 2), 'utf8');
+}
+
+/**
+ * 判断缓存是否仍在有效期内
+ * @param {Object} entry - 缓存条目
+ * @returns {boolean} 是否有效
+ */
+function isCacheFresh(entry) {
+  if (!entry || !entry.fetchedAt) return false;
+  const ageMs = Date.now() - new Date(entry.fetchedAt).getTime();
+  return ageMs < config.enrichment.cacheTTLHours * 60 * 60 * 1000;
+}
+
+/**
+ * 将 README 原文压缩为纯文本摘要
+ * 去除代码块、HTML 标签、图片、链接语法和标题符号，只保留前 N 个字符
+ * @param {string} readme - README 原文（Markdown）
+ * @returns {string} 摘要文本
+ */
+function toReadmeExcerpt(readme) {
+  if (!readme) return '';
+
+  const text = String(readme)
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^#+\s*/gm, '')
+    .replace(/[*_`>|]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const maxLength = config.enrichment.readmeExcerptLength;
+  return text.length > maxLength ? text.slice(0, maxLength) + '…' : text;
+}
+
+/**
+ * 从 GitHub API 获取仓库元数据
+ * @param {string} repoName - 仓库全名
+ * @returns {Promise<Object>} 仓库元数据
+ */
+async function fetchRepoMetadata(repoName) {
+  const baseUrl = config.githubApi.baseUrl.replace(/\/+$/, '');
+  const timeout = config.githubApi.timeout;
+
+  const response = await axios.get(`${baseUrl}/repos/${repoName}`, {
+    headers: githubApiSource.buildApiHeaders(),
+    timeout
+  });
+  const repo = response.data;
+
+  // README 不存在（404）时不影响其它字段
+  let readme = '';
+  try {
+    const readmeResponse = await axios.get(`${baseUrl}/repos/${repoName}/readme`, {
+      headers: githubApiSource.buildApiHeaders('application/vnd.github.raw'),
+      responseType: 'text',
+      timeout
+    });
+    readme = readmeResponse.data;
+  } catch (error) {
+    if (!error.response || error.response.status !== 404) {
+      throw error;
+    }
+  }
+
+  return {
+    topics: Array.isArray(repo.topics) ? repo.topics : [],
+    license: repo.license ? (repo.license.spdx_id || repo.license.name) : null,
+    homepage: repo.homepage || null,
+    createdAt: repo.created_at || null,
+    pushedAt: repo.pushed_at || null,
+    readmeExcerpt: toReadmeExcerpt(readme)
+  };
+}
+
+/**
+ * 获取仓库元数据，优先使用有效缓存
+ * 请求失败时回退到过期缓存；离线模式只读取缓存
+ * @param {string} repoName - 仓库全名
+ * @param {Object} options - { offline }
+ * @returns {Promise<Object|null>} 仓库元数据，无法获取时返回 null
+ */
+async function getRepoMetadata(repoName, options = {}) {
+  const cached = readCache(repoName);
+
+  if (options.offline) {
+    return cached ? cached.metadata : null;
+  }
+
+  if (isCacheFresh(cached)) {
+    return cached.metadata;
+  }
+
+  try {
+    const metadata = await fetchRepoMetadata(repoName);
+    writeCache(repoName, metadata);
+    return metadata;
+  } catch (error) {
+    console.warn(`获取 ${repoName} 元数据失败: ${error.message}${cached ? '，使用过期缓存' : ''}`);
+    return cached ? cached.metadata : null;
+  }
+}
+
+/**
+ * 为一个 Trending 数据文件补充元数据并写回
+ * @param {string} filePath - 数据文件路径
+ * @param {Object} options - { offline }
+ * @returns {Promise<Object>} { total, enriched }
+ */
+async function enrichFile(filePath, options = {}) {
+  const raw = dataProcessor.safeReadJSON(filePath, null);
+  if (!raw) {
+    throw new Error(`无法读取数据文件: ${filePath}`);
+  }
+
+  // 写回时统一升级为当前 schema 版本
+  const file = schema.upgradeTrendingFile(raw, {
+    capturedAt: dataProcessor.getLegacyCapturedAt(path.basename(filePath))
+  });
+
+  let enriched = 0;
+  for (const repo of file.repositories) {
+    if (!repo || !repo.name) continue;
+    const metadata = await getRepoMetadata(repo.name, options);
+    if (metadata) {
+      repo.metadata = metadata;
+      enriched++;
+    }
+  }
+
+  fs.writeFileSync(filePath, JSON.stringify(file, null, 2), 'utf8');
+  return { total: file.repositories.length, enriched };
+}
+
+/**
+ * 解析命令行参数
+ * @param {Array} argv - 命令行参数
+ * @returns {Object} { date, offline }
+ */
+function parseArgs(argv) {
+  const options = { date: null, offline: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--offline') {
+      options.offline = true;
+    } else if (arg === '--date') {
+      options.date = argv[++i] || null;
+    } else if (arg.startsWith('--date=')) {
+      options.date = arg.slice('--date='.length);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    // 获取报告日期（按配置时区计算，可用 --date 或 REPORT_DATE 覆盖）
+    const targetDate = reportDate.getReportDate({ date: options.date });
+
+    // 补充当天所有 Trending 变体的数据文件
+    const dataDir = config.directories.data;
+    const files = fs.readdirSync(dataDir).filter(file => {
+      const parsed = dataProcessor.parseTrendingFileName(file);
+      return parsed !== null && parsed.date === targetDate;
+    });
+
+    if (files.length === 0) {
+      console.warn(`未找到 ${targetDate} 的 trending 数据文件，跳过元数据补充`);
+      return;
+    }
+
+    console.log(`正在为 ${targetDate} 的 ${files.length} 个数据文件补充仓库元数据${options.offline ? '（离线模式）' : ''}...`);
+
+    for (const file of files) {
+      const { total, enriched } = await enrichFile(path.join(dataDir, file), options);
+      console.log(`  ✓ ${file}: ${enriched}/${total} 个仓库已补充元数据`);
+    }
+
+    console.log('元数据补充完成！');
+  } catch (error) {
+    console.error('补充仓库元数据时发生错误:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  getRepoMetadata,
+  enrichFile,
+  toReadmeExcerpt
+};
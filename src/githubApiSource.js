@@ -0,0 +1,121 @@
+/**
+ * GitHub Search API 数据源
+ * 用 Search API 近似 Trending：查询时间窗口内新创建（或有推送）的仓库，按 Star 数降序排列
+ * 返回与 HTML 爬虫相同结构的记录，summarize.js 和 dataProcessor.js 无需区分数据来源
+ */
+
+const axios = require('axios');
+const config = require('./config');
+const reportDate = require('./reportDate');
+
+/**
+ * 构建 GitHub API 请求头
+ * @param {string} accept - Accept 头，默认返回 JSON
+ * @returns {Object} 请求头对象，设置了 GITHUB_TOKEN 时附带认证信息
+ */
+function buildApiHeaders(accept = 'application/vnd.github+json') {
+  const headers = {
+    'Accept': accept,
+    'X-GitHub-Api-Version': '2022-11-28',
+    'User-Agent': 'github-trending-report'
+  };
+  if (config.githubApi.token) {
+    headers['Authorization'] = `Bearer ${config.githubApi.token}`;
+  }
+  return headers;
+}
+
+/**
+ * 构建 Search API 查询语句
+ * 时间窗口截止到报告日期，补抓历史日期（--date / REPORT_DATE）时查询的是那一天之前的窗口
+ * @param {Object} options - { language, since, date }，date 为报告日期 YYYY-MM-DD，默认为当前报告日期
+ * @returns {string} 查询语句，例如 "created:2026-02-21..2026-02-22 language:rust"
+ */
+function buildSearchQuery({ language = '', since = 'daily', date } = {}) {
+  const apiConfig = config.githubApi;
+  const lookbackDays = apiConfig.lookbackDays[since] || apiConfig.lookbackDays.daily;
+  const windowEnd = date || reportDate.getReportDate();
+  const windowStart = reportDate.addDays(windowEnd, -lookbackDays);
+
+  const qualifiers = [`${apiConfig.dateQualifier}:${windowStart}..${windowEnd}`];
+  if (language && language !== 'all') {
+    qualifiers.push(`language:${language.toLowerCase()}`);
+  }
+  return qualifiers.join(' ');
+}
+
+/**
+ * 将 Search API 返回的仓库转换为 Trending 记录
+ * @param {Object} item - Search API 返回的仓库对象
+ * @param {number} index - 排名下标
+ * @returns {Object} 与 HTML 爬虫相同结构的记录
+ */
+function toTrendingRecord(item, index) {
+  const owner = item.owner || {};
+  return {
+    rank: index + 1,
+    name: item.full_name,
+    url: `https://github.com/${item.full_name}`,
+    description: item.description ? item.description.trim() : 'No description',
+    stars: item.stargazers_count || 0,
+    language: item.language || 'Unknown',
+    // Search API 无法提供时间窗口内的新增 Star 数
+    starsToday: null,
+    forks: item.forks_count || 0,
+    builtBy: owner.login ? [{
+      login: owner.login,
+      url: `https://github.com/${owner.login}`,
+      avatar: owner.avatar_url || ''
+    }] : []
+  };
+}
+
+/**
+ * 通过 Search API 获取近似的 Trending 仓库
+ * @param {Object} options - 抓取选项 { language, since, date }，date 为报告日期
+ * @returns {Promise<Array>} Trending 记录数组
+ */
+async function fetchRepositories(options = {}) {
+  const apiConfig = config.githubApi;
+  const query = buildSearchQuery(options);
+  const url = `${apiConfig.baseUrl.replace(/\/+$/, '')}/search/repositories`;
+  console.log(`正在调用 GitHub Search API: ${url} q="${query}"`);
+
+  const headers = buildApiHeaders();
+  if (!apiConfig.token) {
+    console.warn('未设置 GITHUB_TOKEN，Search API 将使用匿名配额（每分钟 10 次）');
+  }
+
+  try {
+    const response = await axios.get(url, {
+      headers,
+      params: {
+        q: query,
+        sort: 'stars',
+        order: 'desc',
+        per_page: config.trending.topN
+      },
+      timeout: apiConfig.timeout
+    });
+
+    const items = Array.isArray(response.data.items) ? response.data.items : [];
+    const repositories = items.slice(0, config.trending.topN).map(toTrendingRecord);
+    console.log(`成功获取 ${repositories.length} 个仓库信息`);
+    return repositories;
+  } catch (error) {
+    const status = error.response ? error.response.status : null;
+    if (status === 403 || status === 429) {
+      console.error('GitHub Search API 触发速率限制，请在 .env 中设置 GITHUB_TOKEN');
+    }
+    console.error('调用 GitHub Search API 时发生错误:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  name: 'github-api',
+  fetchRepositories,
+  buildApiHeaders,
+  buildSearchQuery,
+  toTrendingRecord
+};
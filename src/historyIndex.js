@@ -0,0 +1,185 @@
+/**
+ * 历史数据索引模块
+ * 把 data/ 下所有 trending_*.json 和 developers_*.json 的解析结果保存在追加写入的 NDJSON 文件
+ * （data/history_index.ndjson）中，每行对应一个数据文件，后写入的行覆盖同名文件之前的行
+ *
+ * 每个进程第一次查询时同步一次索引：只解析新增或有变化（大小、修改时间不同）的数据文件并追加到索引，
+ * 之后排行榜、统计和历史页面都直接查询内存中的索引，不再重复读取和解析数据文件
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const config = require('./config');
+const schema = require('./schema');
+
+// 索引文件格式版本，格式变化时递增，旧索引会被整体重建
+const INDEX_VERSION = 1;
+
+// 内存中的索引：数据文件名 -> { file, mtimeMs, size, data }
+let indexEntries = null;
+
+/**
+ * 获取索引文件路径
+ * @returns {string} 索引文件路径
+ */
+function getIndexPath() {
+  return path.join(config.directories.data, config.filePatterns.historyIndexFile);
+}
+
+/**
+ * 判断数据文件是否需要索引
+ * @param {string} file - 文件名
+ * @returns {boolean} 是否为 trending_*.json 或 developers_*.json
+ */
+function isIndexedFile(file) {
+  const { trendingPrefix, developersPrefix, trendingExt } = config.filePatterns;
+  return (file.startsWith(trendingPrefix) || file.startsWith(developersPrefix)) && file.endsWith(trendingExt);
+}
+
+/**
+ * 将数据文件内容转换为索引中保存的数组
+ * Trending 文件兼容任意 schema 版本，统一保存为仓库数组
+ * @param {string} file - 文件名
+ * @param {Array|Object} raw - 数据文件的 JSON 内容
+ * @returns {Array} 数据数组
+ */
+function normalizeData(file, raw) {
+  if (file.startsWith(config.filePatterns.trendingPrefix)) {
+    return schema.readRepositories(raw);
+  }
+  return Array.isArray(raw) ? raw : [];
+}
+
+/**
+ * 读取磁盘上的索引文件
+ * @returns {Object} { entries, lineCount }，索引不存在、版本不符或损坏时返回空索引
+ */
+function loadIndexFile() {
+  const entries = new Map();
+  const indexPath = getIndexPath();
+
+  if (!fs.existsSync(indexPath)) {
+    return { entries, lineCount: 0 };
+  }
+
+  try {
+    const lines = fs.readFileSync(indexPath, 'utf8').split('\n').filter(Boolean);
+    const header = lines.length > 0 ? JSON.parse(lines[0]) : null;
+    if (!header || header.version !== INDEX_VERSION) {
+      return { entries, lineCount: 0 };
+    }
+
+    for (const line of lines.slice(1)) {
+      const entry = JSON.parse(line);
+      entries.set(entry.file, entry);
+    }
+    return { entries, lineCount: lines.length };
+  } catch (error) {
+    console.warn('历史数据索引已损坏，将重新建立:', error.message);
+    return { entries: new Map(), lineCount: 0 };
+  }
+}
+
+/**
+ * 重写整个索引文件（去掉被覆盖和已删除文件的行）
+ * @param {Map} entries - 索引条目
+ */
+function writeIndexFile(entries) {
+  const lines = [JSON.stringify({ version: INDEX_VERSION })];
+  for (const entry of entries.values()) {
+    lines.push(JSON.stringify(entry));
+  }
+  fs.writeFileSync(getIndexPath(), lines.join('\n') + '\n', 'utf8');
+}
+
+/**
+ * 将数据目录与索引同步
+ * 新增或有变化的文件会被解析并追加到索引末尾；被覆盖的旧行超过有效行数时整体重写索引
+ * @returns {Map} 同步后的索引条目
+ */
+function syncIndex() {
+  const dataDir = config.directories.data;
+  if (!fs.existsSync(dataDir)) {
+    console.warn('数据目录不存在:', dataDir);
+    return new Map();
+  }
+
+  const { entries, lineCount } = loadIndexFile();
+  const appended = [];
+  const present = new Set();
+
+  for (const file of fs.readdirSync(dataDir).filter(isIndexedFile)) {
+    present.add(file);
+    const stat = fs.statSync(path.join(dataDir, file));
+    const cached = entries.get(file);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+      continue;
+    }
+
+    try {
+      const raw = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+      const entry = { file, mtimeMs: stat.mtimeMs, size: stat.size, data: normalizeData(file, raw) };
+      entries.set(file, entry);
+      appended.push(entry);
+    } catch (error) {
+      // 解析失败的文件不进入索引，下次同步时重试
+      console.error('读取历史数据文件失败:', file, error.message);
+      entries.delete(file);
+    }
+  }
+
+  const removed = Array.from(entries.keys()).filter(file => !present.has(file));
+  removed.forEach(file => entries.delete(file));
+
+  try {
+    const staleLines = Math.max(lineCount - 1, 0) + appended.length - entries.size;
+    if (lineCount === 0 || removed.length > 0 || staleLines > entries.size) {
+      writeIndexFile(entries);
+    } else if (appended.length > 0) {
+      fs.appendFileSync(getIndexPath(), appended.map(entry => JSON.stringify(entry)).join('\n') + '\n', 'utf8');
+    }
+  } catch (error) {
+    // 索引写入失败只影响下次启动的速度，不影响本次查询
+    console.warn('写入历史数据索引失败:', error.message);
+  }
+
+  return entries;
+}
+
+/**
+ * 获取索引条目，同一进程内只同步一次
+ * @returns {Map} 数据文件名 -> { file, mtimeMs, size, data }
+ */
+function getIndexedEntries() {
+  if (!indexEntries) {
+    indexEntries = syncIndex();
+  }
+  return indexEntries;
+}
+
+/**
+ * 获取某个数据文件在索引中的数据
+ * @param {string} file - 数据文件名
+ * @returns {Array|null} 数据数组，文件不存在时返回 null
+ */
+function getIndexedData(file) {
+  const entry = getIndexedEntries().get(file);
+  return entry ? entry.data : null;
+}
+
+/**
+ * 丢弃内存中的索引并重新同步
+ * 同一进程内写入数据文件后，需要调用它才能查询到新数据
+ * @returns {Map} 同步后的索引条目
+ */
+function refreshHistoryIndex() {
+  indexEntries = null;
+  return getIndexedEntries();
+}
+
+module.exports = {
+  getIndexedEntries,
+  getIndexedData,
+  refreshHistoryIndex
+};
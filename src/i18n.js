@@ -0,0 +1,169 @@
+/**
+ * 多语言模块
+ * 功能：读取 src/locales/ 下的界面文字，提供各语言的日报文件名、日期格式和徽章、分类、排序策略的名称
+ *
+ * 基础语言（config.i18n.baseLanguage）的日报文件名不带后缀，其他语言在日期之后加上 fileSuffix，
+ * 例如 daily_2026-02-28.md 和 daily_2026-02-28.en.md
+ */
+
+const config = require('./config');
+
+// 已加载的界面文字：语言 -> 合并了基础语言之后的文字
+const stringsCache = {};
+
+/**
+ * 获取语言设置
+ * @param {string} language - 语言，例如 zh、en
+ * @returns {Object} { id, label, htmlLang, fileSuffix, promptName, translatedDescriptions }
+ */
+function getLocale(language) {
+  const locale = config.i18n.locales[language];
+  if (!locale) {
+    throw new Error(`未知的语言: ${language}（可选：${Object.keys(config.i18n.locales).join(' / ')}）`);
+  }
+  return { id: language, ...locale };
+}
+
+/**
+ * 获取要生成的语言列表，基础语言（如果在列表中）排在第一位
+ * @param {Array} languages - 语言数组，不传时使用 config.i18n.languages
+ * @returns {Array} 去重并检查过的语言数组
+ */
+function getLanguages(languages = config.i18n.languages) {
+  const unique = [...new Set(languages)];
+  unique.forEach(getLocale);
+  const base = config.i18n.baseLanguage;
+  return unique.includes(base) ? [base, ...unique.filter(language => language !== base)] : unique;
+}
+
+/**
+ * 深度合并界面文字，target 中缺少的条目使用 fallback 中的值
+ * @param {Object} fallback - 基础语言的文字
+ * @param {Object} target - 目标语言的文字
+ * @returns {Object} 合并后的文字
+ */
+function mergeStrings(fallback, target) {
+  const result = { ...fallback };
+  for (const [key, value] of Object.entries(target || {})) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    result[key] = isObject ? mergeStrings(fallback[key] || {}, value) : value;
+  }
+  return result;
+}
+
+/**
+ * 获取某种语言的界面文字
+ * @param {string} language - 语言，不传时为基础语言
+ * @returns {Object} 界面文字，缺少的条目回退到基础语言
+ */
+function getStrings(language = config.i18n.baseLanguage) {
+  if (!stringsCache[language]) {
+    getLocale(language);
+    const base = require(`./locales/${config.i18n.baseLanguage}`);
+    stringsCache[language] = language === config.i18n.baseLanguage
+      ? base
+      : mergeStrings(base, require(`./locales/${language}`));
+  }
+  return stringsCache[language];
+}
+
+/**
+ * 替换文字中的 {name} 占位符
+ * @param {string} template - 文字模板
+ * @param {Object} params - 占位符名称 -> 值
+ * @returns {string} 替换后的文字，没有取值的占位符保持不变
+ */
+function format(template, params = {}) {
+  return String(template).replace(/\{(\w+)\}/g, (placeholder, name) =>
+    (Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : placeholder)
+  );
+}
+
+/**
+ * 获取某种语言的日报文件名
+ * @param {string} date - 日期 YYYY-MM-DD
+ * @param {string} language - 语言
+ * @param {string} ext - 扩展名，例如 .md、.html、.json
+ * @returns {string} 例如 daily_2026-02-28.en.html
+ */
+function getReportFileName(date, language, ext) {
+  return `${config.filePatterns.markdownPrefix}${date}${getLocale(language).fileSuffix}${ext}`;
+}
+
+/**
+ * 按语言格式化侧边栏历史列表中的日期
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {string} language - 语言
+ * @returns {string} 例如 2026年2月28日、February 28, 2026
+ */
+function formatHistoryDate(dateStr, language) {
+  const [year, month, day] = dateStr.split('-');
+  const monthName = new Date(`${dateStr}T00:00:00Z`)
+    .toLocaleDateString(getLocale(language).htmlLang, { month: 'long', timeZone: 'UTC' });
+  return format(getStrings(language).sidebar.historyDate, {
+    year,
+    month: parseInt(month, 10),
+    day: parseInt(day, 10),
+    monthName
+  });
+}
+
+/**
+ * 获取项目分类的显示名称
+ * @param {string} id - 分类 id
+ * @param {string} language - 语言
+ * @returns {string|null} 界面文字中的分类名称，没有时返回 null（由调用方回退到配置中的 label）
+ */
+function getCategoryName(id, language) {
+  return getStrings(language).categories[id] || null;
+}
+
+/**
+ * 获取徽章的显示文字
+ * @param {Object} badge - { type, label, days }
+ * @param {string} language - 语言
+ * @returns {string} 徽章文字，界面文字中没有该类型时使用徽章自带的 label
+ */
+function getBadgeLabel(badge, language) {
+  const template = getStrings(language).badges[badge.type];
+  // 旧的徽章数据没有 days 字段，只能使用自带的 label
+  if (!template || (template.includes('{days}') && typeof badge.days !== 'number')) {
+    return badge.label;
+  }
+  return format(template, { days: badge.days });
+}
+
+/**
+ * 生成前端脚本使用的页面语言信息
+ * @param {string} language - 语言
+ * @returns {Object} { language, fileSuffix, translatedDescriptions, strings }
+ */
+function getClientLocale(language) {
+  const locale = getLocale(language);
+  const strings = getStrings(language);
+  return {
+    language,
+    fileSuffix: locale.fileSuffix,
+    translatedDescriptions: locale.translatedDescriptions,
+    strings: {
+      ...strings.script,
+      strategies: strings.strategies,
+      categories: strings.categories,
+      badges: strings.badges,
+      monthPlaceholder: strings.sidebar.monthPlaceholder,
+      dayPlaceholder: strings.sidebar.dayPlaceholder
+    }
+  };
+}
+
+module.exports = {
+  getLocale,
+  getLanguages,
+  getStrings,
+  format,
+  getReportFileName,
+  formatHistoryDate,
+  getCategoryName,
+  getBadgeLabel,
+  getClientLocale
+};
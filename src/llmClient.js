@@ -0,0 +1,371 @@
+/**
+ * 大模型客户端模块
+ * 功能：AI 总结、周报 / 月报、描述翻译和项目分类共用的大模型调用入口，统一处理超时、失败重试（指数退避）、
+ * 并发数和请求间隔限制；具体的调用方式由可替换的大模型服务（provider）实现
+ *
+ * 内置大模型服务：
+ *   openai - OpenAI 兼容接口，地址和模型见 config.openai（OPENAI_BASE_URL / OPENAI_MODEL）
+ *   mock   - 离线模拟服务，根据提示词中的数据确定性地生成符合格式的输出，不访问网络，用于测试整条流程
+ *
+ * 每个大模型服务实现 complete(request, { signal })，返回 Promise<string>（大模型输出的文本）；
+ * model() 返回所用模型名称。请求失败时抛出的错误带有 retryable 标记，为 true 时由客户端重试
+ *
+ * 调用方在 request.task 中说明任务类型（daily_report、digest、translation、classification），
+ * mock 服务据此生成对应格式的输出
+ */
+
+const { OpenAI } = require('openai');
+
+const config = require('./config');
+
+// 可重试的 HTTP 状态码：请求超时、冲突、限流和服务端错误
+const RETRYABLE_STATUS = new Set([408, 409, 429]);
+
+// OpenAI SDK 客户端（首次使用时创建）
+let openaiClient = null;
+
+// 按服务名称缓存的共享客户端，见 getClient
+const clients = {};
+
+/**
+ * 获取 OpenAI SDK 客户端
+ * 超时和重试由 llmClient 统一处理，SDK 自身不重试
+ * @returns {OpenAI} OpenAI 客户端实例
+ */
+function getOpenAIClient() {
+  if (!config.openai.apiKey) {
+    throw new Error('请在 .env 文件中设置 OPENAI_API_KEY，或设置 LLM_PROVIDER=mock 使用离线模拟服务');
+  }
+
+  if (!openaiClient) {
+    const options = {
+      apiKey: config.openai.apiKey,
+      maxRetries: 0
+    };
+    if (config.openai.baseURL) {
+      options.baseURL = config.openai.baseURL;
+    }
+    openaiClient = new OpenAI(options);
+  }
+
+  return openaiClient;
+}
+
+/**
+ * 调用 OpenAI 兼容接口
+ * @param {Object} request - { messages, temperature, maxTokens, model }
+ * @param {Object} options - { signal }，用于超时时中止请求
+ * @returns {Promise<string>} 大模型输出的文本
+ */
+async function completeWithOpenAI(request, options = {}) {
+  const openai = getOpenAIClient();
+  const body = {
+    model: request.model || config.openai.model,
+    messages: request.messages,
+    temperature: request.temperature
+  };
+  if (request.maxTokens) {
+    body.max_tokens = request.maxTokens;
+  }
+
+  try {
+    const response = await openai.chat.completions.create(body, { signal: options.signal });
+    return response.choices[0].message.content;
+  } catch (error) {
+    // 没有状态码的是网络错误，可以重试；4xx（限流等除外）重试也不会成功
+    error.retryable = typeof error.status !== 'number' || RETRYABLE_STATUS.has(error.status) || error.status >= 500;
+    if (error.status === 400 || error.status === 404) {
+      console.log('可能是模型不存在，请检查 OPENAI_MODEL 环境变量设置');
+    }
+    throw error;
+  }
+}
+
+/**
+ * 从文本中提取第一个完整的 JSON 值（对象或数组）
+ * 按括号配对查找结束位置，跳过字符串中的括号
+ * @param {string} text - 文本
+ * @param {string} open - 起始字符，{ 或 [
+ * @returns {*} 解析后的值，找不到时返回 null
+ */
+function extractJSON(text, open) {
+  const close = open === '{' ? '}' : ']';
+  const start = String(text || '').indexOf(open);
+  if (start === -1) {
+    return null;
+  }
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === open) {
+      depth++;
+    } else if (char === close && --depth === 0) {
+      return JSON.parse(text.slice(start, i + 1));
+    }
+  }
+  return null;
+}
+
+/**
+ * 获取请求中最后一条用户消息
+ * @param {Object} request - 请求
+ * @returns {string} 消息内容
+ */
+function getLastUserMessage(request) {
+  const messages = request.messages.filter(message => message.role === 'user');
+  return messages.length > 0 ? String(messages[messages.length - 1].content) : '';
+}
+
+// mock 服务的输出：任务类型 -> 根据请求生成输出对象的函数
+const MOCK_RESPONDERS = {
+  // 日报：按数据中的顺序为每个项目生成点评，推荐指数按名次递减
+  daily_report: request => {
+    // 第一条用户消息中的项目数据（修正请求中的最后一条消息没有数据）
+    const user = String(request.messages.find(message => message.role === 'user').content);
+    const projects = (extractJSON(user.slice(user.search(/\[\s*[{\]]/)), '[') || [])
+      .filter(repo => repo && repo.name);
+    return {
+      title: `GitHub Trending 模拟日报（${projects.length} 个项目）`,
+      intro: '这是由离线模拟服务生成的日报，内容根据当天的 Trending 数据拼接而成。',
+      projects: projects.map((repo, index) => ({
+        repo: repo.name,
+        summary: repo.description || repo.name,
+        details: `${repo.name}${repo.language ? `（${repo.language}）` : ''}：${repo.description || '暂无描述'}` +
+          (typeof repo.starsToday === 'number' ? `，今日新增 ${repo.starsToday} star。` : '。'),
+        rating: Math.max(1, 5 - Math.floor(index / 3)),
+        ratingReason: '模拟数据，按上榜名次给出推荐指数'
+      })),
+      closing: '以上内容由离线模拟服务生成。'
+    };
+  },
+
+  // 周报 / 月报：根据统计数据生成各部分点评
+  digest: request => {
+    const data = extractJSON(getLastUserMessage(request), '{') || {};
+    const names = items => (Array.isArray(items) && items.length > 0
+      ? items.slice(0, 3).map(item => item.name || item.language).join('、')
+      : '本期没有数据');
+    return {
+      title: `GitHub Trending 模拟${data.leaderboard && data.leaderboard.length > 0 ? `：${data.leaderboard[0].name} 领跑` : '点评'}`,
+      overview: '这是由离线模拟服务生成的点评，内容根据本期的统计数据拼接而成。',
+      leaderboard: `排名靠前的项目：${names(data.leaderboard)}。`,
+      movers: `增长最快的项目：${names(data.movers)}。`,
+      newEntrants: `值得关注的新上榜项目：${names(data.newEntrants)}。`,
+      languages: `占比最高的语言：${names(data.languages)}。`,
+      closing: '以上内容由离线模拟服务生成。'
+    };
+  },
+
+  // 翻译：原样返回，不做翻译
+  translation: request => extractJSON(getLastUserMessage(request), '[') || [],
+
+  // 分类：不返回任何结果，由规则分类兜底
+  classification: () => ({})
+};
+
+/**
+ * 离线模拟大模型服务
+ * @param {Object} request - { task, messages, ... }
+ * @returns {Promise<string>} JSON 文本
+ */
+async function completeWithMock(request) {
+  const responder = MOCK_RESPONDERS[request.task];
+  if (!responder) {
+    const error = new Error(`离线模拟服务不支持任务类型: ${request.task}（可选：${Object.keys(MOCK_RESPONDERS).join(' / ')}）`);
+    error.retryable = false;
+    throw error;
+  }
+  return JSON.stringify(responder(request), null, 2);
+}
+
+// 大模型服务注册表：名称 -> { label, complete(request, { signal }), model() }
+const LLM_PROVIDERS = {
+  openai: {
+    label: 'OpenAI 兼容接口',
+    complete: completeWithOpenAI,
+    model: () => config.openai.model
+  },
+  mock: {
+    label: '离线模拟服务',
+    complete: completeWithMock,
+    model: () => 'mock'
+  }
+};
+
+/**
+ * 注册自定义大模型服务
+ * @param {string} name - 服务名称，可在 config.llm.provider 中使用
+ * @param {Object} provider - { label, complete(request, { signal }), model() }，complete 返回 Promise<string>
+ */
+function registerLLMProvider(name, provider) {
+  if (!provider || typeof provider.complete !== 'function' || typeof provider.model !== 'function') {
+    throw new Error(`大模型服务 ${name} 缺少 complete 或 model 函数`);
+  }
+  LLM_PROVIDERS[name] = { label: provider.label || name, complete: provider.complete, model: provider.model };
+  delete clients[name];
+}
+
+/**
+ * 获取大模型服务
+ * @param {string} name - 服务名称
+ * @returns {Object} 大模型服务
+ */
+function getLLMProvider(name) {
+  const provider = LLM_PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`未知的大模型服务: ${name}（可选：${Object.keys(LLM_PROVIDERS).join(' / ')}）`);
+  }
+  return provider;
+}
+
+/**
+ * 等待一段时间
+ * @param {number} ms - 毫秒
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 计算第 attempt 次失败后的等待时间
+ * 按 retryBaseDelay 指数增长，不超过 retryMaxDelay；服务端返回 Retry-After 时至少等待该时长
+ * @param {number} attempt - 已失败的次数
+ * @param {Error} error - 请求错误
+ * @param {Object} settings - 客户端配置
+ * @returns {number} 毫秒
+ */
+function getRetryDelay(attempt, error, settings) {
+  const delay = Math.min(settings.retryBaseDelay * Math.pow(2, attempt - 1), settings.retryMaxDelay);
+  const retryAfter = error.headers && typeof error.headers.get === 'function'
+    ? parseFloat(error.headers.get('retry-after'))
+    : NaN;
+  return Number.isFinite(retryAfter) ? Math.max(delay, Math.min(retryAfter * 1000, settings.retryMaxDelay)) : delay;
+}
+
+/**
+ * 创建大模型客户端
+ * 同一个客户端发出的请求共享并发数和请求间隔限制
+ * @param {Object} options - { provider, timeout, maxRetries, retryBaseDelay, retryMaxDelay, concurrency, minInterval }，
+ *   不传的项使用 config.llm 中的值
+ * @returns {Object} { provider, model, complete(request) }
+ */
+function createClient(options = {}) {
+  const settings = { ...config.llm, ...options };
+  const provider = getLLMProvider(settings.provider);
+
+  // 等待空闲名额的请求
+  const queue = [];
+  let active = 0;
+  let lastStartedAt = 0;
+
+  /**
+   * 占用一个并发名额，并保证与上一个请求的开始时间至少间隔 minInterval
+   * 没有空闲名额时排队，由 release 把名额直接交给队首的请求
+   * @returns {Promise<void>}
+   */
+  async function acquire() {
+    if (active < settings.concurrency) {
+      active++;
+    } else {
+      await new Promise(resolve => queue.push(resolve));
+    }
+
+    const wait = lastStartedAt + settings.minInterval - Date.now();
+    lastStartedAt = Date.now() + Math.max(wait, 0);
+    if (wait > 0) {
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * 释放并发名额：有排队的请求时直接交给它（active 不变），否则归还名额
+   * 先减少 active 再唤醒会让新到的请求在唤醒前抢走名额，使并发数超过 concurrency
+   */
+  function release() {
+    if (queue.length > 0) {
+      queue.shift()();
+    } else {
+      active--;
+    }
+  }
+
+  /**
+   * 发出一次请求，超过 timeout 时中止
+   * @param {Object} request - 请求
+   * @returns {Promise<string>} 大模型输出的文本
+   */
+  async function attempt(request) {
+    await acquire();
+
+    // 超时从请求真正发出时开始计算，不包括排队等待的时间
+    const timeout = request.timeout || settings.timeout;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      return await provider.complete(request, { signal: controller.signal });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        const timeoutError = new Error(`大模型请求超时（${timeout}ms）`);
+        timeoutError.retryable = true;
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      release();
+    }
+  }
+
+  return {
+    provider: settings.provider,
+    model: provider.model(),
+
+    /**
+     * 调用大模型
+     * 可重试的错误（网络错误、超时、限流、服务端错误）按指数退避重试，最多重试 maxRetries 次
+     * @param {Object} request - { task, messages, temperature, maxTokens, timeout }
+     * @returns {Promise<string>} 大模型输出的文本
+     */
+    async complete(request) {
+      for (let failures = 0; ; failures++) {
+        try {
+          return await attempt(request);
+        } catch (error) {
+          if (!error.retryable || failures >= settings.maxRetries) {
+            throw error;
+          }
+          const delay = getRetryDelay(failures + 1, error, settings);
+          console.warn(`大模型请求失败（${failures + 1}/${settings.maxRetries + 1}），${delay}ms 后重试:`, error.message);
+          await sleep(delay);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * 获取共享的大模型客户端（各模块共用并发数和请求间隔限制）
+ * @param {string} providerName - 服务名称，默认取 config.llm.provider
+ * @returns {Object} 大模型客户端
+ */
+function getClient(providerName = config.llm.provider) {
+  if (!clients[providerName]) {
+    clients[providerName] = createClient({ provider: providerName });
+  }
+  return clients[providerName];
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  registerLLMProvider,
+  createClient,
+  getClient
+};
@@ -0,0 +1,181 @@
+/**
+ * English UI strings
+ * 缺少的条目回退到简体中文（zh.js）
+ */
+
+module.exports = {
+  page: {
+    titlePrefix: 'GitHub Digest',
+    heading: '🌟 GitHub Trending Digest',
+    subtitle: 'Hand-picked trending open source projects, every day',
+    developersTitle: '👩‍💻 Trending Developers Today',
+    languageLabel: '🌐 Language:',
+    loading: 'Loading...'
+  },
+
+  sidebar: {
+    historyTitle: '📅 Past Reports',
+    noHistory: 'No past reports',
+    historyDate: '{monthName} {day}, {year}',
+    rankingTitle: '🔥 Top Projects',
+    developerRankingTitle: '👩‍💻 Top Developers',
+    statsLinkTitle: '📊 Languages & Topics',
+    digestTitle: '📚 Weekly & Monthly Digests',
+    noDigest: 'No digests yet',
+    weeklyLabel: 'Week {week}, {year}',
+    monthlyLabel: '{monthName} {year}',
+    timeRangeLabel: 'Time range:',
+    timeRanges: {
+      week: 'Past week',
+      month: 'Past month',
+      quarter: 'Past quarter'
+    },
+    rankingModeLabel: 'Sort by:',
+    rankingCategoryLabel: 'Category:',
+    allCategoriesLabel: 'All categories',
+    yearPlaceholder: 'Year',
+    monthPlaceholder: 'Month',
+    dayPlaceholder: 'Day'
+  },
+
+  card: {
+    unknownProject: 'Unknown project',
+    empty: 'N/A',
+    summary: '🎯 In one line:',
+    details: '💡 Details:',
+    link: '🔗 Repository:',
+    stars: '✨ Stars:',
+    starsToday: '📈 Today:',
+    forks: '🍴 Forks:',
+    rating: '⭐ Rating:',
+    noDescription: 'No description'
+  },
+
+  markdown: {
+    summary: 'In one line',
+    details: 'Details',
+    link: 'Repository',
+    stars: 'Stars',
+    starsToday: 'Stars today',
+    forks: 'Forks',
+    rating: 'Rating',
+    separator: ': '
+  },
+
+  strategies: {
+    combined: 'Overall score',
+    appearances: 'Appearances',
+    position: 'Rank-weighted',
+    recency: 'Recency-weighted',
+    velocity: 'Fastest growing'
+  },
+
+  categories: {
+    ai: '🤖 AI / Agents',
+    devtools: '🛠️ Dev tools',
+    infra: '☁️ Infrastructure',
+    security: '🔒 Security',
+    frontend: '🎨 Frontend',
+    data: '📊 Data',
+    mobile: '📱 Mobile'
+  },
+
+  badges: {
+    new: 'NEW',
+    streak: '🔥 {days}-day streak',
+    returning: '↩️ Back after {days} days'
+  },
+
+  digest: {
+    periodTypes: {
+      weekly: 'weekly digest',
+      monthly: 'monthly digest'
+    },
+    subtitle: 'A look back at the GitHub Trending leaderboard, fastest growing projects, newcomers and language trends',
+    backLink: '← Back to daily report',
+    archiveTitle: '📚 Past Digests',
+    periodRange: '{label} ({start} to {end}, {days} days of data)',
+    sections: {
+      leaderboard: '🏆 Leaderboard',
+      movers: '🚀 Fastest Growing',
+      newEntrants: '🌱 Newcomers',
+      languages: '🧭 Language Trends'
+    },
+    columns: {
+      project: 'Project',
+      summary: 'Description',
+      days: 'Days on list',
+      stars: 'Stars',
+      rankChange: 'vs. last period',
+      starsGained: 'Stars gained',
+      starsPerDay: 'Per day',
+      firstSeen: 'First seen',
+      bestRank: 'Best rank',
+      language: 'Language',
+      appearances: 'Appearances',
+      share: 'Share',
+      shareChange: 'vs. last period'
+    },
+    newEntry: '🆕 New',
+    noData: 'No data'
+  },
+
+  stats: {
+    title: 'Languages & Topics',
+    heading: '📊 Languages & Topics',
+    subtitle: 'Share of programming languages and topics across daily Trending appearances',
+    asOf: '📅 As of {date}',
+    backLink: '← Back to daily report',
+    trendTitle: '📈 Language Share Over Time',
+    trendNotEnoughData: 'Not enough data: at least two periods are needed to show a trend',
+    noData: 'No data',
+    noTopics: 'No topic data yet (run npm run enrich to add repository metadata)',
+    summary: '{total} appearances across {count} languages',
+    languageShare: 'Language share',
+    languageRepos: 'Top repositories by language',
+    languageColumn: 'Language',
+    reposColumn: 'Repositories (appearances)',
+    topics: 'Top topics',
+    shareText: '{share}% ({count}×)',
+    repoCount: '{repo} ({count}×)',
+    repoSeparator: ', ',
+    unknownLanguage: 'Unknown',
+    otherLanguage: 'Other'
+  },
+
+  repoPage: {
+    backLink: '← Back to daily report',
+    starCurveTitle: '📈 Star History',
+    starCurveLabel: 'Star history',
+    noStars: 'No star data yet',
+    historyTitle: '📅 Trending History',
+    summariesTitle: '🤖 AI Reviews',
+    noSummaries: 'No AI reviews yet',
+    firstSeen: '🗓️ First seen {value}',
+    lastSeen: '🕒 Last seen {value}',
+    totalDays: '📅 {value} days on the list',
+    longestStreak: '🔥 Longest streak: {value} days',
+    bestRank: '🏆 Best rank {value}',
+    columns: {
+      date: 'Date',
+      rank: 'Rank',
+      stars: 'Stars',
+      starsToday: 'Stars today'
+    }
+  },
+
+  script: {
+    loading: 'Loading data...',
+    noData: 'No data yet',
+    noDescription: 'No description',
+    reviewedOn: '🗒️ Reviewed on {date} ({count} reviews)',
+    appearancesShort: '{count}×',
+    appearances: 'On the list {count}×',
+    today: 'Today',
+    gained: '{from} to {to}: +{stars} (≈{perDay}/day)',
+    perDay: '/day',
+    history: 'First seen {firstSeen} | {totalDays} days total | longest streak {longestStreak} days',
+    bestRank: ' | best rank #{rank}',
+    selectDate: 'Please pick a full date first!'
+  }
+};
@@ -0,0 +1,210 @@
+/**
+ * 简体中文界面文字
+ * 其他语言缺少的条目会回退到这里；{name} 形式的占位符由 i18n.format 替换
+ */
+
+module.exports = {
+  page: {
+    // 页面标题前缀
+    titlePrefix: 'GitHub 简报',
+    // 页面头部标题
+    heading: '🌟 GitHub Trending 简报',
+    // 副标题
+    subtitle: '每日精选热门开源项目，发现最新技术趋势',
+    // 热门开发者区域标题
+    developersTitle: '👩‍💻 今日热门开发者',
+    // 语言切换标签
+    languageLabel: '🌐 语言：',
+    loading: '加载中...'
+  },
+
+  sidebar: {
+    // 侧边栏标题
+    historyTitle: '📅 历史报告',
+    // 没有历史报告时的提示
+    noHistory: '暂无历史记录',
+    // 历史报告列表中的日期格式
+    historyDate: '{year}年{month}月{day}日',
+    // 排行榜标题
+    rankingTitle: '🔥 热门项目排行榜',
+    // 开发者排行榜标题
+    developerRankingTitle: '👩‍💻 热门开发者排行榜',
+    // 统计页面链接文字
+    statsLinkTitle: '📊 语言与主题统计',
+    // 周报与月报列表的标题、没有周报月报时的提示和每期的名称
+    digestTitle: '📚 周报与月报',
+    noDigest: '暂无周报或月报',
+    weeklyLabel: '{year} 年第 {week} 周周报',
+    monthlyLabel: '{year} 年 {month} 月月报',
+    // 时间范围选择器标签和选项
+    timeRangeLabel: '选择时间范围：',
+    timeRanges: {
+      week: '过去一周',
+      month: '过去一月',
+      quarter: '过去一季度'
+    },
+    // 排序方式选择器标签
+    rankingModeLabel: '排序方式：',
+    // 项目分类选择器标签
+    rankingCategoryLabel: '项目分类：',
+    // 不按分类筛选时的选项文字
+    allCategoriesLabel: '全部分类',
+    // 日期选择器的占位选项
+    yearPlaceholder: '年',
+    monthPlaceholder: '月',
+    dayPlaceholder: '日'
+  },
+
+  card: {
+    unknownProject: '未知项目',
+    empty: '暂无',
+    summary: '🎯 一句话概括:',
+    details: '💡 详细介绍:',
+    link: '🔗 项目网址:',
+    stars: '✨ Star 数量:',
+    starsToday: '📈 今日新增:',
+    forks: '🍴 Fork 数量:',
+    rating: '⭐ 推荐指数:',
+    noDescription: '暂无描述'
+  },
+
+  // Markdown 日报中各字段的名称（markdownParser 按这些名称解析旧日报，不要修改）
+  markdown: {
+    summary: '一句话概括',
+    details: '详细介绍',
+    link: '项目网址',
+    stars: 'Star 数量',
+    starsToday: '今日新增 Star',
+    forks: 'Fork 数量',
+    rating: '推荐指数',
+    // 字段名称与内容之间的分隔符
+    separator: '：'
+  },
+
+  // 排行榜策略名称（未列出的策略使用 dataProcessor 中注册的名称）
+  strategies: {
+    combined: '综合评分',
+    appearances: '上榜次数',
+    position: '名次加权',
+    recency: '时间衰减',
+    velocity: '增长最快'
+  },
+
+  // 项目分类名称（未列出的分类使用 config.classifier.categories 中的 label）
+  categories: {},
+
+  // 徽章文字
+  badges: {
+    new: 'NEW',
+    streak: '🔥 连续 {days} 天',
+    returning: '↩️ 时隔 {days} 天重新上榜'
+  },
+
+  // 周报 / 月报的页面和 Markdown 中使用的文字
+  digest: {
+    // 周期名称，也用于提示词中的报告类型
+    periodTypes: {
+      weekly: '周报',
+      monthly: '月报'
+    },
+    // 页面副标题、返回链接和往期列表标题
+    subtitle: '回顾这段时间的 GitHub Trending 排行榜、增长最快的项目、新上榜项目和语言趋势',
+    backLink: '← 返回日报',
+    archiveTitle: '📚 往期周报与月报',
+    // 标题下方的周期说明
+    periodRange: '{label}（{start} 至 {end}，共 {days} 天数据）',
+    // 各部分标题
+    sections: {
+      leaderboard: '🏆 本期排行榜',
+      movers: '🚀 增长最快',
+      newEntrants: '🌱 新上榜',
+      languages: '🧭 语言趋势'
+    },
+    // 表头
+    columns: {
+      project: '项目',
+      summary: '简介',
+      days: '上榜天数',
+      stars: 'Star',
+      rankChange: '较上期',
+      starsGained: '本期新增 Star',
+      starsPerDay: '日均',
+      firstSeen: '首次上榜',
+      bestRank: '最好名次',
+      language: '语言',
+      appearances: '上榜次数',
+      share: '占比',
+      shareChange: '较上期'
+    },
+    // 上期不在排行榜中的项目
+    newEntry: '🆕 新进榜',
+    // 表格没有数据时的提示
+    noData: '暂无数据'
+  },
+
+  // 语言与主题统计页面（stats.html）中使用的文字，时间范围名称与侧边栏的 timeRanges 相同
+  stats: {
+    title: '语言与主题统计',
+    heading: '📊 语言与主题统计',
+    subtitle: '根据每日 Trending 上榜记录统计各编程语言和主题的占比',
+    asOf: '📅 截至 {date}',
+    backLink: '← 返回日报',
+    trendTitle: '📈 语言占比变化',
+    trendNotEnoughData: '数据不足，至少需要两个统计周期才能展示变化趋势',
+    noData: '暂无数据',
+    noTopics: '暂无主题数据（运行 npm run enrich 补充仓库元数据后可见）',
+    summary: '共 {total} 次上榜记录，涉及 {count} 种语言',
+    languageShare: '语言占比',
+    languageRepos: '各语言热门仓库',
+    languageColumn: '语言',
+    reposColumn: '仓库（上榜次数）',
+    topics: '热门主题',
+    // 条形图右侧的文字和仓库后的上榜次数
+    shareText: '{share}%（{count} 次）',
+    repoCount: '{repo}（{count} 次）',
+    repoSeparator: '、',
+    // 没有语言的仓库和归入"其他"的语言
+    unknownLanguage: '未知',
+    otherLanguage: '其他'
+  },
+
+  // 项目历史页面（reports/repo/）中使用的文字，点评的字段名称与 card 相同
+  // {value} 为加粗的数值
+  repoPage: {
+    backLink: '← 返回日报',
+    starCurveTitle: '📈 Star 曲线',
+    starCurveLabel: 'Star 曲线',
+    noStars: '暂无 Star 数据',
+    historyTitle: '📅 上榜记录',
+    summariesTitle: '🤖 AI 点评',
+    noSummaries: '暂无 AI 点评',
+    firstSeen: '🗓️ 首次上榜 {value}',
+    lastSeen: '🕒 最近上榜 {value}',
+    totalDays: '📅 累计上榜 {value} 天',
+    longestStreak: '🔥 最长连续 {value} 天',
+    bestRank: '🏆 最好名次 {value}',
+    // 上榜记录表头
+    columns: {
+      date: '日期',
+      rank: '名次',
+      stars: 'Star 数量',
+      starsToday: '今日新增'
+    }
+  },
+
+  // 前端脚本（script.js）中使用的文字
+  script: {
+    loading: '数据加载中...',
+    noData: '暂无数据',
+    noDescription: '暂无描述',
+    reviewedOn: '🗒️ 点评于 {date}（共 {count} 次点评）',
+    appearancesShort: '{count} 次',
+    appearances: '上榜 {count} 次',
+    today: '今日',
+    gained: '{from} 至 {to} 新增 {stars}（约 {perDay}/天）',
+    perDay: '/天',
+    history: '首次上榜 {firstSeen} | 累计 {totalDays} 天 | 最长连续 {longestStreak} 天',
+    bestRank: ' | 最好名次 #{rank}',
+    selectDate: '请先选择完整的日期！'
+  }
+};
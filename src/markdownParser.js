@@ -1,10 +1,16 @@
 /**
  * Markdown 解析模块
- * 负责将 Markdown 内容转换为特定的 HTML 卡片格式
+ * 负责将 Markdown 日报或结构化日报（dailyReport）转换为特定的 HTML 卡片格式
  */
 
 const { marked } = require('marked');
 
+const config = require('./config');
+const classifier = require('./classifier');
+const dailyReport = require('./dailyReport');
+const dataProcessor = require('./dataProcessor');
+const i18n = require('./i18n');
+
 /**
  * 将 Markdown 内容转换为 HTML 卡片格式
  * 主要功能：
@@ -12,22 +18,102 @@ const { marked } = require('marked');
  * 2. 提取项目信息并转换为美观的卡片样式
  * 3. 处理"狠活播报完毕"等特殊段落
  * @param {string} markdown - Markdown 格式的原始内容
+ * @param {Array} trendingData - 当天的 Trending 数据（可选），用于补全今日新增 Star 和 Fork 数量
+ * @param {Object} repoStats - 项目名称到上榜历史统计的映射（可选），用于展示徽章
+ * @param {string} language - 页面语言（可选），决定卡片中的标签文字
  * @returns {string} 转换后的 HTML 内容
  */
-function convertMarkdownToHTML(markdown) {
+function convertMarkdownToHTML(markdown, trendingData = [], repoStats = {}, language = config.i18n.baseLanguage) {
   // 首先使用 marked 将 Markdown 转换为基本 HTML
   let html = marked.parse(markdown);
 
   // 提取项目信息并转换为卡片格式
-  // 匹配 ### 项目名 后跟包含各项信息的无序列表
-  const projectRegex = /<h3>([^<]+)<\/h3>\s*<ul>([\s\S]*?)<\/ul>/g;
-
   let result = html;
+  const projects = parseProjectBlocks(html);
+  decorateProjects(projects.map(p => p.data), trendingData, repoStats);
+
+  // 将每个项目转换为卡片 HTML，分类筛选栏放在第一张卡片之前
+  const filterHTML = generateCategoryFilter(projects.map(p => p.data), language);
+  projects.forEach((p, index) => {
+    const cardHTML = generateProjectCard(p.data, language);
+    result = result.replace(p.original, index === 0 ? filterHTML + cardHTML : cardHTML);
+  });
+
+  // 处理"狠活播报完毕"等特殊段落
+  // 将其包装成总结区域
+  result = result.replace(
+    /<hr>\s*<p>([^<]+狠活播报完毕[\s\S]*?)<\/p>/g,
+    '<div class="summary-section"><p>$1</p></div>'
+  );
+
+  return result;
+}
+
+/**
+ * 将结构化日报（dailyReport）转换为 HTML
+ * 与 convertMarkdownToHTML 输出相同的页面结构，但项目卡片直接由 JSON 生成，不依赖大模型的 Markdown 格式
+ * @param {Object} report - 日报对象
+ * @param {Array} trendingData - 当天的 Trending 数据（可选），用于补全项目网址和 Star、Fork 数量
+ * @param {Object} repoStats - 项目名称到上榜历史统计的映射（可选），用于展示徽章
+ * @param {string} language - 页面语言（可选），决定卡片中的标签文字
+ * @returns {string} 转换后的 HTML 内容
+ */
+function convertReportToHTML(report, trendingData = [], repoStats = {}, language = config.i18n.baseLanguage) {
+  const projects = dailyReport.getReportProjects(report, trendingData);
+  decorateProjects(projects, trendingData, repoStats);
+
+  const cards = projects.map(project => generateProjectCard(project, language)).join('');
+  return `<h1>${escapeHTML(report.title)}</h1>
+${marked.parse(report.intro)}${generateCategoryFilter(projects, language)}${cards}
+<div class="summary-section">${marked.parse(report.closing)}</div>
+`;
+}
+
+/**
+ * 用当天的 Trending 数据和上榜历史补全项目卡片数据
+ * Markdown 中缺失的今日新增 Star 和 Fork 数量从 Trending 数据中补全，并附加 topics、徽章和分类
+ * @param {Array} projects - 项目数据对象数组（原地修改）
+ * @param {Array} trendingData - 当天的 Trending 数据
+ * @param {Object} repoStats - 项目名称到上榜历史统计的映射
+ */
+function decorateProjects(projects, trendingData, repoStats) {
+  for (const projectData of projects) {
+    const repo = findTrendingRepo(trendingData, projectData);
+    if (!repo) {
+      continue;
+    }
+
+    if (!projectData.starsToday && typeof repo.starsToday === 'number') {
+      projectData.starsToday = repo.starsToday.toLocaleString('en-US');
+    }
+    if (!projectData.forks && typeof repo.forks === 'number') {
+      projectData.forks = repo.forks.toLocaleString('en-US');
+    }
+    if (repo.metadata) {
+      projectData.topics = repo.metadata.topics || [];
+      projectData.license = repo.metadata.license || '';
+    }
+    if (repoStats[repo.name]) {
+      projectData.badges = repoStats[repo.name].badges;
+    }
+    projectData.categories = classifier.getRepoCategories(repo);
+    projectData.repoName = repo.name;
+  }
+}
+
+/**
+ * 从 marked 生成的 HTML 中提取项目块
+ * 匹配 ### 项目名 后跟包含各项信息的无序列表
+ * @param {string} html - marked 生成的 HTML
+ * @returns {Array} 项目块数组，每项包含 original（原始 HTML 块）和 data（解析后的项目数据）
+ */
+function parseProjectBlocks(html) {
+  const projectRegex = /<h3>([^<]+)<\/h3>\s*<ul>([\s\S]*?)<\/ul>/g;
+  const projects = [];
   let match;
-  let projects = [];
 
   // 遍历所有匹配的项目块
-  while ((match = projectRegex.exec(result)) !== null) {
+  while ((match = projectRegex.exec(html)) !== null) {
     const projectName = match[1];
     const listContent = match[0];
 
@@ -40,6 +126,8 @@ function convertMarkdownToHTML(markdown) {
       details: '',
       url: '',
       stars: '',
+      starsToday: '',
+      forks: '',
       rating: ''
     };
 
@@ -67,6 +155,10 @@ function convertMarkdownToHTML(markdown) {
         }
       } else if (key === 'Star 数量') {
         projectData.stars = value.replace(/<[^>]+>/g, '');
+      } else if (key === '今日新增 Star') {
+        projectData.starsToday = value.replace(/<[^>]+>/g, '');
+      } else if (key === 'Fork 数量') {
+        projectData.forks = value.replace(/<[^>]+>/g, '');
       } else if (key === '推荐指数') {
         projectData.rating = value.replace(/<[^>]+>/g, '');
       }
@@ -76,57 +168,195 @@ function convertMarkdownToHTML(markdown) {
     projects.push({ original: match[0], data: projectData });
   }
 
-  // 将每个项目转换为卡片 HTML
-  for (const p of projects) {
-    const cardHTML = generateProjectCard(p.data);
-    result = result.replace(p.original, cardHTML);
+  return projects;
+}
+
+/**
+ * 提取 Markdown 日报中所有项目的信息（一句话概括、详细介绍、项目网址等）
+ * @param {string} markdown - Markdown 格式的日报内容
+ * @returns {Array} 项目数据数组
+ */
+function extractProjects(markdown) {
+  return parseProjectBlocks(marked.parse(markdown)).map(project => project.data);
+}
+
+/**
+ * 在 Trending 数据中查找与卡片对应的仓库
+ * 优先按项目网址匹配，其次按完整名称或仓库名匹配
+ * @param {Array} trendingData - Trending 数据
+ * @param {Object} projectData - 从 Markdown 中解析出的项目数据
+ * @returns {Object|null} 匹配的仓库数据
+ */
+function findTrendingRepo(trendingData, projectData) {
+  if (!Array.isArray(trendingData) || trendingData.length === 0) {
+    return null;
   }
 
-  // 处理"狠活播报完毕"等特殊段落
-  // 将其包装成总结区域
-  result = result.replace(
-    /<hr>\s*<p>([^<]+狠活播报完毕[\s\S]*?)<\/p>/g,
-    '<div class="summary-section"><p>$1</p></div>'
-  );
+  const url = (projectData.url || '').replace(/\/+$/, '').toLowerCase();
+  const name = (projectData.name || '').trim().toLowerCase();
 
-  return result;
+  return trendingData.find(repo => repo && repo.url && repo.url.toLowerCase() === url) ||
+    trendingData.find(repo => {
+      if (!repo || !repo.name) return false;
+      const fullName = repo.name.toLowerCase();
+      return fullName === name || fullName.split('/').pop() === name;
+    }) ||
+    null;
+}
+
+/**
+ * 生成当天项目的分类筛选栏 HTML
+ * 只列出当天出现过的分类，点击后只显示该分类的项目卡片
+ * @param {Array} projects - 项目数据对象数组
+ * @param {string} language - 页面语言
+ * @returns {string} 筛选栏 HTML，没有项目带分类时返回空字符串
+ */
+function generateCategoryFilter(projects, language = config.i18n.baseLanguage) {
+  const counts = new Map();
+  for (const project of projects) {
+    for (const id of project.categories || []) {
+      counts.set(id, (counts.get(id) || 0) + 1);
+    }
+  }
+  if (counts.size === 0) {
+    return '';
+  }
+
+  // 按配置中的分类顺序排列
+  const buttons = config.classifier.categories
+    .filter(category => counts.has(category.id))
+    .map(category =>
+      `<button type="button" class="category-filter-button" data-category="${escapeHTML(category.id)}" onclick="filterProjectsByCategory('${escapeHTML(category.id)}')">${escapeHTML(classifier.getCategoryLabel(category.id, language))} <span class="category-count">${counts.get(category.id)}</span></button>`
+    );
+
+  return `
+<div class="category-filter">
+  <button type="button" class="category-filter-button active" data-category="" onclick="filterProjectsByCategory('')">${escapeHTML(i18n.getStrings(language).sidebar.allCategoriesLabel)} <span class="category-count">${projects.length}</span></button>${buttons.join('')}
+</div>`;
 }
 
 /**
  * 生成单个项目卡片的 HTML
  * @param {Object} projectData - 项目数据对象
+ * @param {string} language - 页面语言，决定卡片中的标签文字
  * @returns {string} 项目卡片的 HTML 字符串
  */
-function generateProjectCard(projectData) {
+function generateProjectCard(projectData, language = config.i18n.baseLanguage) {
+  const labels = i18n.getStrings(language).card;
+
   // 安全处理：确保所有字段都有值
-  const name = escapeHTML(projectData.name || '未知项目');
-  const summary = escapeHTML(projectData.summary || '暂无');
-  const details = escapeHTML(projectData.details || '暂无');
+  const name = escapeHTML(projectData.name || labels.unknownProject);
+  const summary = escapeHTML(projectData.summary || labels.empty);
+  const details = escapeHTML(projectData.details || labels.empty);
   const url = escapeHTML(projectData.url || '#');
   const stars = escapeHTML(projectData.stars || '0');
-  const rating = escapeHTML(projectData.rating || '暂无');
+  const rating = escapeHTML(projectData.rating || labels.empty);
+
+  // 能对应到 Trending 数据的项目，标题链接到项目历史页面
+  const title = projectData.repoName
+    ? `<a class="project-page-link" href="${escapeHTML(config.frontend.repoPageBase + dataProcessor.getRepoPageFileName(projectData.repoName))}">${name}</a>`
+    : name;
+
+  // 首次上榜、连续上榜、重新上榜徽章
+  const badges = Array.isArray(projectData.badges) ? projectData.badges : [];
+  const badgesHTML = badges
+    .map(badge => `<span class="badge badge-${escapeHTML(badge.type)}">${escapeHTML(i18n.getBadgeLabel(badge, language))}</span>`)
+    .join('');
+
+  // 分类标签
+  const categories = Array.isArray(projectData.categories) ? projectData.categories : [];
+  const categoriesHTML = categories
+    .map(id => `<span class="category-chip category-${escapeHTML(id)}">${escapeHTML(classifier.getCategoryLabel(id, language))}</span>`)
+    .join('');
+
+  // 仓库 topics 和 license 仅在补充过元数据时展示
+  let topicsHTML = '';
+  const topics = Array.isArray(projectData.topics) ? projectData.topics : [];
+  if (topics.length > 0 || projectData.license) {
+    const chips = topics.map(topic => `<span class="topic-chip">${escapeHTML(topic)}</span>`).join('');
+    const license = projectData.license ? `<span class="topic-license">📄 ${escapeHTML(projectData.license)}</span>` : '';
+    topicsHTML = `
+  <div class="topics">${chips}${license}</div>`;
+  }
+
+  // 今日新增 Star 和 Fork 数量仅在有数据时展示
+  let growthHTML = '';
+  if (projectData.starsToday || projectData.forks) {
+    const starsToday = escapeHTML(String(projectData.starsToday || '0')).replace(/^\+?/, '+');
+    const forks = escapeHTML(String(projectData.forks || '0'));
+    growthHTML = `
+  <div class="growth">
+    <strong>${labels.starsToday}</strong> <span>${starsToday}</span>
+    <strong>${labels.forks}</strong> <span>${forks}</span>
+  </div>`;
+  }
 
   return `
-<div class="project-card">
-  <h3 class="project-name">${name}</h3>
+<div class="project-card" data-categories="${escapeHTML(categories.join(' '))}">
+  <h3 class="project-name">${title}${badgesHTML}</h3>${categoriesHTML ? `
+  <div class="categories">${categoriesHTML}</div>` : ''}${topicsHTML}
   <div class="summary">
-    <strong>🎯 一句话概括:</strong> ${summary}
+    <strong>${labels.summary}</strong> ${summary}
   </div>
   <div class="details">
-    <strong>💡 详细介绍:</strong> ${details}
+    <strong>${labels.details}</strong> ${details}
   </div>
   <div class="link">
-    <strong>🔗 项目网址:</strong> <a href="${url}" target="_blank">${url}</a>
+    <strong>${labels.link}</strong> <a href="${url}" target="_blank">${url}</a>
   </div>
   <div class="stars">
-    <strong>✨ Star 数量:</strong> <span>${stars}</span>
-  </div>
+    <strong>${labels.stars}</strong> <span>${stars}</span>
+  </div>${growthHTML}
   <div class="rating">
-    <strong>⭐ 推荐指数:</strong> <span>${rating}</span>
+    <strong>${labels.rating}</strong> <span>${rating}</span>
   </div>
 </div>`;
 }
 
+/**
+ * 生成热门开发者区域的 HTML
+ * @param {Array} developers - 当天的热门开发者数据
+ * @param {string} title - 区域标题
+ * @param {string} language - 页面语言
+ * @returns {string} 热门开发者区域的 HTML 字符串，没有数据时返回空字符串
+ */
+function generateDeveloperSection(developers, title, language = config.i18n.baseLanguage) {
+  if (!Array.isArray(developers) || developers.length === 0) {
+    return '';
+  }
+
+  const items = developers.map(developer => {
+    const login = escapeHTML(developer.login || '');
+    const name = escapeHTML(developer.name || developer.login || '');
+    const url = escapeHTML(developer.url || '#');
+    const avatar = developer.avatar
+      ? `<img class="developer-avatar" src="${escapeHTML(developer.avatar)}" alt="@${login}">`
+      : '';
+
+    let repoHTML = '';
+    if (developer.popularRepo) {
+      const repo = developer.popularRepo;
+      repoHTML = `
+      <div class="developer-repo">📦 <a href="${escapeHTML(repo.url || '#')}" target="_blank">${escapeHTML(repo.name || '')}</a> — ${escapeHTML(repo.description || i18n.getStrings(language).card.noDescription)}</div>`;
+    }
+
+    return `
+  <li class="developer-item">
+    ${avatar}
+    <div>
+      <a class="developer-name" href="${url}" target="_blank">${name}</a><span class="developer-login">@${login}</span>${repoHTML}
+    </div>
+  </li>`;
+  }).join('');
+
+  return `
+<div class="developer-section">
+  <h2>${escapeHTML(title)}</h2>
+  <ul class="developer-list">${items}
+  </ul>
+</div>`;
+}
+
 /**
  * HTML 实体转义
  * 防止 XSS 攻击和数据展示问题
@@ -172,7 +402,11 @@ function parseMarkdownFile(filePath) {
 
 module.exports = {
   convertMarkdownToHTML,
+  convertReportToHTML,
+  extractProjects,
+  findTrendingRepo,
   generateProjectCard,
+  generateDeveloperSection,
   escapeHTML,
   parseMarkdownFile
 };
@@ -0,0 +1,97 @@
+/**
+ * 数据文件迁移脚本
+ * 功能：将 data/ 下所有 trending_*.json 升级到当前的 schema 版本（原地覆盖）
+ * 旧版文件的 stars 展示字符串会转换为数字，并补充 schemaVersion 和 capturedAt（取文件名中的日期）
+ *
+ * 使用方法：node src/migrate.js [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const config = require('./config');
+const dataProcessor = require('./dataProcessor');
+const schema = require('./schema');
+
+/**
+ * 迁移单个数据文件
+ * @param {string} fileName - 数据文件名
+ * @param {boolean} dryRun - 是否只检查而不写入
+ * @returns {Object} { fromVersion, toVersion }
+ */
+function migrateFile(fileName, dryRun) {
+  const filePath = path.join(config.directories.data, fileName);
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const fromVersion = schema.getSchemaVersion(raw);
+
+  if (fromVersion === schema.CURRENT_SCHEMA_VERSION) {
+    return { fromVersion, toVersion: fromVersion };
+  }
+
+  const upgraded = schema.upgradeTrendingFile(raw, {
+    capturedAt: dataProcessor.getLegacyCapturedAt(fileName)
+  });
+
+  if (!dryRun) {
+    fs.writeFileSync(filePath, JSON.stringify(upgraded, null, 2), 'utf8');
+  }
+
+  return { fromVersion, toVersion: upgraded.schemaVersion };
+}
+
+/**
+ * 主函数
+ */
+function main() {
+  console.log('='.repeat(50));
+  console.log(`   数据文件迁移脚本（目标版本 v${schema.CURRENT_SCHEMA_VERSION}）`);
+  console.log('='.repeat(50));
+  console.log();
+
+  const dryRun = process.argv.includes('--dry-run');
+  const dataDir = config.directories.data;
+
+  if (!fs.existsSync(dataDir)) {
+    console.error('错误: 数据目录不存在:', dataDir);
+    process.exit(1);
+  }
+
+  const files = fs.readdirSync(dataDir)
+    .filter(file => dataProcessor.parseTrendingFileName(file) !== null)
+    .sort();
+
+  let migratedCount = 0;
+  let upToDateCount = 0;
+  let failCount = 0;
+
+  for (const file of files) {
+    try {
+      const { fromVersion, toVersion } = migrateFile(file, dryRun);
+      if (fromVersion === toVersion) {
+        upToDateCount++;
+      } else {
+        console.log(`  ✓ ${file}: v${fromVersion} → v${toVersion}`);
+        migratedCount++;
+      }
+    } catch (error) {
+      console.error(`  ✗ 失败: ${file} - ${error.message}`);
+      failCount++;
+    }
+  }
+
+  console.log();
+  console.log('='.repeat(50));
+  console.log(`完成${dryRun ? '（试运行，未写入文件）' : ''}! 已迁移: ${migratedCount}, 已是最新: ${upToDateCount}, 失败: ${failCount}`);
+  console.log('='.repeat(50));
+
+  if (failCount > 0) {
+    process.exit(1);
+  }
+}
+
+// 运行脚本
+if (require.main === module) {
+  main();
+}
+
+module.exports = { migrateFile };
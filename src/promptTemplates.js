@@ -0,0 +1,190 @@
+/**
+ * 提示词模板模块
+ * 功能：读取 templates/prompts/ 下各写作风格（persona）的提示词模板，填入日期、项目数据、语言等变量
+ *
+ * 模板文件：
+ *   <persona>/system.md - 系统提示词，决定日报的语气和每个字段的写法
+ *   <persona>/user.md   - 用户提示词（可选，默认使用 user.md）
+ *   output_format.md    - 所有写作风格共用的 JSON 输出格式说明，通过 {{OUTPUT_FORMAT}} 引入
+ *   digest_report/      - 周报 / 月报的系统提示词和用户提示词
+ *
+ * 模板中的变量写作 {{NAME}}：DATE、PROJECTS、PROJECT_COUNT、LANGUAGE、OUTPUT_FORMAT；
+ * 周报 / 月报模板使用 PERIOD_TYPE、PERIOD_LABEL、START、END、DATA_DAYS、DATA、LANGUAGE
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const config = require('./config');
+const i18n = require('./i18n');
+
+/**
+ * 获取写作风格配置
+ * @param {string} id - 写作风格名称
+ * @returns {Object} { id, label, version, temperature }
+ */
+function getPersona(id) {
+  const persona = config.summary.personas[id];
+  if (!persona) {
+    throw new Error(`未知的写作风格: ${id}（可选：${Object.keys(config.summary.personas).join(' / ')}）`);
+  }
+  return { id, ...persona };
+}
+
+/**
+ * 确定本次生成日报使用的写作风格和语言
+ * 优先级：显式指定的 persona / language > 输出配置（profile）中的设置 > config.summary / config.i18n 中的默认值
+ * @param {Object} options - { persona, profile, language }，language 可以是逗号分隔的多个语言
+ * @returns {Object} { profile, persona, languages }
+ */
+function resolvePromptOptions(options = {}) {
+  const profileName = options.profile || config.summary.profile || '';
+  let profile = {};
+  if (profileName) {
+    profile = config.summary.profiles[profileName];
+    if (!profile) {
+      throw new Error(`未知的输出配置: ${profileName}（可选：${Object.keys(config.summary.profiles).join(' / ')}）`);
+    }
+  }
+
+  const persona = getPersona(options.persona || profile.persona || config.summary.persona);
+  const languages = options.language
+    ? String(options.language).split(',').map(language => language.trim()).filter(Boolean)
+    : (profile.languages || config.i18n.languages);
+
+  return { profile: profileName || null, persona, languages: i18n.getLanguages(languages) };
+}
+
+/**
+ * 读取提示词模板文件
+ * @param {string} relativePath - 相对 templates/prompts/ 的路径
+ * @returns {string} 模板内容
+ */
+function readPromptFile(relativePath) {
+  const filePath = path.join(config.directories.prompts, relativePath);
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`读取提示词模板失败: ${filePath} (${error.message})`);
+  }
+}
+
+/**
+ * 读取写作风格的提示词模板
+ * @param {string} personaId - 写作风格名称
+ * @returns {Object} { system, user, outputFormat }
+ */
+function loadPersonaTemplates(personaId) {
+  const userOverride = path.join(config.directories.prompts, personaId, 'user.md');
+  return {
+    system: readPromptFile(path.join(personaId, 'system.md')),
+    user: readPromptFile(fs.existsSync(userOverride) ? path.join(personaId, 'user.md') : 'user.md'),
+    outputFormat: readPromptFile('output_format.md')
+  };
+}
+
+/**
+ * 替换模板中的 {{NAME}} 变量
+ * 变量值中的 {{...}} 不会被再次替换
+ * @param {string} template - 模板内容
+ * @param {Object} variables - 变量名 -> 值
+ * @returns {string} 替换后的内容
+ */
+function renderTemplate(template, variables) {
+  return template.replace(/\{\{([A-Z_]+)\}\}/g, (placeholder, name) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+      throw new Error(`提示词模板中的变量 ${placeholder} 没有取值`);
+    }
+    return String(variables[name]);
+  });
+}
+
+/**
+ * 计算模板哈希，用于区分同一 version 下被修改过的模板
+ * @param {Object} templates - loadPersonaTemplates 的结果
+ * @returns {string} sha256 前 16 位
+ */
+function hashTemplates(templates) {
+  return crypto.createHash('sha256')
+    .update([templates.system, templates.user, templates.outputFormat].join('\n\u0000\n'))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * 生成日报的系统提示词和用户提示词
+ * @param {Object} context - { date, trendingData, persona, profile, language }，persona / profile / language 可选，
+ *   language 为单个语言，不传时为基础语言
+ * @returns {Object} { system, user, temperature, provenance: { profile, persona, promptVersion, promptHash, language } }
+ */
+function buildReportPrompts(context) {
+  const { profile, persona } = resolvePromptOptions({ persona: context.persona, profile: context.profile });
+  const language = context.language || config.i18n.baseLanguage;
+  const templates = loadPersonaTemplates(persona.id);
+
+  const variables = {
+    DATE: context.date || '',
+    PROJECTS: JSON.stringify(context.trendingData || [], null, 2),
+    PROJECT_COUNT: (context.trendingData || []).length,
+    LANGUAGE: i18n.getLocale(language).promptName
+  };
+  variables.OUTPUT_FORMAT = renderTemplate(templates.outputFormat, variables);
+
+  return {
+    system: renderTemplate(templates.system, variables).trim(),
+    user: renderTemplate(templates.user, variables).trim(),
+    temperature: typeof persona.temperature === 'number' ? persona.temperature : config.summary.temperature,
+    provenance: {
+      profile,
+      persona: persona.id,
+      promptVersion: persona.version,
+      promptHash: hashTemplates(templates),
+      language
+    }
+  };
+}
+
+/**
+ * 生成周报 / 月报的系统提示词和用户提示词
+ * @param {Object} context - { periodType, periodLabel, start, end, dataDays, data, language }，
+ *   periodType 为"周报"或"月报"，data 为交给大模型的统计数据，language 不传时为基础语言
+ * @returns {Object} { system, user, temperature, provenance: { promptVersion, promptHash, language } }
+ */
+function buildDigestPrompts(context) {
+  const language = context.language || config.i18n.baseLanguage;
+  const templates = {
+    system: readPromptFile(path.join('digest_report', 'system.md')),
+    user: readPromptFile(path.join('digest_report', 'user.md')),
+    outputFormat: ''
+  };
+
+  const variables = {
+    PERIOD_TYPE: context.periodType,
+    PERIOD_LABEL: context.periodLabel,
+    START: context.start,
+    END: context.end,
+    DATA_DAYS: context.dataDays,
+    DATA: JSON.stringify(context.data, null, 2),
+    LANGUAGE: i18n.getLocale(language).promptName
+  };
+
+  return {
+    system: renderTemplate(templates.system, variables).trim(),
+    user: renderTemplate(templates.user, variables).trim(),
+    temperature: config.digest.temperature,
+    provenance: {
+      promptVersion: config.digest.promptVersion,
+      promptHash: hashTemplates(templates),
+      language
+    }
+  };
+}
+
+module.exports = {
+  getPersona,
+  resolvePromptOptions,
+  renderTemplate,
+  buildReportPrompts,
+  buildDigestPrompts
+};
@@ -1,97 +1,25 @@
 /**
  * 历史页面重构脚本
- * 功能：读取所有 daily_*.md 文件，使用新的模板引擎重新生成 HTML
+ * 功能：读取所有 daily_*.md 文件，使用新的模板引擎重新生成 HTML（同一天有多种语言的日报时，每种语言一个页面）
  * 如果发现缺少 .md 文件但存在对应的 .json 文件，会自动调用 AI 生成 MD
  * 
  * 使用方法：node src/regenerate_history.js
  */
 
+require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 
 const config = require('./config');
-const markdownParser = require('./markdownParser');
+const dailyPage = require('./dailyPage');
 const dataProcessor = require('./dataProcessor');
+const digestReport = require('./digestReport');
+const i18n = require('./i18n');
+const repoPages = require('./repoPages');
+const reportDate = require('./reportDate');
+const statsPage = require('./statsPage');
 const summarize = require('./summarize');
-
-/**
- * 读取模板文件
- */
-function readTemplateFile(fileName) {
-  const templatePath = path.join(config.directories.templates, fileName);
-  try {
-    return fs.readFileSync(templatePath, 'utf8');
-  } catch (error) {
-    console.error('读取模板文件失败:', templatePath, error.message);
-    return '';
-  }
-}
-
-/**
- * 生成单个 HTML 页面
- * @param {string} markdownFilePath - Markdown 文件路径
- * @param {string} dateStr - 日期字符串 YYYY-MM-DD
- * @returns {string} 生成的 HTML 内容
- */
-function generateSingleHTML(markdownFilePath, dateStr) {
-  // 读取模板
-  const baseTemplate = readTemplateFile('base.html');
-  const styles = readTemplateFile('style.css');
-  const scripts = readTemplateFile('script.js');
-
-  if (!baseTemplate) {
-    throw new Error('无法读取基础模板文件');
-  }
-
-  // 读取并解析 Markdown
-  const markdownContent = fs.readFileSync(markdownFilePath, 'utf8');
-  const htmlContent = markdownParser.convertMarkdownToHTML(markdownContent);
-
-  // 加载项目摘要
-  dataProcessor.loadProjectSummaries(markdownContent);
-
-  // 处理日期显示
-  const date = new Date(dateStr);
-  const dateCN = date.toLocaleDateString('zh-CN', config.page.dateFormat);
-
-  // 获取历史日期数据
-  const allAvailableDates = dataProcessor.getAllAvailableDates();
-  const recentDates = dataProcessor.getRecentDates();
-
-  // 生成侧边栏 HTML
-  const historyDatesHTML = dataProcessor.generateHistoryDatesHTML(recentDates);
-  const dateSelectorHTML = dataProcessor.generateDateSelectorHTML(allAvailableDates);
-
-  // 生成排行榜数据
-  dataProcessor.generateRankingData();
-
-  // 替换模板占位符
-  let resultHTML = baseTemplate;
-  resultHTML = resultHTML.replace('{{TITLE}}', `${config.page.titlePrefix} - ${dateCN}`);
-  resultHTML = resultHTML.replace('{{DATE_CN}}', dateCN);
-  resultHTML = resultHTML.replace('{{RANKING_DATA_PATH}}', config.frontend.rankingDataPath);
-  resultHTML = resultHTML.replace('{{STYLES}}', styles);
-  resultHTML = resultHTML.replace('{{SCRIPTS}}', scripts);
-  resultHTML = resultHTML.replace('{{SIDEBAR_HISTORY_TITLE}}', config.sidebar.historyTitle);
-  resultHTML = resultHTML.replace('{{SIDEBAR_RANKING_TITLE}}', config.sidebar.rankingTitle);
-  resultHTML = resultHTML.replace('{{TIME_RANGE_LABEL}}', config.sidebar.timeRangeLabel);
-  resultHTML = resultHTML.replace('{{RANKING_SECTION_TITLE}}', config.sidebar.rankingTitle);
-  resultHTML = resultHTML.replace('{{HISTORY_DATES_HTML}}', historyDatesHTML + '\n\n' + dateSelectorHTML);
-  resultHTML = resultHTML.replace('{{CONTENT}}', htmlContent);
-
-  return resultHTML;
-}
-
-/**
- * 获取今天的日期字符串
- */
-function getTodayDateString() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
-}
+const summaryIndex = require('./summaryIndex');
 
 /**
  * 获取所有需要处理的日期
@@ -104,14 +32,11 @@ function getAllDatesToProcess() {
   const dates = new Set();
 
   if (fs.existsSync(dataDir)) {
-    const jsonFiles = fs.readdirSync(dataDir).filter(file =>
-      file.startsWith('trending_') && file.endsWith('.json')
-    );
-
-    for (const file of jsonFiles) {
-      const match = file.match(/trending_(\d{4}-\d{2}-\d{2})\.json/);
-      if (match) {
-        dates.add(match[1]);
+    // 日报只基于默认变体（全部语言 + daily），语言/周/月变体文件仅参与排行榜统计
+    for (const file of fs.readdirSync(dataDir)) {
+      const parsed = dataProcessor.parseTrendingFileName(file);
+      if (parsed && parsed.key === '') {
+        dates.add(parsed.date);
       }
     }
   }
@@ -121,8 +46,9 @@ function getAllDatesToProcess() {
       file.startsWith('daily_') && file.endsWith('.md')
     );
 
+    // 其他语言的日报文件名带有语言后缀，日期已经由基础语言的日报或 Trending 数据覆盖
     for (const file of mdFiles) {
-      const match = file.match(/daily_(\d{4}-\d{2}-\d{2})\.md/);
+      const match = file.match(/^daily_(\d{4}-\d{2}-\d{2})\.md$/);
       if (match) {
         dates.add(match[1]);
       }
@@ -165,8 +91,7 @@ async function main() {
 
   for (const dateStr of allDates) {
     const mdFilePath = path.join(reportsDir, `daily_${dateStr}.md`);
-    const jsonFilePath = path.join(dataDir, `trending_${dateStr}.json`);
-    const htmlFilePath = path.join(reportsDir, `daily_${dateStr}.html`);
+    const jsonFilePath = path.join(dataDir, dataProcessor.getTrendingFileName(dateStr));
 
     try {
       console.log(`[处理] ${dateStr} ...`);
@@ -174,8 +99,10 @@ async function main() {
       if (!fs.existsSync(mdFilePath)) {
         if (fs.existsSync(jsonFilePath)) {
           console.log(`  - 缺少 MD 文件，正在调用 AI 生成...`);
-          const markdown = await summarize.generateMarkdownFromJSON(jsonFilePath);
-          summarize.saveMarkdown(markdown, `daily_${dateStr}.md`);
+          const { report, trendingData } = await summarize.generateReportFromJSON(jsonFilePath, dateStr);
+          summarize.saveDailyReport(report, trendingData);
+          // 新日报中的点评需要重新同步索引后才能查询到
+          summaryIndex.refreshSummaryIndex();
           console.log(`  ✓ MD 文件已生成`);
         } else {
           console.log(`  - 跳过: 无 MD 也无 JSON 文件`);
@@ -184,9 +111,8 @@ async function main() {
         }
       }
 
-      const htmlContent = generateSingleHTML(mdFilePath, dateStr);
-      fs.writeFileSync(htmlFilePath, htmlContent, 'utf8');
-      console.log(`  ✓ 已生成: daily_${dateStr}.html`);
+      const htmlFilePaths = await dailyPage.generateDailyPages(dateStr);
+      console.log(`  ✓ 已生成: ${htmlFilePaths.map(filePath => path.basename(filePath)).join(', ')}`);
       successCount++;
     } catch (error) {
       console.error(`  ✗ 失败: ${dateStr} - ${error.message}`);
@@ -194,6 +120,18 @@ async function main() {
     }
   }
 
+  try {
+    const repoPageCount = repoPages.generateRepoPages();
+    console.log(`✓ 已生成 ${repoPageCount} 个项目历史页面`);
+    for (const language of i18n.getLanguages()) {
+      console.log(`✓ 统计页面已生成: ${statsPage.generateStatsPage(reportDate.getReportDate(), language)}`);
+    }
+    console.log(`✓ 已重新生成 ${digestReport.renderAllDigests()} 期周报 / 月报`);
+  } catch (error) {
+    console.error(`✗ 生成项目历史页面、统计页面或周报 / 月报失败: ${error.message}`);
+    failCount++;
+  }
+
   console.log();
   console.log('='.repeat(50));
   console.log(`完成! 成功: ${successCount}, 跳过: ${skipCount}, 失败: ${failCount}`);
@@ -205,4 +143,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { generateSingleHTML };
+module.exports = { getAllDatesToProcess };
@@ -0,0 +1,197 @@
+/**
+ * 原始页面重新解析脚本
+ * 功能：读取 data/raw/ 下归档的 Trending 页面（gzip），使用当前的解析逻辑重新生成对应的 JSON 数据文件
+ * 适用于 GitHub 修改页面结构后修复选择器，再离线重建历史数据
+ *
+ * 使用方法：node src/reparse.js [--date YYYY-MM-DD] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const config = require('./config');
+const dataProcessor = require('./dataProcessor');
+const trendingParser = require('./trendingParser');
+const validator = require('./validator');
+const schema = require('./schema');
+
+/**
+ * 解析命令行参数
+ * @param {Array} argv - 命令行参数
+ * @returns {Object} { date, dryRun }
+ */
+function parseArgs(argv) {
+  const options = { date: null, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--date') {
+      options.date = argv[++i] || null;
+    } else if (arg.startsWith('--date=')) {
+      options.date = arg.slice('--date='.length);
+    }
+  }
+
+  return options;
+}
+
+// 爬取之后由其他步骤写入仓库记录的字段：enrich 写入的 metadata 和 classify 写入的 categories
+const POST_SCRAPE_FIELDS = ['metadata', 'categories'];
+
+/**
+ * 保留已有数据文件中爬取之后补充的字段（见 POST_SCRAPE_FIELDS）
+ * @param {Array} rows - 重新解析得到的仓库数组
+ * @param {Array|Object|null} previous - 已有数据文件内容
+ * @returns {Array} 带有补充字段的仓库数组
+ */
+function carryOverEnrichment(rows, previous) {
+  const extrasByName = new Map();
+  for (const repo of previous ? schema.readRepositories(previous) : []) {
+    const extras = {};
+    for (const field of POST_SCRAPE_FIELDS) {
+      if (repo[field] !== undefined) {
+        extras[field] = repo[field];
+      }
+    }
+    if (Object.keys(extras).length > 0) {
+      extrasByName.set(repo.name, extras);
+    }
+  }
+  return rows.map(repo => (extrasByName.has(repo.name) ? { ...repo, ...extrasByName.get(repo.name) } : repo));
+}
+
+/**
+ * 根据数据文件名选择对应的页面解析函数
+ * @param {string} dataFileName - 数据文件名
+ * @returns {Object|null} { date, parse, validate, readRows, wrap }，无法识别时返回 null
+ */
+function resolveParser(dataFileName) {
+  const trending = dataProcessor.parseTrendingFileName(dataFileName);
+  if (trending) {
+    return {
+      date: trending.date,
+      parse: trendingParser.parseTrendingHTML,
+      validate: validator.validateTrendingData,
+      readRows: schema.readRepositories,
+      wrap: (rows, previous) => schema.createTrendingFile(carryOverEnrichment(rows, previous), {
+        capturedAt: previous && previous.capturedAt,
+        source: 'html'
+      })
+    };
+  }
+
+  const prefix = config.filePatterns.developersPrefix;
+  const match = dataFileName.match(/(\d{4}-\d{2}-\d{2})\.json$/);
+  if (dataFileName.startsWith(prefix) && match) {
+    return {
+      date: match[1],
+      parse: trendingParser.parseDevelopersHTML,
+      validate: validator.validateDevelopersData,
+      readRows: data => data,
+      wrap: rows => rows
+    };
+  }
+
+  return null;
+}
+
+/**
+ * 重新解析单个归档文件
+ * @param {string} rawFileName - 归档文件名
+ * @param {boolean} dryRun - 是否只输出结果而不写入文件
+ * @returns {Object} { dataFileName, count, previousCount }
+ */
+function reparseSnapshot(rawFileName, dryRun) {
+  const dataFileName = dataProcessor.getDataFileNameFromRaw(rawFileName);
+  const resolved = dataFileName ? resolveParser(dataFileName) : null;
+  if (!resolved) {
+    throw new Error(`无法识别的归档文件: ${rawFileName}`);
+  }
+
+  const html = zlib.gunzipSync(fs.readFileSync(path.join(config.directories.raw, rawFileName))).toString('utf8');
+  const rows = resolved.parse(html);
+
+  const dataFilePath = path.join(config.directories.data, dataFileName);
+  const previous = dataProcessor.safeReadJSON(dataFilePath, null);
+  const previousRows = previous ? resolved.readRows(previous) : null;
+  const previousCount = previousRows ? previousRows.length : 0;
+
+  // 重新解析的结果同样需要校验，避免用退化的数据覆盖有效文件
+  const result = resolved.validate(rows);
+  if (!result.valid || result.warnings.length > 0) {
+    console.log(validator.formatValidationReport(dataFileName, result));
+  }
+  if (validator.isDegraded(result, previousRows ? resolved.validate(previousRows) : null)) {
+    throw new Error(`重新解析的结果退化（${previousCount} → ${rows.length} 行），未覆盖 ${dataFileName}`);
+  }
+
+  if (!dryRun) {
+    fs.writeFileSync(dataFilePath, JSON.stringify(resolved.wrap(rows, previous), null, 2), 'utf8');
+  }
+
+  return { dataFileName, count: rows.length, previousCount };
+}
+
+/**
+ * 主函数
+ */
+function main() {
+  console.log('='.repeat(50));
+  console.log('   原始页面重新解析脚本');
+  console.log('='.repeat(50));
+  console.log();
+
+  const { date, dryRun } = parseArgs(process.argv.slice(2));
+  const rawDir = config.directories.raw;
+
+  if (!fs.existsSync(rawDir)) {
+    console.error('错误: 归档目录不存在:', rawDir);
+    process.exit(1);
+  }
+
+  const rawFiles = fs.readdirSync(rawDir)
+    .filter(file => file.endsWith(config.filePatterns.rawSnapshotExt) && !file.endsWith(config.filePatterns.rejectedSnapshotExt))
+    .filter(file => !date || file.includes(date))
+    .sort();
+
+  if (rawFiles.length === 0) {
+    console.error('错误: 未找到任何归档文件!');
+    process.exit(1);
+  }
+
+  console.log(`找到 ${rawFiles.length} 个归档文件需要处理${dryRun ? '（试运行，不写入文件）' : ''}`);
+  console.log();
+
+  let successCount = 0;
+  let failCount = 0;
+
+  for (const rawFile of rawFiles) {
+    try {
+      const { dataFileName, count, previousCount } = reparseSnapshot(rawFile, dryRun);
+      console.log(`  ✓ ${dataFileName}: ${previousCount} → ${count} 条`);
+      successCount++;
+    } catch (error) {
+      console.error(`  ✗ 失败: ${rawFile} - ${error.message}`);
+      failCount++;
+    }
+  }
+
+  console.log();
+  console.log('='.repeat(50));
+  console.log(`完成! 成功: ${successCount}, 失败: ${failCount}`);
+  console.log('='.repeat(50));
+
+  if (failCount > 0) {
+    process.exit(1);
+  }
+}
+
+// 运行脚本
+if (require.main === module) {
+  main();
+}
+
+module.exports = { reparseSnapshot };
@@ -0,0 +1,315 @@
+/**
+ * 项目历史页面生成模块
+ * 功能：为每个上过榜的仓库生成 reports/repo/<owner>__<name>.html，展示每次上榜的日期和名次、
+ * Star 曲线（内联 SVG）以及各期日报中对它的 AI 点评
+ *
+ * 项目页面只有基础语言一种：AI 点评来自只收录基础语言日报的项目点评索引（summaryIndex），
+ * 其他语言的日报和排行榜也链接到这些页面；页面文字见 src/locales/ 中的 repoPage
+ *
+ * 使用方法：node src/repoPages.js [--date YYYY-MM-DD]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const config = require('./config');
+const dataProcessor = require('./dataProcessor');
+const i18n = require('./i18n');
+const markdownParser = require('./markdownParser');
+const reportDate = require('./reportDate');
+const schema = require('./schema');
+const summaryIndex = require('./summaryIndex');
+
+const { escapeHTML } = markdownParser;
+
+// Star 曲线的尺寸（像素）
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 20, right: 20, bottom: 30, left: 70 };
+
+/**
+ * 读取模板文件
+ * @param {string} fileName - 模板文件名
+ * @returns {string} 文件内容
+ */
+function readTemplateFile(fileName) {
+  const templatePath = path.join(config.directories.templates, fileName);
+  try {
+    return fs.readFileSync(templatePath, 'utf8');
+  } catch (error) {
+    console.error('读取模板文件失败:', templatePath, error.message);
+    return '';
+  }
+}
+
+/**
+ * 按仓库汇总每次上榜的记录
+ * @param {Array} historyData - 历史数据数组（按日期降序）
+ * @returns {Map} 仓库名称到 { name, url, description, language, entries } 的映射，entries 按日期升序
+ */
+function collectRepoHistory(historyData) {
+  const repos = new Map();
+
+  for (const { date, data } of historyData) {
+    if (!Array.isArray(data)) {
+      continue;
+    }
+
+    for (const repo of data) {
+      if (!repo || !repo.name) {
+        continue;
+      }
+
+      // 第一次遇到时即为最近一天的信息
+      if (!repos.has(repo.name)) {
+        repos.set(repo.name, {
+          name: repo.name,
+          url: repo.url || `https://github.com/${repo.name}`,
+          description: repo.description || '',
+          language: repo.language || '',
+          entries: []
+        });
+      }
+
+      repos.get(repo.name).entries.push({
+        date,
+        rank: repo.rank || null,
+        stars: schema.toStarCount(repo.stars),
+        starsToday: typeof repo.starsToday === 'number' ? repo.starsToday : null
+      });
+    }
+  }
+
+  for (const repo of repos.values()) {
+    repo.entries.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  return repos;
+}
+
+/**
+ * 生成 Star 曲线的内联 SVG
+ * 横轴按日期间隔等比例排布，纵轴为 Star 总数
+ * @param {Array} entries - 上榜记录（按日期升序）
+ * @param {string} language - 页面语言，不传时为基础语言
+ * @returns {string} SVG 字符串，没有 Star 数据时返回提示文字
+ */
+function generateStarCurveSVG(entries, language = config.i18n.baseLanguage) {
+  const strings = i18n.getStrings(language).repoPage;
+  const points = entries.filter(entry => entry.stars > 0);
+  if (points.length === 0) {
+    return `<p class="repo-empty">${strings.noStars}</p>`;
+  }
+
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+
+  const firstTime = new Date(points[0].date).getTime();
+  const lastTime = new Date(points[points.length - 1].date).getTime();
+  const minStars = Math.min(...points.map(point => point.stars));
+  const maxStars = Math.max(...points.map(point => point.stars));
+
+  // 只有一天或数值不变时，点落在图表中间
+  const toX = date => {
+    if (lastTime === firstTime) return CHART_PADDING.left + plotWidth / 2;
+    return CHART_PADDING.left + ((new Date(date).getTime() - firstTime) / (lastTime - firstTime)) * plotWidth;
+  };
+  const toY = stars => {
+    if (maxStars === minStars) return CHART_PADDING.top + plotHeight / 2;
+    return CHART_PADDING.top + (1 - (stars - minStars) / (maxStars - minStars)) * plotHeight;
+  };
+
+  const coords = points.map(point => `${toX(point.date).toFixed(1)},${toY(point.stars).toFixed(1)}`);
+  const circles = points.map(point =>
+    `<circle cx="${toX(point.date).toFixed(1)}" cy="${toY(point.stars).toFixed(1)}" r="4"><title>${point.date}: ⭐ ${point.stars.toLocaleString('en-US')}</title></circle>`
+  ).join('');
+
+  const bottom = CHART_HEIGHT - CHART_PADDING.bottom;
+  const right = CHART_WIDTH - CHART_PADDING.right;
+
+  return `<svg class="star-curve" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${escapeHTML(strings.starCurveLabel)}">
+  <line class="axis" x1="${CHART_PADDING.left}" y1="${bottom}" x2="${right}" y2="${bottom}"/>
+  <line class="axis" x1="${CHART_PADDING.left}" y1="${CHART_PADDING.top}" x2="${CHART_PADDING.left}" y2="${bottom}"/>
+  <text class="axis-label" x="${CHART_PADDING.left - 8}" y="${CHART_PADDING.top + 4}" text-anchor="end">${maxStars.toLocaleString('en-US')}</text>
+  <text class="axis-label" x="${CHART_PADDING.left - 8}" y="${bottom}" text-anchor="end">${minStars.toLocaleString('en-US')}</text>
+  <text class="axis-label" x="${CHART_PADDING.left}" y="${CHART_HEIGHT - 8}" text-anchor="start">${points[0].date}</text>
+  <text class="axis-label" x="${right}" y="${CHART_HEIGHT - 8}" text-anchor="end">${points[points.length - 1].date}</text>
+  <polyline class="curve" points="${coords.join(' ')}"/>
+  ${circles}
+</svg>`;
+}
+
+/**
+ * 生成上榜统计区域的 HTML
+ * @param {Object} stats - 上榜历史统计，见 dataProcessor.calculateRepoHistoryStats
+ * @param {string} language - 页面语言
+ * @returns {string} HTML 字符串
+ */
+function generateStatsHTML(stats, language) {
+  if (!stats) {
+    return '';
+  }
+
+  const strings = i18n.getStrings(language).repoPage;
+  const statItem = (template, value) => `<span>${i18n.format(template, { value: `<strong>${value}</strong>` })}</span>`;
+  const badges = stats.badges
+    .map(badge => `<span class="badge badge-${escapeHTML(badge.type)}">${escapeHTML(i18n.getBadgeLabel(badge, language))}</span>`)
+    .join('');
+
+  return `<div class="repo-stats">
+        ${statItem(strings.firstSeen, stats.firstSeen)}
+        ${statItem(strings.lastSeen, stats.lastSeen)}
+        ${statItem(strings.totalDays, stats.totalDays)}
+        ${statItem(strings.longestStreak, stats.longestStreak)}
+        ${statItem(strings.bestRank, stats.bestRank ? '#' + stats.bestRank : '-')}${badges}
+      </div>`;
+}
+
+/**
+ * 生成上榜记录表格的 HTML
+ * @param {Array} entries - 上榜记录（按日期升序）
+ * @param {Set} reportDates - 存在 HTML 日报的日期集合
+ * @param {string} language - 页面语言
+ * @returns {string} HTML 字符串
+ */
+function generateHistoryTableHTML(entries, reportDates, language) {
+  const columns = i18n.getStrings(language).repoPage.columns;
+  const rows = entries.slice().reverse().map(entry => {
+    const date = reportDates.has(entry.date)
+      ? `<a href="../${config.filePatterns.htmlPrefix}${entry.date}.html">${entry.date}</a>`
+      : entry.date;
+    const starsToday = entry.starsToday !== null ? `+${entry.starsToday.toLocaleString('en-US')}` : '-';
+    return `
+          <tr><td>${date}</td><td>${entry.rank ? '#' + entry.rank : '-'}</td><td>${entry.stars.toLocaleString('en-US')}</td><td>${starsToday}</td></tr>`;
+  }).join('');
+
+  return `<table class="repo-history">
+        <thead><tr><th>${columns.date}</th><th>${columns.rank}</th><th>${columns.stars}</th><th>${columns.starsToday}</th></tr></thead>
+        <tbody>${rows}
+        </tbody>
+      </table>`;
+}
+
+/**
+ * 生成 AI 点评列表的 HTML
+ * @param {Array} summaries - 点评数组（按日期降序）
+ * @param {Set} reportDates - 存在 HTML 日报的日期集合
+ * @param {string} language - 页面语言
+ * @returns {string} HTML 字符串
+ */
+function generateSummariesHTML(summaries, reportDates, language) {
+  const strings = i18n.getStrings(language);
+  if (!summaries || summaries.length === 0) {
+    return `<p class="repo-empty">${strings.repoPage.noSummaries}</p>`;
+  }
+
+  const labels = strings.card;
+
+  return summaries.map(item => {
+    const date = reportDates.has(item.date)
+      ? `<a href="../${config.filePatterns.htmlPrefix}${item.date}.html">${item.date}</a>`
+      : item.date;
+    const rating = item.rating ? `<div class="rating"><strong>${labels.rating}</strong> <span>${escapeHTML(item.rating)}</span></div>` : '';
+    return `
+      <div class="project-card repo-summary">
+        <div class="repo-summary-date">📅 ${date}</div>
+        <div class="summary"><strong>${labels.summary}</strong> ${escapeHTML(item.summary || labels.empty)}</div>
+        <div class="details"><strong>${labels.details}</strong> ${escapeHTML(item.details || labels.empty)}</div>${rating}
+      </div>`;
+  }).join('');
+}
+
+/**
+ * 生成单个项目历史页面
+ * @param {Object} repo - collectRepoHistory 中的仓库记录
+ * @param {Object} context - { template, styles, stats, summaries, reportDates, language }
+ * @returns {string} 完整的 HTML 页面内容
+ */
+function generateRepoPageHTML(repo, context) {
+  const { template, styles, stats, summaries, reportDates, language } = context;
+  const strings = i18n.getStrings(language);
+  const lastEntry = repo.entries[repo.entries.length - 1];
+  const backLink = reportDates.has(lastEntry.date)
+    ? `../${config.filePatterns.htmlPrefix}${lastEntry.date}.html`
+    : '../';
+  const description = [repo.description, repo.language].filter(Boolean).join(' · ');
+
+  let html = template;
+  html = html.replace('{{HTML_LANG}}', i18n.getLocale(language).htmlLang);
+  html = html.replace('{{TITLE}}', `${escapeHTML(repo.name)} - ${strings.page.titlePrefix}`);
+  html = html.replace('{{STYLES}}', styles);
+  html = html.replace('{{REPO_NAME}}', escapeHTML(repo.name));
+  html = html.replace('{{REPO_DESCRIPTION}}', escapeHTML(description));
+  html = html.split('{{REPO_URL}}').join(escapeHTML(repo.url));
+  html = html.replace('{{BACK_LINK}}', backLink);
+  html = html.replace('{{BACK_LINK_TEXT}}', strings.repoPage.backLink);
+  html = html.replace('{{STATS_HTML}}', generateStatsHTML(stats, language));
+  html = html.replace('{{STAR_CURVE_TITLE}}', strings.repoPage.starCurveTitle);
+  html = html.replace('{{STAR_CURVE_SVG}}', generateStarCurveSVG(repo.entries, language));
+  html = html.replace('{{HISTORY_TITLE}}', strings.repoPage.historyTitle);
+  html = html.replace('{{HISTORY_TABLE_HTML}}', generateHistoryTableHTML(repo.entries, reportDates, language));
+  html = html.replace('{{SUMMARIES_TITLE}}', strings.repoPage.summariesTitle);
+  html = html.replace('{{SUMMARIES_HTML}}', generateSummariesHTML(summaries, reportDates, language));
+  return html;
+}
+
+/**
+ * 为截至某天上过榜的所有仓库生成历史页面
+ * @param {string} asOfDate - 截止日期，默认为当前报告日期
+ * @returns {number} 生成的页面数量
+ */
+function generateRepoPages(asOfDate = reportDate.getReportDate()) {
+  const template = readTemplateFile('repo.html');
+  const styles = readTemplateFile('style.css');
+  if (!template) {
+    throw new Error('无法读取项目页面模板文件');
+  }
+
+  const historyData = dataProcessor.readHistoryData(Infinity, {}, asOfDate);
+  const repos = collectRepoHistory(historyData);
+  const stats = dataProcessor.calculateRepoHistoryStats(historyData, asOfDate);
+  const reportDates = new Set(dataProcessor.getAllAvailableDates());
+
+  const outputDir = config.directories.repoPages;
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  for (const repo of repos.values()) {
+    const html = generateRepoPageHTML(repo, {
+      template,
+      styles,
+      stats: stats[repo.name],
+      summaries: summaryIndex.getRepoSummaries(repo.name, asOfDate),
+      reportDates,
+      language: config.i18n.baseLanguage
+    });
+    fs.writeFileSync(path.join(outputDir, dataProcessor.getRepoPageFileName(repo.name)), html, 'utf8');
+  }
+
+  return repos.size;
+}
+
+/**
+ * 主函数
+ */
+function main() {
+  try {
+    const asOfDate = reportDate.getReportDate({ date: reportDate.parseDateArg(process.argv.slice(2)) });
+    const count = generateRepoPages(asOfDate);
+    console.log(`已生成 ${count} 个项目历史页面: ${config.directories.repoPages}`);
+  } catch (error) {
+    console.error('生成项目历史页面时发生错误:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  collectRepoHistory,
+  generateStarCurveSVG,
+  generateRepoPages
+};
@@ -0,0 +1,138 @@
+/**
+ * 报告日期模块
+ * 集中计算流水线各步骤使用的报告日期（YYYY-MM-DD），所有步骤都按同一个 IANA 时区取"今天"，
+ * 避免 Actions 运行器（UTC）和本地机器（北京时间）得出不同的日期
+ *
+ * 日期的确定顺序：--date 参数 > REPORT_DATE 环境变量 > 配置时区下的当前日期
+ */
+
+const config = require('./config');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * 判断是否为合法的 YYYY-MM-DD 日期字符串
+ * @param {string} dateStr - 日期字符串
+ * @returns {boolean} 是否合法
+ */
+function isValidDateString(dateStr) {
+  if (!DATE_REGEX.test(dateStr || '')) return false;
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === dateStr;
+}
+
+/**
+ * 获取某个时刻在指定时区下的日期
+ * @param {Date} date - 时刻
+ * @param {string} timezone - IANA 时区，例如 Asia/Shanghai
+ * @returns {string} YYYY-MM-DD
+ */
+function formatDateInTimeZone(date, timezone) {
+  // en-CA 的日期格式即为 YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+/**
+ * 获取报告日期
+ * @param {Object} options - 可选参数
+ * @param {string} options.date - 显式指定的日期（通常来自 --date 参数）
+ * @param {string} options.timezone - IANA 时区，默认取 config.report.timezone
+ * @param {Date} options.now - 当前时刻（便于测试时固定）
+ * @returns {string} YYYY-MM-DD
+ */
+function getReportDate(options = {}) {
+  const override = options.date || process.env.REPORT_DATE;
+  if (override) {
+    if (!isValidDateString(override)) {
+      throw new Error(`无效的报告日期: ${override}（格式应为 YYYY-MM-DD）`);
+    }
+    return override;
+  }
+
+  const timezone = options.timezone || config.report.timezone;
+  return formatDateInTimeZone(options.now || new Date(), timezone);
+}
+
+/**
+ * 日期加减
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {number} days - 天数，负数表示向前
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * 计算日期所在的 ISO 周：周一为一周的第一天，包含当年第一个周四的周为第 1 周
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {Object} { year, week, start, end }，year 为 ISO 周所属的年份，start / end 为该周的周一和周日
+ */
+function getISOWeek(dateStr) {
+  const weekday = new Date(`${dateStr}T00:00:00Z`).getUTCDay() || 7;
+  const start = addDays(dateStr, 1 - weekday);
+  // 周四所在的年份即为 ISO 周所属的年份
+  const thursday = addDays(start, 3);
+  const year = parseInt(thursday.slice(0, 4), 10);
+  const week = Math.floor((new Date(`${thursday}T00:00:00Z`) - Date.UTC(year, 0, 1)) / (7 * 24 * 60 * 60 * 1000)) + 1;
+  return { year, week, start, end: addDays(start, 6) };
+}
+
+/**
+ * 获取 ISO 周的第一天（周一）
+ * @param {number} year - ISO 周所属的年份
+ * @param {number} week - 周数
+ * @returns {string} YYYY-MM-DD
+ */
+function getISOWeekStart(year, week) {
+  // 1 月 4 日总在第 1 周
+  const firstWeekStart = getISOWeek(`${year}-01-04`).start;
+  return addDays(firstWeekStart, (week - 1) * 7);
+}
+
+/**
+ * 从命令行参数中读取 --date
+ * @param {Array} argv - 命令行参数
+ * @returns {string|null} 日期字符串，未指定时返回 null
+ */
+function parseDateArg(argv) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--date') {
+      return argv[i + 1] || null;
+    }
+    if (argv[i].startsWith('--date=')) {
+      return argv[i].slice('--date='.length);
+    }
+  }
+  return null;
+}
+
+/**
+ * 将报告日期格式化为页面显示的文字
+ * 日期字符串按 UTC 零点解析，因此格式化时也固定使用 UTC，避免在西半球时区显示成前一天
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {string} locale - 语言区域，默认 zh-CN
+ * @returns {string} 例如 "2026年2月28日星期六"
+ */
+function formatReportDate(dateStr, locale = 'zh-CN') {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  return date.toLocaleDateString(locale, { ...config.page.dateFormat, timeZone: 'UTC' });
+}
+
+module.exports = {
+  isValidDateString,
+  formatDateInTimeZone,
+  getReportDate,
+  addDays,
+  getISOWeek,
+  getISOWeekStart,
+  parseDateArg,
+  formatReportDate
+};
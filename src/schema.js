@@ -0,0 +1,101 @@
+/**
+ * Trending 数据文件 schema 模块
+ * 定义带版本号的数据文件格式，并负责把任意历史版本升级到当前版本
+ *
+ * 版本历史：
+ *   1 - 仓库数组，stars 为展示字符串（例如 "9,257"），没有版本号和抓取时间
+ *   2 - { schemaVersion, capturedAt, source, repositories }，stars 为数字
+ */
+
+const CURRENT_SCHEMA_VERSION = 2;
+
+/**
+ * 将 Star 数转换为数字
+ * 兼容 v1 的展示字符串（"9,257"）和 v2 的数字
+ * @param {string|number} value - Star 数
+ * @returns {number} Star 数，无法解析时返回 0
+ */
+function toStarCount(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : 0;
+  }
+  const parsed = parseInt(String(value || '').replace(/,/g, ''), 10);
+  return Number.isNaN(parsed) ? 0 : parsed;
+}
+
+/**
+ * 获取数据文件的 schema 版本
+ * @param {Array|Object} raw - 数据文件的 JSON 内容
+ * @returns {number} 版本号，无法识别时返回 0
+ */
+function getSchemaVersion(raw) {
+  if (Array.isArray(raw)) return 1;
+  if (raw && typeof raw === 'object' && Number.isInteger(raw.schemaVersion)) {
+    return raw.schemaVersion;
+  }
+  return 0;
+}
+
+/**
+ * 创建当前版本的数据文件内容
+ * @param {Array} repositories - 仓库数组
+ * @param {Object} meta - { capturedAt, source }
+ * @returns {Object} 当前版本的数据文件对象
+ */
+function createTrendingFile(repositories, meta = {}) {
+  return {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    capturedAt: meta.capturedAt || new Date().toISOString(),
+    source: meta.source || 'html',
+    repositories: repositories.map(repo => ({ ...repo, stars: toStarCount(repo.stars) }))
+  };
+}
+
+/**
+ * 将任意版本的数据文件升级到当前版本
+ * @param {Array|Object} raw - 数据文件的 JSON 内容
+ * @param {Object} fallback - v1 文件缺失的字段 { capturedAt }，通常由文件名中的日期推得
+ * @returns {Object} 当前版本的数据文件对象
+ */
+function upgradeTrendingFile(raw, fallback = {}) {
+  const version = getSchemaVersion(raw);
+
+  if (version === 1) {
+    return createTrendingFile(raw, { capturedAt: fallback.capturedAt, source: 'html' });
+  }
+
+  if (version === CURRENT_SCHEMA_VERSION) {
+    return {
+      ...raw,
+      repositories: Array.isArray(raw.repositories) ? raw.repositories : []
+    };
+  }
+
+  if (version > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`数据文件的 schema 版本 ${version} 高于当前支持的版本 ${CURRENT_SCHEMA_VERSION}`);
+  }
+
+  throw new Error('无法识别的数据文件格式');
+}
+
+/**
+ * 读取任意版本数据文件中的仓库数组
+ * @param {Array|Object} raw - 数据文件的 JSON 内容
+ * @returns {Array} 仓库数组（stars 为数字），无法识别时返回空数组
+ */
+function readRepositories(raw) {
+  try {
+    return upgradeTrendingFile(raw).repositories;
+  } catch (error) {
+    return [];
+  }
+}
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  toStarCount,
+  getSchemaVersion,
+  createTrendingFile,
+  upgradeTrendingFile,
+  readRepositories
+};
@@ -1,89 +1,80 @@
 /**
  * GitHub Trending 爬虫脚本
- * 功能：抓取 GitHub Trending 前 10 名项目
+ * 功能：抓取 GitHub Trending 前 10 名项目，支持按语言和时间窗口（daily/weekly/monthly）抓取
+ *
+ * 使用方法：node src/scraper.js [--lang rust,typescript,python] [--since daily,weekly,monthly] [--source html|github-api] [--date YYYY-MM-DD]
+ * （语言 all 表示全部语言）
  */
+require('dotenv').config();
 const axios = require('axios');
-const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
+
+const appConfig = require('./config');
+const dataProcessor = require('./dataProcessor');
+const trendingParser = require('./trendingParser');
+const validator = require('./validator');
+const schema = require('./schema');
+const githubApiSource = require('./githubApiSource');
+const reportDate = require('./reportDate');
+
+// 请求头，模拟浏览器访问
+const REQUEST_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.5',
+  'Accept-Encoding': 'gzip, deflate',
+  'Connection': 'keep-alive',
+  'Upgrade-Insecure-Requests': '1'
+};
+
+/**
+ * 构建 Trending 页面地址
+ * @param {Object} options - { language, since, type }，type 为 'developers' 时返回开发者榜地址
+ * @returns {string} 页面 URL
+ */
+function buildTrendingUrl({ language = '', since = 'daily', type = 'repositories' } = {}) {
+  let url = appConfig.trending.baseUrl;
+  if (type === 'developers') {
+    url += '/developers';
+  }
+  if (language && language !== 'all') {
+    url += '/' + encodeURIComponent(language.toLowerCase());
+  }
+  return `${url}?since=${since}`;
+}
+
+/**
+ * 获取页面原始 HTML
+ * @param {string} url - 页面 URL
+ * @returns {Promise<string>} 页面 HTML
+ */
+async function fetchPage(url) {
+  const response = await axios.get(url, { headers: REQUEST_HEADERS });
+  console.log('成功获取页面内容');
+  return response.data;
+}
 
 /**
  * 获取 GitHub Trending 项目数据
+ * @param {Object} options - 抓取选项
+ * @param {string} options.language - 语言 slug，空字符串表示全部语言
+ * @param {string} options.since - 时间窗口：daily / weekly / monthly
+ * @param {Function} options.onRawHTML - 获取到原始 HTML 后的回调（可选），用于归档
  * @returns {Promise<Array>} 包含前 10 个 Trending 项目信息的数组
  */
-async function fetchTrending() {
-  console.log('正在访问 GitHub Trending 页面...');
-  
-  const url = 'https://github.com/trending';
-  
-  // 设置请求头，模拟浏览器访问
-  const config = {
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-      'Accept-Language': 'en-US,en;q=0.5',
-      'Accept-Encoding': 'gzip, deflate',
-      'Connection': 'keep-alive',
-      'Upgrade-Insecure-Requests': '1'
-    }
-  };
+async function fetchTrending(options = {}) {
+  const url = buildTrendingUrl(options);
+  console.log(`正在访问 GitHub Trending 页面: ${url}`);
 
   try {
-    const response = await axios.get(url, config);
-    console.log('成功获取页面内容');
-    
-    const $ = cheerio.load(response.data);
-    const repositories = [];
-    
-    // 选择 GitHub 上的仓库列表项
-    $('.Box article.Box-row').each((index, element) => {
-      // 只处理前 10 个项目
-      if (index >= 10) return false; // 跳出循环
-      
-      // 提取项目名称
-      const nameElement = $(element).find('h2.h3 a');
-      let name = nameElement.text().replace(/\s+/g, '').trim();
-      
-      // 提取URL
-      let url = nameElement.attr('href');
-      if (url && !url.startsWith('http')) {
-        url = 'https://github.com' + url;
-      }
-      
-      // 提取描述
-      const descriptionElement = $(element).find('p.col-9');
-      let description = 'No description';
-      if (descriptionElement.length > 0) {
-        description = descriptionElement.text().trim();
-      }
-      
-      // 提取编程语言
-      let language = 'Unknown';
-      const languageElement = $(element).find('[itemprop="programmingLanguage"]');
-      if (languageElement.length > 0) {
-        language = languageElement.text().trim();
-      }
-      
-      // 提取 Star 数量
-      let stars = '0';
-      const starLink = $(element).find('a[href*="/stargazers"]');
-      if (starLink.length > 0) {
-        stars = starLink.text().trim().replace(/\s+/g, '');
-      }
-      
-      // 构建项目对象
-      const repo = {
-        rank: index + 1,
-        name: name,
-        url: url,
-        description: description,
-        stars: stars,
-        language: language
-      };
-      
-      repositories.push(repo);
-    });
-    
+    const html = await fetchPage(url);
+    if (options.onRawHTML) {
+      options.onRawHTML(html);
+    }
+
+    const repositories = trendingParser.parseTrendingHTML(html);
     console.log(`成功提取 ${repositories.length} 个仓库信息`);
     return repositories;
   } catch (error) {
@@ -92,6 +83,88 @@ async function fetchTrending() {
   }
 }
 
+/**
+ * 获取 GitHub Trending Developers 数据
+ * @param {Object} options - 抓取选项
+ * @param {string} options.language - 语言 slug，空字符串表示全部语言
+ * @param {string} options.since - 时间窗口：daily / weekly / monthly
+ * @param {Function} options.onRawHTML - 获取到原始 HTML 后的回调（可选），用于归档
+ * @returns {Promise<Array>} 包含前 N 个热门开发者及其代表仓库的数组
+ */
+async function fetchTrendingDevelopers(options = {}) {
+  const url = buildTrendingUrl({ ...options, type: 'developers' });
+  console.log(`正在访问 GitHub Trending Developers 页面: ${url}`);
+
+  try {
+    const html = await fetchPage(url);
+    if (options.onRawHTML) {
+      options.onRawHTML(html);
+    }
+
+    const developers = trendingParser.parseDevelopersHTML(html);
+    console.log(`成功提取 ${developers.length} 位开发者信息`);
+    return developers;
+  } catch (error) {
+    console.error('获取 Trending Developers 数据时发生错误:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * 数据源注册表
+ * 每个数据源是一个对象：
+ *   name                      - 数据源名称
+ *   fetchRepositories(options) - 返回 Trending 记录数组，options 为 { language, since, date, onRawHTML }，date 为报告日期
+ *   fetchDevelopers(options)   - 返回热门开发者数组（可选，不支持时省略）
+ * 所有数据源返回相同结构的记录：{ rank, name, url, description, stars, language, starsToday, forks, builtBy }
+ */
+const SOURCES = {
+  html: {
+    name: 'html',
+    fetchRepositories: fetchTrending,
+    fetchDevelopers: fetchTrendingDevelopers
+  },
+  [githubApiSource.name]: githubApiSource
+};
+
+/**
+ * 获取数据源
+ * @param {string} name - 数据源名称
+ * @returns {Object} 数据源对象
+ */
+function getSource(name) {
+  const source = SOURCES[name];
+  if (!source) {
+    throw new Error(`不支持的数据源: ${name}（可选 ${Object.keys(SOURCES).join('/')}）`);
+  }
+  return source;
+}
+
+/**
+ * 以 gzip 格式归档原始页面 HTML
+ * 归档文件与数据文件同名，保存在 data/raw/ 下，例如 trending_2026-02-28.html.gz；
+ * 未通过校验的页面另存为 trending_2026-02-28.rejected.html.gz，不覆盖 reparse 需要的有效归档
+ * @param {string} html - 原始页面 HTML
+ * @param {string} dataFileName - 对应的数据文件名
+ * @param {boolean} rejected - 页面解析出的数据是否被拒绝保存
+ */
+function saveRawSnapshot(html, dataFileName, rejected = false) {
+  const rawDir = appConfig.directories.raw;
+  try {
+    if (!fs.existsSync(rawDir)) {
+      fs.mkdirSync(rawDir, { recursive: true });
+    }
+    const rawFileName = rejected
+      ? dataFileName.replace(/\.json$/, '') + appConfig.filePatterns.rejectedSnapshotExt
+      : dataProcessor.getRawSnapshotFileName(dataFileName);
+    fs.writeFileSync(path.join(rawDir, rawFileName), zlib.gzipSync(html));
+    console.log(`原始页面已归档到 ${path.join(rawDir, rawFileName)}`);
+  } catch (error) {
+    // 归档失败不影响本次抓取结果
+    console.warn('归档原始页面失败:', error.message);
+  }
+}
+
 /**
  * 保存数据到文件
  * @param {Array} data - 要保存的数据
@@ -111,33 +184,163 @@ function saveDataToFile(data, filename) {
   console.log(`数据已保存到 ${filePath}`);
 }
 
+/**
+ * 解析命令行参数中的语言和时间窗口列表
+ * @param {Array} argv - 命令行参数
+ * @returns {Object} { languages, sinceWindows, source, date }
+ */
+function parseArgs(argv) {
+  const options = {
+    languages: appConfig.trending.languages,
+    sinceWindows: appConfig.trending.sinceWindows,
+    source: appConfig.trending.source,
+    date: null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.split('=');
+    const value = inlineValue !== undefined ? inlineValue : argv[i + 1];
+
+    if (flag === '--source') {
+      if (inlineValue === undefined) i++;
+      options.source = (value || '').trim();
+    } else if (flag === '--date') {
+      if (inlineValue === undefined) i++;
+      options.date = (value || '').trim() || null;
+    } else if (flag === '--lang' || flag === '--since') {
+      if (inlineValue === undefined) i++;
+      const list = (value || '').split(',').map(item => item.trim()).filter(Boolean);
+      if (flag === '--lang') {
+        options.languages = list.map(lang => (lang === 'all' ? '' : lang));
+      } else {
+        options.sinceWindows = list;
+      }
+    }
+  }
+
+  const invalid = options.sinceWindows.filter(since => !dataProcessor.SINCE_WINDOWS.includes(since));
+  if (invalid.length > 0) {
+    throw new Error(`不支持的时间窗口: ${invalid.join(', ')}（可选 ${dataProcessor.SINCE_WINDOWS.join('/')}）`);
+  }
+
+  return options;
+}
+
+/**
+ * 校验后保存数据
+ * 校验失败，或已有文件有效而新数据行数更少时，拒绝覆盖并输出诊断信息
+ * @param {Array} rows - 抓取到的数据
+ * @param {string} filename - 文件名
+ * @param {Function} validate - 校验函数
+ * @param {Object} options - { readRows, wrap }：从已有文件中读取数据行、写入前包装为文件格式（可选）
+ * @returns {boolean} 是否已保存
+ */
+function saveValidatedData(rows, filename, validate, options = {}) {
+  const result = validate(rows);
+  console.log(validator.formatValidationReport(filename, result));
+
+  const readRows = options.readRows || (data => data);
+  const existingPath = path.join(appConfig.directories.data, filename);
+  const existing = dataProcessor.safeReadJSON(existingPath, null);
+  const previous = existing ? validate(readRows(existing)) : null;
+
+  if (validator.isDegraded(result, previous)) {
+    if (previous) {
+      console.error(`拒绝用退化的数据覆盖已有文件 ${filename}（已有 ${previous.rowCount} 行${previous.valid ? '且校验通过' : ''}）`);
+    } else {
+      console.error(`拒绝写入未通过校验的数据文件 ${filename}`);
+    }
+    return false;
+  }
+
+  saveDataToFile(options.wrap ? options.wrap(rows) : rows, filename);
+  return true;
+}
+
 /**
  * 主函数
+ * 任一 Trending 变体抓取或校验失败时以非零状态码退出，使 CI 工作流失败
  */
 async function main() {
+  let failures = 0;
+
   try {
-    console.log('开始抓取 GitHub Trending 前 10 名项目...');
-    
-    // 获取 Trending 数据
-    const trendingRepos = await fetchTrending();
-    
-    // 打印到控制台
-    console.log('\n=== GitHub Trending Top 10 ===');
-    console.log(JSON.stringify(trendingRepos, null, 2));
-    
-    // 获取今天的日期（本地时间，中国时区）
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    const today = `${year}-${month}-${day}`;
-    const filename = `trending_${today}.json`;
-    saveDataToFile(trendingRepos, filename);
-    
-    console.log('\n任务完成！');
+    const { languages, sinceWindows, source: sourceName, date } = parseArgs(process.argv.slice(2));
+    const source = getSource(sourceName);
+    console.log(`使用数据源: ${source.name}`);
+
+    // 获取报告日期（按配置时区计算，可用 --date 或 REPORT_DATE 覆盖）
+    const today = reportDate.getReportDate({ date });
+
+    // 依次抓取每个 语言 × 时间窗口 组合，单个变体失败不影响其它变体
+    for (const language of languages) {
+      for (const since of sinceWindows) {
+        const label = `${language || 'all'}/${since}`;
+        try {
+          console.log(`开始抓取 GitHub Trending 前 ${appConfig.trending.topN} 名项目 (${label})...`);
+
+          // 获取 Trending 数据，原始页面先保留在内存中，校验后再归档
+          const filename = dataProcessor.getTrendingFileName(today, { language, since });
+          let rawHTML = null;
+          const trendingRepos = await source.fetchRepositories({
+            language,
+            since,
+            date: today,
+            onRawHTML: html => { rawHTML = html; }
+          });
+
+          // 打印到控制台
+          console.log(`\n=== GitHub Trending Top ${appConfig.trending.topN} (${label}) ===`);
+          console.log(JSON.stringify(trendingRepos, null, 2));
+
+          const saved = saveValidatedData(trendingRepos, filename, validator.validateTrendingData, {
+            readRows: schema.readRepositories,
+            wrap: rows => schema.createTrendingFile(rows, { source: source.name })
+          });
+          if (rawHTML !== null) {
+            saveRawSnapshot(rawHTML, filename, !saved);
+          }
+          if (!saved) {
+            failures++;
+          }
+        } catch (error) {
+          console.error(`抓取 ${label} 失败:`, error.message);
+          failures++;
+        }
+      }
+    }
+
+    // 抓取热门开发者榜（全部语言 + daily），失败只记录日志，不影响日报生成
+    if (appConfig.trending.scrapeDevelopers && !source.fetchDevelopers) {
+      console.log(`数据源 ${source.name} 不支持热门开发者榜，已跳过`);
+    } else if (appConfig.trending.scrapeDevelopers) {
+      try {
+        const filename = dataProcessor.getDevelopersFileName(today);
+        let rawHTML = null;
+        const developers = await source.fetchDevelopers({
+          onRawHTML: html => { rawHTML = html; }
+        });
+        const saved = saveValidatedData(developers, filename, validator.validateDevelopersData);
+        if (rawHTML !== null) {
+          saveRawSnapshot(rawHTML, filename, !saved);
+        }
+      } catch (error) {
+        console.error('抓取热门开发者失败:', error.message);
+      }
+    }
   } catch (error) {
     console.error('程序执行出错:', error.message);
+    failures++;
   }
+
+  if (failures > 0) {
+    console.error(`\n任务失败：${failures} 个 Trending 页面未能生成有效数据，原始页面已归档到 ${appConfig.directories.raw}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log('\n任务完成！');
 }
 
 // 如果直接运行此文件，则执行主函数
@@ -145,4 +348,15 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { fetchTrending, saveDataToFile };
\ No newline at end of file
+module.exports = {
+  SOURCES,
+  getSource,
+  fetchTrending,
+  fetchTrendingDevelopers,
+  fetchPage,
+  buildTrendingUrl,
+  parseCount: trendingParser.parseCount,
+  saveRawSnapshot,
+  saveDataToFile,
+  saveValidatedData
+};
\ No newline at end of file
@@ -0,0 +1,412 @@
+/**
+ * 语言与主题统计页面生成模块
+ * 功能：根据与排行榜相同的历史数据，生成 reports/stats.html，展示近一周/一月/一季度的编程语言占比、
+ * 语言占比随时间的变化、各语言的热门仓库以及热门主题（topics），图表均为不依赖第三方库的内联 SVG
+ * 页面文字见 src/locales/ 中的 stats，基础语言以外的页面文件名带语言后缀（stats.en.html）
+ *
+ * 使用方法：node src/statsPage.js [--date YYYY-MM-DD]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const config = require('./config');
+const dataProcessor = require('./dataProcessor');
+const i18n = require('./i18n');
+const reportDate = require('./reportDate');
+
+const { escapeHTML } = require('./markdownParser');
+
+// 统计的时间范围，显示名称与侧边栏排行榜一致（界面文字中的 sidebar.timeRanges）
+const RANGES = ['week', 'month', 'quarter'];
+
+// 图表配色（按语言占比从高到低依次使用）
+const PALETTE = ['#5a7a5a', '#c0561a', '#3a5a9a', '#b08a1a', '#8a4a8a', '#2a8a8a', '#a03a3a', '#6a6a6a', '#4a8a3a', '#9a6a4a'];
+
+// 数据中没有语言的仓库（与 trendingParser 的默认值一致）
+const UNKNOWN_LANGUAGE = 'Unknown';
+
+// 占比变化中归入"其他"的语言，显示名称见界面文字中的 stats.otherLanguage
+const OTHER_LANGUAGE = '*other*';
+
+/**
+ * 读取模板文件
+ * @param {string} fileName - 模板文件名
+ * @returns {string} 文件内容
+ */
+function readTemplateFile(fileName) {
+  const templatePath = path.join(config.directories.templates, fileName);
+  try {
+    return fs.readFileSync(templatePath, 'utf8');
+  } catch (error) {
+    console.error('读取模板文件失败:', templatePath, error.message);
+    return '';
+  }
+}
+
+/**
+ * 获取编程语言的显示名称
+ * @param {string} language - 统计结果中的编程语言
+ * @param {string} pageLanguage - 页面语言，不传时为基础语言
+ * @returns {string} 显示名称，没有语言和归入"其他"的使用界面文字
+ */
+function getLanguageLabel(language, pageLanguage = config.i18n.baseLanguage) {
+  const strings = i18n.getStrings(pageLanguage).stats;
+  if (language === UNKNOWN_LANGUAGE) {
+    return strings.unknownLanguage;
+  }
+  return language === OTHER_LANGUAGE ? strings.otherLanguage : language;
+}
+
+/**
+ * 获取某种页面语言的统计页面文件名
+ * @param {string} pageLanguage - 页面语言，不传时为基础语言
+ * @returns {string} 例如 stats.html、stats.en.html
+ */
+function getStatsPageFileName(pageLanguage = config.i18n.baseLanguage) {
+  return config.filePatterns.statsPage.replace(/\.html$/, `${i18n.getLocale(pageLanguage).fileSuffix}.html`);
+}
+
+/**
+ * 计算份额（保留一位小数的百分比）
+ * @param {number} count - 数量
+ * @param {number} total - 总数
+ * @returns {number} 百分比
+ */
+function toShare(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+/**
+ * 统计各编程语言的上榜次数、占比和热门仓库
+ * 每个仓库每上榜一天计一次
+ * @param {Array} historyData - 历史数据数组
+ * @returns {Object} { total, languages: [{ language, count, share, repos: [{ name, count }] }] }，按上榜次数降序；
+ *   没有语言的仓库计入 'Unknown'，显示名称见 getLanguageLabel
+ */
+function calculateLanguageStats(historyData) {
+  const languageMap = new Map();
+  let total = 0;
+
+  for (const { data } of historyData) {
+    if (!Array.isArray(data)) continue;
+
+    for (const repo of data) {
+      if (!repo || !repo.name) continue;
+
+      const language = repo.language || UNKNOWN_LANGUAGE;
+      if (!languageMap.has(language)) {
+        languageMap.set(language, { language, count: 0, repoCounts: new Map() });
+      }
+
+      const entry = languageMap.get(language);
+      entry.count++;
+      entry.repoCounts.set(repo.name, (entry.repoCounts.get(repo.name) || 0) + 1);
+      total++;
+    }
+  }
+
+  const languages = Array.from(languageMap.values())
+    .map(entry => ({
+      language: entry.language,
+      count: entry.count,
+      share: toShare(entry.count, total),
+      repos: Array.from(entry.repoCounts, ([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+        .slice(0, config.stats.topReposPerLanguage)
+    }))
+    .sort((a, b) => b.count - a.count || a.language.localeCompare(b.language));
+
+  return { total, languages };
+}
+
+/**
+ * 统计热门主题（仅统计补充过元数据的仓库）
+ * @param {Array} historyData - 历史数据数组
+ * @returns {Array} [{ topic, count, share }]，按上榜次数降序，share 为相对于带元数据的上榜记录的占比
+ */
+function calculateTopicStats(historyData) {
+  const topicCounts = new Map();
+  let total = 0;
+
+  for (const { data } of historyData) {
+    if (!Array.isArray(data)) continue;
+
+    for (const repo of data) {
+      if (!repo || !repo.metadata || !Array.isArray(repo.metadata.topics)) continue;
+
+      total++;
+      for (const topic of repo.metadata.topics) {
+        topicCounts.set(topic, (topicCounts.get(topic) || 0) + 1);
+      }
+    }
+  }
+
+  return Array.from(topicCounts, ([topic, count]) => ({ topic, count, share: toShare(count, total) }))
+    .sort((a, b) => b.count - a.count || a.topic.localeCompare(b.topic))
+    .slice(0, config.stats.topTopics);
+}
+
+/**
+ * 按固定天数分段统计语言占比的变化
+ * 从截止日期向前每 trendBucketDays 天为一段，只保留有数据的分段
+ * @param {Array} historyData - 历史数据数组
+ * @param {string} asOfDate - 截止日期
+ * @param {Array} languages - 单独展示的语言，其余语言归入"其他"
+ * @returns {Array} 按时间升序的分段 [{ start, end, total, shares: { language: share } }]，
+ *   归入"其他"的语言记在 OTHER_LANGUAGE 下
+ */
+function calculateLanguageTrend(historyData, asOfDate, languages) {
+  const bucketDays = config.stats.trendBucketDays;
+  const asOfTime = new Date(asOfDate).getTime();
+  const buckets = new Map();
+
+  for (const { date, data } of historyData) {
+    if (!Array.isArray(data)) continue;
+
+    const index = Math.floor((asOfTime - new Date(date).getTime()) / (bucketDays * 24 * 60 * 60 * 1000));
+    if (!buckets.has(index)) {
+      buckets.set(index, {
+        start: reportDate.addDays(asOfDate, -((index + 1) * bucketDays - 1)),
+        end: reportDate.addDays(asOfDate, -index * bucketDays),
+        total: 0,
+        counts: new Map()
+      });
+    }
+
+    const bucket = buckets.get(index);
+    for (const repo of data) {
+      if (!repo || !repo.name) continue;
+      const repoLanguage = repo.language || UNKNOWN_LANGUAGE;
+      const language = languages.includes(repoLanguage) ? repoLanguage : OTHER_LANGUAGE;
+      bucket.counts.set(language, (bucket.counts.get(language) || 0) + 1);
+      bucket.total++;
+    }
+  }
+
+  return Array.from(buckets.entries())
+    .sort((a, b) => b[0] - a[0])
+    .map(([, bucket]) => {
+      const shares = {};
+      for (const language of [...languages, OTHER_LANGUAGE]) {
+        shares[language] = toShare(bucket.counts.get(language) || 0, bucket.total);
+      }
+      return { start: bucket.start, end: bucket.end, total: bucket.total, shares };
+    });
+}
+
+/**
+ * 生成横向条形图 SVG
+ * @param {Array} items - [{ label, value, text }]，value 决定条形长度，text 为条形右侧的文字
+ * @returns {string} SVG 字符串
+ */
+function generateBarChartSVG(items) {
+  const width = 640;
+  const rowHeight = 26;
+  const labelWidth = 150;
+  const barMaxWidth = 380;
+  const height = items.length * rowHeight + 10;
+  const maxValue = Math.max(...items.map(item => item.value), 1);
+
+  const rows = items.map((item, index) => {
+    const y = index * rowHeight + 5;
+    const barWidth = Math.max((item.value / maxValue) * barMaxWidth, 2);
+    return `  <text class="chart-label" x="${labelWidth - 8}" y="${y + 16}" text-anchor="end">${escapeHTML(item.label)}</text>
+  <rect x="${labelWidth}" y="${y + 4}" width="${barWidth.toFixed(1)}" height="${rowHeight - 10}" rx="3" fill="${PALETTE[index % PALETTE.length]}"/>
+  <text class="chart-value" x="${(labelWidth + barWidth + 6).toFixed(1)}" y="${y + 16}">${escapeHTML(item.text)}</text>`;
+  }).join('\n');
+
+  return `<svg class="stats-chart" viewBox="0 0 ${width} ${height}" role="img">
+${rows}
+</svg>`;
+}
+
+/**
+ * 生成语言占比变化的折线图 SVG 和图例
+ * @param {Array} trend - calculateLanguageTrend 的结果
+ * @param {Array} languages - 折线对应的语言（含"其他"）
+ * @param {string} pageLanguage - 页面语言
+ * @returns {string} HTML 字符串，分段少于两个时返回提示文字
+ */
+function generateTrendChartHTML(trend, languages, pageLanguage) {
+  if (trend.length < 2) {
+    return `<p class="repo-empty">${i18n.getStrings(pageLanguage).stats.trendNotEnoughData}</p>`;
+  }
+
+  const width = 640;
+  const height = 240;
+  const padding = { top: 20, right: 20, bottom: 30, left: 50 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const maxShare = Math.max(...trend.flatMap(bucket => languages.map(language => bucket.shares[language])), 1);
+
+  const toX = index => padding.left + (index / (trend.length - 1)) * plotWidth;
+  const toY = share => padding.top + (1 - share / maxShare) * plotHeight;
+  const bottom = height - padding.bottom;
+
+  const lines = languages.map((language, index) => {
+    const label = getLanguageLabel(language, pageLanguage);
+    const color = PALETTE[index % PALETTE.length];
+    const points = trend.map((bucket, i) => `${toX(i).toFixed(1)},${toY(bucket.shares[language]).toFixed(1)}`).join(' ');
+    const dots = trend.map((bucket, i) =>
+      `<circle cx="${toX(i).toFixed(1)}" cy="${toY(bucket.shares[language]).toFixed(1)}" r="3" fill="${color}"><title>${escapeHTML(label)} ${bucket.start} ~ ${bucket.end}: ${bucket.shares[language]}%</title></circle>`
+    ).join('');
+    return `  <polyline points="${points}" fill="none" stroke="${color}" stroke-width="2"/>\n  ${dots}`;
+  }).join('\n');
+
+  const legend = languages.map((language, index) =>
+    `<span class="legend-item"><span class="legend-color" style="background: ${PALETTE[index % PALETTE.length]}"></span>${escapeHTML(getLanguageLabel(language, pageLanguage))}</span>`
+  ).join('');
+
+  return `<svg class="stats-chart" viewBox="0 0 ${width} ${height}" role="img">
+  <line class="axis" x1="${padding.left}" y1="${bottom}" x2="${width - padding.right}" y2="${bottom}"/>
+  <line class="axis" x1="${padding.left}" y1="${padding.top}" x2="${padding.left}" y2="${bottom}"/>
+  <text class="chart-label" x="${padding.left - 6}" y="${padding.top + 4}" text-anchor="end">${maxShare}%</text>
+  <text class="chart-label" x="${padding.left - 6}" y="${bottom}" text-anchor="end">0%</text>
+  <text class="chart-label" x="${padding.left}" y="${height - 8}" text-anchor="start">${trend[0].start}</text>
+  <text class="chart-label" x="${width - padding.right}" y="${height - 8}" text-anchor="end">${trend[trend.length - 1].end}</text>
+${lines}
+</svg>
+      <div class="stats-legend">${legend}</div>`;
+}
+
+/**
+ * 生成单个时间范围的统计区域 HTML
+ * @param {string} range - 时间范围 week / month / quarter
+ * @param {Object} languageStats - calculateLanguageStats 的结果
+ * @param {Array} topicStats - calculateTopicStats 的结果
+ * @param {string} pageLanguage - 页面语言
+ * @returns {string} HTML 字符串
+ */
+function generateRangeSectionHTML(range, languageStats, topicStats, pageLanguage) {
+  const allStrings = i18n.getStrings(pageLanguage);
+  const strings = allStrings.stats;
+  const title = `<h2 id="range-${range}">🗂️ ${allStrings.sidebar.timeRanges[range]}</h2>`;
+
+  if (languageStats.total === 0) {
+    return `${title}
+      <p class="repo-empty">${strings.noData}</p>`;
+  }
+
+  const repoPageBase = config.frontend.repoPageBase;
+  const languages = languageStats.languages.slice(0, config.stats.topLanguages);
+  const languageChart = generateBarChartSVG(languages.map(item => ({
+    label: getLanguageLabel(item.language, pageLanguage),
+    value: item.count,
+    text: i18n.format(strings.shareText, { share: item.share, count: item.count })
+  })));
+
+  const repoRows = languages.map(item => {
+    const repos = item.repos.map(repo => {
+      const href = repoPageBase + dataProcessor.getRepoPageFileName(repo.name);
+      const link = `<a href="${escapeHTML(href)}">${escapeHTML(repo.name)}</a>`;
+      return i18n.format(strings.repoCount, { repo: link, count: repo.count });
+    }).join(strings.repoSeparator);
+    return `
+          <tr><td>${escapeHTML(getLanguageLabel(item.language, pageLanguage))}</td><td>${repos}</td></tr>`;
+  }).join('');
+
+  const topicChart = topicStats.length > 0
+    ? generateBarChartSVG(topicStats.map(item => ({
+      label: item.topic,
+      value: item.count,
+      text: i18n.format(strings.shareText, { share: item.share, count: item.count })
+    })))
+    : `<p class="repo-empty">${strings.noTopics}</p>`;
+
+  return `${title}
+      <p>${i18n.format(strings.summary, { total: languageStats.total, count: languageStats.languages.length })}</p>
+      <h3>${strings.languageShare}</h3>
+      ${languageChart}
+      <h3>${strings.languageRepos}</h3>
+      <table class="repo-history">
+        <thead><tr><th>${strings.languageColumn}</th><th>${strings.reposColumn}</th></tr></thead>
+        <tbody>${repoRows}
+        </tbody>
+      </table>
+      <h3>${strings.topics}</h3>
+      ${topicChart}`;
+}
+
+/**
+ * 生成截至某天的语言与主题统计页面
+ * @param {string} asOfDate - 截止日期，默认为当前报告日期
+ * @param {string} pageLanguage - 页面语言，不传时为基础语言
+ * @returns {string} 生成的文件路径
+ */
+function generateStatsPage(asOfDate = reportDate.getReportDate(), pageLanguage = config.i18n.baseLanguage) {
+  const template = readTemplateFile('stats.html');
+  const styles = readTemplateFile('style.css');
+  if (!template) {
+    throw new Error('无法读取统计页面模板文件');
+  }
+
+  const allStrings = i18n.getStrings(pageLanguage);
+  const strings = allStrings.stats;
+  const sections = RANGES.map(range => {
+    const historyData = dataProcessor.readHistoryData(config.ranking[range], {}, asOfDate);
+    return generateRangeSectionHTML(range, calculateLanguageStats(historyData), calculateTopicStats(historyData), pageLanguage);
+  });
+
+  // 占比变化使用最长的时间范围，单独展示占比最高的几种语言
+  const trendHistory = dataProcessor.readHistoryData(config.ranking.quarter, {}, asOfDate);
+  const trendLanguages = calculateLanguageStats(trendHistory).languages
+    .slice(0, config.stats.trendLanguages)
+    .map(item => item.language);
+  const trend = calculateLanguageTrend(trendHistory, asOfDate, trendLanguages);
+
+  // 返回同一语言最新一天的日报
+  const reportDates = dataProcessor.getAllAvailableDates(pageLanguage);
+  const backLink = reportDates.length > 0 ? i18n.getReportFileName(reportDates[0], pageLanguage, '.html') : './';
+  const rangeNav = RANGES.map(range => `<a href="#range-${range}">${allStrings.sidebar.timeRanges[range]}</a>`).join(' · ');
+
+  const replacements = {
+    HTML_LANG: i18n.getLocale(pageLanguage).htmlLang,
+    TITLE: `${strings.title} - ${allStrings.page.titlePrefix}`,
+    STYLES: styles,
+    HEADING: strings.heading,
+    SUBTITLE: strings.subtitle,
+    AS_OF: i18n.format(strings.asOf, { date: reportDate.formatReportDate(asOfDate, i18n.getLocale(pageLanguage).htmlLang) }),
+    BACK_LINK: backLink,
+    BACK_LINK_TEXT: strings.backLink,
+    RANGE_NAV_HTML: rangeNav,
+    TREND_TITLE: strings.trendTitle,
+    TREND_HTML: generateTrendChartHTML(trend, [...trendLanguages, OTHER_LANGUAGE], pageLanguage),
+    RANGE_SECTIONS_HTML: sections.join('\n\n      ')
+  };
+  const html = template.replace(/\{\{([A-Z_]+)\}\}/g, (placeholder, name) =>
+    (Object.prototype.hasOwnProperty.call(replacements, name) ? replacements[name] : placeholder)
+  );
+
+  const outputPath = path.join(config.directories.reports, getStatsPageFileName(pageLanguage));
+  fs.writeFileSync(outputPath, html, 'utf8');
+  return outputPath;
+}
+
+/**
+ * 主函数
+ */
+function main() {
+  try {
+    const asOfDate = reportDate.getReportDate({ date: reportDate.parseDateArg(process.argv.slice(2)) });
+    for (const language of i18n.getLanguages()) {
+      console.log(`统计页面已生成: ${generateStatsPage(asOfDate, language)}`);
+    }
+  } catch (error) {
+    console.error('生成统计页面时发生错误:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  getLanguageLabel,
+  getStatsPageFileName,
+  calculateLanguageStats,
+  calculateTopicStats,
+  calculateLanguageTrend,
+  generateStatsPage
+};
@@ -1,12 +1,24 @@
 /**
  * AI 总结脚本
  * 功能：读取 GitHub Trending 数据并生成 AI 日报
+ *
+ * 使用方法：node src/summarize.js [--date YYYY-MM-DD] [--persona snarky|newsletter|digest] [--profile 名称] [--language zh,en]
+ *
+ * 同一份 Trending 数据按语言各生成一份日报，语言由 --language、输出配置（profile）或 REPORT_LANGUAGES 决定
  */
-const { OpenAI } = require('openai');
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 
+const config = require('./config');
+const dailyReport = require('./dailyReport');
+const dataProcessor = require('./dataProcessor');
+const i18n = require('./i18n');
+const llmClient = require('./llmClient');
+const promptTemplates = require('./promptTemplates');
+const reportDate = require('./reportDate');
+const schema = require('./schema');
+
 /**
  * 读取数据文件
  * @param {string} filePath - 数据文件路径
@@ -30,73 +42,79 @@ async function readDataFile(filePath) {
 }
 
 /**
- * 初始化 OpenAI 客户端
- * @returns {OpenAI} OpenAI 客户端实例
+ * 调用大模型生成 JSON 对象
+ * 解析或校验失败时把错误信息告诉大模型并重新生成，最多尝试 options.maxAttempts 次；
+ * 网络错误、超时和限流由大模型客户端重试
+ * @param {Object} llm - 大模型客户端（llmClient.getClient()）
+ * @param {Object} prompts - { system, user, temperature }
+ * @param {Function} validate - 校验函数，参数为解析后的对象，返回错误信息数组（为空表示通过）
+ * @param {Object} options - { task, label, maxAttempts, maxTokens }，task 为任务类型（默认 daily_report），
+ *   label 为输出内容的名称，用于日志和错误信息
+ * @returns {Promise<Object>} 校验通过的对象
  */
-function initializeOpenAIClient() {
-  const apiKey = process.env.OPENAI_API_KEY;
-  const baseURL = process.env.OPENAI_BASE_URL;
+async function requestValidatedJSON(llm, prompts, validate, options = {}) {
+  const label = options.label || '日报';
+  const maxAttempts = Math.max(1, options.maxAttempts || config.summary.maxAttempts);
+  const messages = [
+    { role: "system", content: prompts.system },
+    { role: "user", content: prompts.user }
+  ];
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let content;
+    try {
+      content = await llm.complete({
+        task: options.task || 'daily_report',
+        messages,
+        temperature: prompts.temperature,
+        maxTokens: options.maxTokens || config.summary.maxTokens
+      });
+    } catch (error) {
+      console.error('调用大模型时发生错误:', error.message);
+      throw error;
+    }
 
-  if (!apiKey) {
-    throw new Error('请在 .env 文件中设置 OPENAI_API_KEY');
-  }
+    let parsed;
+    try {
+      parsed = dailyReport.parseReportContent(content);
+      errors = validate(parsed);
+    } catch (error) {
+      errors = [`JSON 解析失败: ${error.message}`];
+    }
+    if (errors.length === 0) {
+      return parsed;
+    }
 
-  const config = {
-    apiKey: apiKey,
-  };
+    console.warn(`${label}格式不符合要求（${attempt}/${maxAttempts}）:\n  - ${errors.join('\n  - ')}`);
 
-  if (baseURL) {
-    config.baseURL = baseURL;
+    // 带上上一次的输出和错误信息，让大模型修正后重新输出
+    messages.push(
+      { role: "assistant", content: String(content || '') },
+      { role: "user", content: `你的输出不符合要求：\n- ${errors.join('\n- ')}\n请修正以上问题，重新输出完整的 JSON 对象。` }
+    );
   }
 
-  return new OpenAI(config);
+  throw new Error(`大模型连续 ${maxAttempts} 次没有返回符合要求的${label}: ${errors.join('；')}`);
 }
 
 /**
  * 调用 AI 生成日报
- * @param {Object} openai - OpenAI 客户端实例
+ * 提示词由 promptTemplates 按写作风格（persona）渲染，要求大模型按 dailyReport 中的 schema 输出 JSON；
+ * 解析或校验失败时重新生成，最多尝试 config.summary.maxAttempts 次
+ * @param {Object} llm - 大模型客户端（llmClient.getClient()）
  * @param {Array} trendingData - Trending 数据
- * @returns {Promise<string>} AI 生成的日报内容
+ * @param {string} date - 报告日期 YYYY-MM-DD
+ * @param {Object} options - { persona, profile, language }，language 为单个语言，不传时使用 config.summary 中的默认值和基础语言
+ * @returns {Promise<Object>} 校验通过的日报对象
  */
-async function generateDailyReport(openai, trendingData) {
-  const systemPrompt = `你是一个非常幽默、毒舌但专业的技术博主。请将这份 GitHub 热门项目列表改写成一篇中文日报。要求：
-
-标题要有吸引力（例如《今日 GitHub 狠活：XXX》）。
-
-每个项目用 ### 二级标题，标题格式为：项目名称。
-
-每个项目必须包含以下内容：
-- 一句话概括：用简洁的语言说明这个应用是干什么的
-- 详细介绍：用中文解释它解决了什么痛点，不要照着翻译简介，要通俗易懂
-- 项目网址：提供对应的 GitHub 链接
-- Star 数量：直接使用原始数据中的具体数值
-- 推荐指数：根据 Stars 数量和用途给一个'推荐指数'（满分 5 星）
+async function generateDailyReport(llm, trendingData, date, options = {}) {
+  const prompts = promptTemplates.buildReportPrompts({ ...options, date, trendingData });
+  const { provenance } = prompts;
+  console.log(`写作风格: ${provenance.persona}（提示词版本 ${provenance.promptVersion}，${provenance.promptHash}），语言: ${provenance.language}`);
 
-格式：Markdown。`;
-
-  const userPrompt = `请根据以下 GitHub Trending 数据生成一份日报，确保每个项目都包含项目名称、一句话概括、详细介绍、项目网址、Star 数量（使用原始数据中的具体数值）和推荐指数：
-
-${JSON.stringify(trendingData, null, 2)}`;
-
-  try {
-    const response = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-3.5-turbo",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt }
-      ],
-      temperature: 0.7,
-      max_tokens: 2000
-    });
-
-    return response.choices[0].message.content;
-  } catch (error) {
-    console.error('调用 OpenAI API 时发生错误:', error.message);
-    if (error.status === 400 || error.status === 404) {
-      console.log('可能是模型不存在，请检查 OPENAI_MODEL 环境变量设置');
-    }
-    throw error;
-  }
+  const content = await requestValidatedJSON(llm, prompts, parsed => dailyReport.validateReport(parsed, trendingData));
+  return dailyReport.createReport(content, { date, model: llm.model, ...provenance });
 }
 
 /**
@@ -117,6 +135,28 @@ function saveReport(content, fileName) {
   console.log(`日报已保存至: ${filePath}`);
 }
 
+/**
+ * 解析命令行参数
+ * @param {Array} argv - 命令行参数
+ * @returns {Object} { persona, profile, language }，未指定的为 null
+ */
+function parseArgs(argv) {
+  const options = { persona: null, profile: null, language: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    for (const key of Object.keys(options)) {
+      if (arg === `--${key}`) {
+        options[key] = argv[++i] || null;
+      } else if (arg.startsWith(`--${key}=`)) {
+        options[key] = arg.slice(`--${key}=`.length);
+      }
+    }
+  }
+
+  return options;
+}
+
 /**
  * 主函数
  */
@@ -124,78 +164,64 @@ async function main() {
   try {
     console.log('正在读取 Trending 数据...');
     
-    // 获取今天的日期（本地时间，中国时区）
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    const today = `${year}-${month}-${day}`;
-    const dataFilePath = path.join(__dirname, '../data', `trending_${today}.json`);
+    // 写作风格和输出配置，可用 --persona / --profile / --language 指定
+    const options = parseArgs(process.argv.slice(2));
+    // 提前检查写作风格、输出配置和语言是否存在
+    const { languages } = promptTemplates.resolvePromptOptions(options);
+
+    // 获取报告日期（按配置时区计算，可用 --date 或 REPORT_DATE 覆盖）
+    const today = reportDate.getReportDate({ date: reportDate.parseDateArg(process.argv.slice(2)) });
+    const dataFilePath = path.join(__dirname, '../data', dataProcessor.getTrendingFileName(today));
     
-    // 检查数据文件是否存在
+    // 检查数据文件是否存在：不改用其他日期的数据，以免把旧的榜单写成当天的日报
     if (!fs.existsSync(dataFilePath)) {
-      console.error(`数据文件不存在: ${dataFilePath}`);
-      console.log('尝试查找最新的 trending 数据文件...');
-      
-      // 查找最新的 trending 文件
-      const dataDir = path.join(__dirname, '../data');
-      if (fs.existsSync(dataDir)) {
-        const files = fs.readdirSync(dataDir).filter(file => 
-          file.startsWith('trending_') && file.endsWith('.json')
-        );
-        
-        if (files.length > 0) {
-          // 按文件名排序，取最新文件
-          files.sort().reverse();
-          dataFilePath = path.join(dataDir, files[0]);
-          console.log(`找到最新数据文件: ${dataFilePath}`);
-        } else {
-          throw new Error('未找到任何 trending 数据文件');
-        }
-      } else {
-        throw new Error('数据目录不存在');
-      }
+      throw new Error(`数据文件不存在: ${dataFilePath}（请先运行 npm run scrape，或用 --date 指定已有数据的日期）`);
     }
     
-    // 读取数据文件
-    const trendingData = await readDataFile(dataFilePath);
-    
-    console.log('正在初始化 OpenAI 客户端...');
-    const openai = initializeOpenAIClient();
+    // 读取数据文件（兼容所有 schema 版本）
+    const trendingData = schema.readRepositories(await readDataFile(dataFilePath));
     
-    console.log('正在生成日报...');
-    const reportContent = await generateDailyReport(openai, trendingData);
+    const llm = llmClient.getClient();
+    console.log(`大模型服务: ${llm.provider}，模型: ${llm.model}`);
     
-    // 保存日报
-    const reportFileName = `daily_${today}.md`;
-    saveReport(reportContent, reportFileName);
+    for (const language of languages) {
+      console.log(`正在生成日报（${i18n.getLocale(language).label}）...`);
+      const report = await generateDailyReport(llm, trendingData, today, { ...options, language });
+
+      // 保存日报 JSON 和由它渲染的 Markdown
+      saveDailyReport(report, trendingData);
+    }
     
     console.log('日报生成成功！');
   } catch (error) {
     console.error('生成日报时发生错误:', error.message);
+    process.exitCode = 1;
   }
 }
 
 /**
- * 从 JSON 数据生成 Markdown 简报
- * 用于补全缺失日期的 Markdown 文件
- * @param {string} jsonFilePath - JSON 文件路径
- * @returns {Promise<string>} 生成的 Markdown 内容
+ * 保存日报：写入日报 JSON，并由它渲染出同名的 Markdown 文件（非基础语言的文件名带语言后缀）
+ * @param {Object} report - generateDailyReport 返回的日报对象
+ * @param {Array} trendingData - 当天的 Trending 数据，用于填写 Star、今日新增和 Fork 数量
  */
-async function generateMarkdownFromJSON(jsonFilePath) {
-  const jsonData = await readDataFile(jsonFilePath);
-  const openai = initializeOpenAIClient();
-  const markdown = await generateDailyReport(openai, jsonData);
-  return markdown;
+function saveDailyReport(report, trendingData) {
+  const language = report.language || config.i18n.baseLanguage;
+  console.log(`日报 JSON 已保存至: ${dailyReport.writeReport(report)}`);
+  saveReport(dailyReport.renderMarkdown(report, trendingData), i18n.getReportFileName(report.date, language, '.md'));
 }
 
 /**
- * 保存 Markdown 报告
- * @param {string} content - Markdown 内容
- * @param {string} fileName - 文件名
+ * 从 Trending 数据文件生成日报
+ * 用于补全缺失日期的日报
+ * @param {string} jsonFilePath - Trending 数据文件路径
+ * @param {string} date - 报告日期 YYYY-MM-DD
+ * @param {Object} options - { persona, profile, language }，language 为单个语言，不传时使用 config.summary 中的默认值和基础语言
+ * @returns {Promise<Object>} { report, trendingData }
  */
-function saveMarkdown(content, fileName) {
-  return saveReport(content, fileName);
+async function generateReportFromJSON(jsonFilePath, date, options = {}) {
+  const trendingData = schema.readRepositories(await readDataFile(jsonFilePath));
+  const report = await generateDailyReport(llmClient.getClient(), trendingData, date, options);
+  return { report, trendingData };
 }
 
 if (require.main === module) {
@@ -204,9 +230,9 @@ if (require.main === module) {
 
 module.exports = { 
   readDataFile, 
-  initializeOpenAIClient, 
+  requestValidatedJSON,
   generateDailyReport, 
   saveReport,
-  generateMarkdownFromJSON,
-  saveMarkdown
+  saveDailyReport,
+  generateReportFromJSON
 };
\ No newline at end of file
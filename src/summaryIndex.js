@@ -0,0 +1,215 @@
+/**
+ * 项目点评索引模块
+ * 功能：从 reports/ 下所有 daily_*.md 日报中提取每个仓库的 AI 点评（一句话概括、详细介绍、推荐指数），
+ * 按仓库汇总后保存到 data/summary_index.json，每个仓库保留最新一次点评和更早的点评历史
+ *
+ * 每个进程第一次查询时同步一次索引：只重新解析新增或有变化（大小、修改时间不同）的日报，
+ * 已删除的日报中的点评会从索引中移除
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const config = require('./config');
+const dailyReport = require('./dailyReport');
+const dataProcessor = require('./dataProcessor');
+const markdownParser = require('./markdownParser');
+
+// 索引文件格式版本，格式变化时递增，旧索引会被整体重建
+const INDEX_VERSION = 1;
+
+// 内存中的索引：{ sources: { 日报文件名: { mtimeMs, size } }, repos: { 小写仓库名: [点评，按日期降序] } }
+let summaryIndex = null;
+
+/**
+ * 获取索引文件路径
+ * @returns {string} 索引文件路径
+ */
+function getIndexPath() {
+  return path.join(config.directories.data, config.filePatterns.summaryIndexFile);
+}
+
+/**
+ * 读取磁盘上的索引文件
+ * @returns {Object} { sources, repos }，索引不存在、版本不符或损坏时返回空索引
+ */
+function loadIndexFile() {
+  const empty = { sources: {}, repos: {} };
+  const raw = dataProcessor.safeReadJSON(getIndexPath(), null);
+  if (!raw || raw.version !== INDEX_VERSION || !raw.sources || !raw.repos) {
+    return empty;
+  }
+  return { sources: raw.sources, repos: raw.repos };
+}
+
+/**
+ * 从项目网址中解析仓库全名
+ * @param {string} url - 项目网址，例如 https://github.com/owner/name
+ * @returns {string|null} owner/name，不是 GitHub 仓库地址时返回 null
+ */
+function getRepoNameFromUrl(url) {
+  const match = String(url || '').match(/github\.com\/([\w.-]+\/[\w.-]+)/i);
+  return match ? match[1].replace(/\.git$/, '') : null;
+}
+
+/**
+ * 解析一份日报中的点评
+ * 有日报 JSON 时直接读取其中的项目，早期只有 Markdown 的日报解析 Markdown；
+ * 日报中的项目先与当天的 Trending 数据对应，对应不上时按项目网址解析仓库名
+ * @param {string} filePath - Markdown 日报文件路径
+ * @param {string} date - 日报日期 YYYY-MM-DD
+ * @returns {Array} [{ name, date, summary, details, rating }]
+ */
+function parseReportSummaries(filePath, date) {
+  const trendingData = dataProcessor.readTrendingDay(date);
+  const report = dailyReport.readReport(date);
+  const projects = report
+    ? dailyReport.getReportProjects(report, trendingData)
+    : markdownParser.extractProjects(fs.readFileSync(filePath, 'utf8'));
+  const summaries = [];
+
+  for (const project of projects) {
+    const repo = markdownParser.findTrendingRepo(trendingData, project);
+    const name = repo ? repo.name : getRepoNameFromUrl(project.url);
+    if (!name || !project.summary) {
+      continue;
+    }
+
+    summaries.push({
+      name,
+      date,
+      summary: project.summary,
+      details: project.details || '',
+      rating: project.rating || ''
+    });
+  }
+
+  return summaries;
+}
+
+/**
+ * 将日报目录与索引同步
+ * @returns {Object} 同步后的索引 { sources, repos }
+ */
+function syncIndex() {
+  const index = loadIndexFile();
+  const reportsDir = config.directories.reports;
+  if (!fs.existsSync(reportsDir)) {
+    return index;
+  }
+
+  const markdownRegex = new RegExp(`^${config.filePatterns.markdownPrefix}(\\d{4}-\\d{2}-\\d{2})\\.md$`);
+  const present = new Set();
+  const changed = [];
+
+  for (const file of fs.readdirSync(reportsDir)) {
+    const match = file.match(markdownRegex);
+    if (!match) continue;
+
+    present.add(file);
+    const stat = fs.statSync(path.join(reportsDir, file));
+    const source = index.sources[file];
+    if (!source || source.mtimeMs !== stat.mtimeMs || source.size !== stat.size) {
+      changed.push({ file, date: match[1], stat });
+    }
+  }
+
+  const removed = Object.keys(index.sources).filter(file => !present.has(file));
+  if (changed.length === 0 && removed.length === 0) {
+    return index;
+  }
+
+  // 先移除有变化和已删除日报中的旧点评，再加入重新解析的点评
+  const outdated = new Set([...removed, ...changed.map(item => item.file)]);
+  for (const key of Object.keys(index.repos)) {
+    index.repos[key] = index.repos[key].filter(entry => !outdated.has(entry.file));
+    if (index.repos[key].length === 0) {
+      delete index.repos[key];
+    }
+  }
+  removed.forEach(file => delete index.sources[file]);
+
+  for (const { file, date, stat } of changed) {
+    try {
+      for (const { name, ...entry } of parseReportSummaries(path.join(reportsDir, file), date)) {
+        const key = name.toLowerCase();
+        if (!index.repos[key]) {
+          index.repos[key] = [];
+        }
+        index.repos[key].push({ name, file, ...entry });
+      }
+      index.sources[file] = { mtimeMs: stat.mtimeMs, size: stat.size };
+    } catch (error) {
+      // 解析失败的日报不记录来源，下次同步时重试
+      console.warn(`读取日报 ${file} 中的点评失败: ${error.message}`);
+      delete index.sources[file];
+    }
+  }
+
+  // 每个仓库的点评按日期降序，第一条即为最新点评
+  for (const entries of Object.values(index.repos)) {
+    entries.sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  try {
+    fs.writeFileSync(getIndexPath(), JSON.stringify({ version: INDEX_VERSION, ...index }), 'utf8');
+  } catch (error) {
+    // 索引写入失败只影响下次启动的速度，不影响本次查询
+    console.warn('写入项目点评索引失败:', error.message);
+  }
+
+  return index;
+}
+
+/**
+ * 获取索引，同一进程内只同步一次
+ * @returns {Object} { sources, repos }
+ */
+function getIndex() {
+  if (!summaryIndex) {
+    summaryIndex = syncIndex();
+  }
+  return summaryIndex;
+}
+
+/**
+ * 丢弃内存中的索引并重新同步
+ * 同一进程内生成新的日报后，需要调用它才能查询到新点评
+ */
+function refreshSummaryIndex() {
+  summaryIndex = null;
+  getIndex();
+}
+
+/**
+ * 获取某个仓库截至某天的所有点评
+ * @param {string} repoName - 仓库全名
+ * @param {string} asOfDate - 截止日期，之后的日报不计入；不传时不限制
+ * @returns {Array} [{ name, file, date, summary, details, rating }]，按日期降序
+ */
+function getRepoSummaries(repoName, asOfDate) {
+  const entries = getIndex().repos[repoName.toLowerCase()] || [];
+  return asOfDate ? entries.filter(entry => entry.date <= asOfDate) : entries.slice();
+}
+
+/**
+ * 获取所有仓库截至某天的点评
+ * @param {string} asOfDate - 截止日期，之后的日报不计入；不传时不限制
+ * @returns {Object} 小写仓库名 -> 点评数组（按日期降序，第一条为最新点评）
+ */
+function getSummariesAsOf(asOfDate) {
+  const result = {};
+  for (const key of Object.keys(getIndex().repos)) {
+    const entries = getRepoSummaries(key, asOfDate);
+    if (entries.length > 0) {
+      result[key] = entries;
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  getRepoSummaries,
+  getSummariesAsOf,
+  refreshSummaryIndex
+};
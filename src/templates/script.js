@@ -27,6 +27,9 @@ document.addEventListener('DOMContentLoaded', function() {
   if (typeof updateRanking === 'function') {
     updateRanking('week');
   }
+  if (typeof updateDeveloperRanking === 'function') {
+    updateDeveloperRanking('week');
+  }
 });
 
 /**
@@ -75,44 +78,196 @@ function hideTooltip() {
 }
 
 /**
- * 更新排行榜显示
+ * 按分类筛选当天的项目卡片
+ * @param {string} category - 分类 id，空字符串表示显示全部
+ */
+function filterProjectsByCategory(category) {
+  document.querySelectorAll('.project-card[data-categories]').forEach(function(card) {
+    var categories = card.getAttribute('data-categories').split(' ');
+    card.style.display = (!category || categories.indexOf(category) !== -1) ? '' : 'none';
+  });
+
+  document.querySelectorAll('.category-filter-button').forEach(function(button) {
+    button.classList.toggle('active', button.getAttribute('data-category') === category);
+  });
+}
+
+/**
+ * 获取当前页面语言的界面文字，并替换其中的 {name} 占位符
+ * 界面文字由页面生成时注入的 pageLocale 提供
+ * @param {string} key - 文字名称，例如 'noData'、'appearances'
+ * @param {Object} params - 占位符名称 -> 值（可选）
+ * @returns {string} 替换后的文字
+ */
+function localize(key, params) {
+  var template = pageLocale.strings[key] || '';
+  return String(template).replace(/\{(\w+)\}/g, function(placeholder, name) {
+    return params && Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : placeholder;
+  });
+}
+
+/**
+ * 获取徽章在当前页面语言下的文字
+ * @param {Object} badge - { type, label, days }
+ * @returns {string} 徽章文字，旧的排行榜数据没有 days 字段时使用徽章自带的 label
+ */
+function localizeBadge(badge) {
+  var template = pageLocale.strings.badges[badge.type];
+  if (!template || (template.indexOf('{days}') !== -1 && typeof badge.days !== 'number')) {
+    return badge.label;
+  }
+  return template.replace('{days}', badge.days);
+}
+
+/**
+ * 获取分类排行榜
+ * 分类排行榜中的项目详情在各策略的排行榜或 rankingData.categoryItems 中查找，分数换成当前策略的分数
  * @param {string} timeRange - 时间范围：'week'、'month'、'quarter'
+ * @param {string} mode - 排序策略
+ * @param {string} category - 项目分类 id
+ * @returns {Array} 排行榜项目数组，没有该分类的排行榜时为空数组
  */
-function updateRanking(timeRange) {
+function getCategoryRanking(timeRange, mode, category) {
+  var categoryRanking = rankingData.categoryRankings && rankingData.categoryRankings[category];
+  var names = (categoryRanking && categoryRanking[mode] && categoryRanking[mode][timeRange]) || [];
+
+  var items = {};
+  Object.keys(rankingData.strategies || {}).forEach(function(name) {
+    (rankingData.strategies[name][timeRange] || []).forEach(function(item) {
+      items[item.name] = item;
+    });
+  });
+  var extraItems = (rankingData.categoryItems && rankingData.categoryItems[timeRange]) || {};
+  Object.keys(extraItems).forEach(function(name) {
+    items[name] = extraItems[name];
+  });
+
+  return names
+    .filter(function(name) { return items[name]; })
+    .map(function(name) {
+      var item = items[name];
+      var score = item.scoreBreakdown ? item.scoreBreakdown[mode] : item.score;
+      return Object.assign({}, item, { strategy: mode, score: score });
+    });
+}
+
+/**
+ * 更新排行榜显示
+ * @param {string} timeRange - 时间范围：'week'、'month'、'quarter'，不传时读取时间范围选择框
+ * @param {string} mode - 排序策略，例如 'combined'、'appearances'、'velocity'，不传时读取排序方式选择框
+ * @param {string} category - 项目分类 id，不传时读取分类选择框，空字符串表示不筛选
+ */
+function updateRanking(timeRange, mode, category) {
   var rankingList = document.getElementById('rankingList');
+  var timeRangeSelect = document.getElementById('timeRange');
+  var modeSelect = document.getElementById('rankingMode');
+  var categorySelect = document.getElementById('rankingCategory');
+
+  timeRange = timeRange || (timeRangeSelect ? timeRangeSelect.value : 'week');
+  mode = mode || (modeSelect ? modeSelect.value : '');
+  category = category || (categorySelect ? categorySelect.value : '');
 
   if (typeof rankingData === 'undefined') {
-    rankingList.innerHTML = '<li style="color: #6a8a6a; text-align: center;">数据加载中...</li>';
+    rankingList.innerHTML = '<li style="color: #6a8a6a; text-align: center;">' + localize('loading') + '</li>';
     return;
   }
 
-  var rankings = rankingData[timeRange] || [];
+  // 各策略的排行榜保存在 rankingData.strategies 下，旧版数据文件只有默认排行榜；
+  // 分类排行榜保存在 rankingData.categoryRankings 下，只有仓库名称
+  var source = (rankingData.strategies && rankingData.strategies[mode]) || rankingData;
+  var rankings = source[timeRange] || [];
+  if (category) {
+    rankings = getCategoryRanking(timeRange, mode, category);
+  }
 
   if (rankings.length === 0) {
-    rankingList.innerHTML = '<li style="color: #6a8a6a; text-align: center;">暂无数据</li>';
+    rankingList.innerHTML = '<li style="color: #6a8a6a; text-align: center;">' + localize('noData') + '</li>';
     return;
   }
 
+  // 项目名称链接到项目历史页面，没有配置页面目录时链接到 GitHub
+  var repoPageBase = rankingList.getAttribute('data-repo-page-base');
+
   let html = '';
 
   rankings.forEach(function(item, index) {
-    var description = item.description || '暂无描述';
-    var escapedDesc = description.replace(/'/g, '\\\'').replace(/"/g, '\\"');
+    // 中文页面的列表显示中文摘要，悬浮窗显示详细介绍；其他语言页面和旧的排行榜数据文件使用原始描述
+    var translated = pageLocale.translatedDescriptions;
+    var description = (translated && item.chineseDesc) || item.description || localize('noDescription');
+    var detailedDesc = (translated && item.detailedDesc) || description;
 
     var count = item.count || 0;
-    var stars = item.stars || '0';
+    var stars = typeof item.stars === 'number' ? item.stars.toLocaleString() : (item.stars || '0');
+    var hasGrowth = typeof item.starsToday === 'number';
+    var hasForks = typeof item.forks === 'number';
+    var hasWindowGrowth = typeof item.starsGained === 'number';
 
     var tooltipContent = '📦 ' + item.name + '\n\n' +
-                         '📝 ' + description + '\n\n' +
-                         '⭐ ' + stars + ' | 📅 ' + count + ' 次';
+                         '📝 ' + detailedDesc + '\n' +
+                         (translated && item.summaryDate ? localize('reviewedOn', { date: item.summaryDate, count: item.summaryCount }) + '\n' : '') + '\n' +
+                         '⭐ ' + stars + ' | 📅 ' + localize('appearancesShort', { count: count });
+    if (hasGrowth || hasForks) {
+      tooltipContent += '\n' +
+                        '📈 ' + localize('today') + ' +' + (hasGrowth ? item.starsToday.toLocaleString() : '-') +
+                        ' | 🍴 ' + (hasForks ? item.forks.toLocaleString() : '-');
+    }
+    if (hasWindowGrowth) {
+      tooltipContent += '\n🚀 ' + localize('gained', {
+        // 旧的排行榜数据文件中时间范围内的首末快照日期为 firstSeen / lastSeen
+        from: item.firstSeenInRange || item.firstSeen,
+        to: item.lastSeenInRange || item.lastSeen,
+        stars: item.starsGained.toLocaleString(),
+        perDay: item.starsPerDay.toLocaleString()
+      });
+    }
+    if (item.history) {
+      tooltipContent += '\n🗓️ ' + localize('history', item.history) +
+                        (item.history.bestRank ? localize('bestRank', { rank: item.history.bestRank }) : '');
+    }
+    if (item.topics && item.topics.length > 0) {
+      tooltipContent += '\n🏷️ ' + item.topics.slice(0, 5).join(', ');
+    }
+    if (item.license) {
+      tooltipContent += '\n📄 ' + item.license;
+    }
+
+    var breakdown = formatScoreBreakdown(item);
+    if (breakdown) {
+      tooltipContent += '\n\n' + breakdown;
+    }
 
     var escapedTooltipContent = tooltipContent.replace(/'/g, '\\\'').replace(/"/g, '\\"');
 
     html += '<li onmouseenter="showTooltip(\'' + escapedTooltipContent + '\', event)" onmouseleave="hideTooltip()">';
     html += '<div class="ranking-item">';
     html += '<div class="ranking-info">';
-    html += '<a class="ranking-name" href="' + item.url + '" target="_blank">' + item.name + '</a>';
-    html += '<div class="ranking-meta"><span class="ranking-stars">⭐ ' + stars + '</span> <span class="ranking-count">上榜 ' + count + ' 次</span></div>';
+    if (repoPageBase) {
+      html += '<a class="ranking-name" href="' + repoPageBase + item.name.replace('/', '__') + '.html">' + item.name + '</a>';
+    } else {
+      html += '<a class="ranking-name" href="' + item.url + '" target="_blank">' + item.name + '</a>';
+    }
+    if (item.history && item.history.badges && item.history.badges.length > 0) {
+      html += '<div class="ranking-badges">';
+      item.history.badges.forEach(function(badge) {
+        html += '<span class="badge badge-' + badge.type + '">' + localizeBadge(badge) + '</span>';
+      });
+      html += '</div>';
+    }
+    if (item.categories && item.categories.length > 0) {
+      var categoryLabels = rankingData.categoryLabels || {};
+      html += '<div class="ranking-categories">';
+      item.categories.forEach(function(id) {
+        html += '<span class="category-chip category-' + id + '">' + (pageLocale.strings.categories[id] || categoryLabels[id] || id) + '</span>';
+      });
+      html += '</div>';
+    }
+    html += '<div class="ranking-meta"><span class="ranking-stars">⭐ ' + stars + '</span> ';
+    if (mode === 'velocity' && hasWindowGrowth) {
+      html += '<span class="ranking-growth">🚀 +' + item.starsPerDay.toLocaleString() + localize('perDay') + '</span> ';
+    } else if (hasGrowth) {
+      html += '<span class="ranking-growth">📈 +' + item.starsToday.toLocaleString() + '</span> ';
+    }
+    html += '<span class="ranking-count">' + localize('appearances', { count: count }) + '</span></div>';
     html += '<div class="ranking-desc">' + description + '</div>';
     html += '</div>';
     html += '</div>';
@@ -122,6 +277,73 @@ function updateRanking(timeRange) {
   rankingList.innerHTML = html;
 }
 
+/**
+ * 生成排名依据说明：当前策略的分数和各策略的分数
+ * @param {Object} item - 排行榜项目
+ * @returns {string} 多行说明文字，没有分数信息时返回空字符串
+ */
+function formatScoreBreakdown(item) {
+  if (!item.scoreBreakdown) {
+    return '';
+  }
+
+  var dataLabels = rankingData.strategyLabels || {};
+  var label = function(name) {
+    return pageLocale.strings.strategies[name] || dataLabels[name] || name;
+  };
+  var lines = ['🏆 ' + label(item.strategy) + ': ' + item.score];
+  Object.keys(item.scoreBreakdown).forEach(function(name) {
+    if (name !== item.strategy) {
+      lines.push('   · ' + label(name) + ': ' + item.scoreBreakdown[name]);
+    }
+  });
+  return lines.join('\n');
+}
+
+/**
+ * 更新热门开发者排行榜显示
+ * @param {string} timeRange - 时间范围：'week'、'month'、'quarter'
+ */
+function updateDeveloperRanking(timeRange) {
+  var rankingList = document.getElementById('developerRankingList');
+  if (!rankingList) {
+    return;
+  }
+
+  if (typeof rankingData === 'undefined' || !rankingData.developers) {
+    rankingList.innerHTML = '<li style="color: #6a8a6a; text-align: center;">' + localize('noData') + '</li>';
+    return;
+  }
+
+  var rankings = rankingData.developers[timeRange] || [];
+
+  if (rankings.length === 0) {
+    rankingList.innerHTML = '<li style="color: #6a8a6a; text-align: center;">' + localize('noData') + '</li>';
+    return;
+  }
+
+  var html = '';
+
+  rankings.forEach(function(item) {
+    var repo = item.popularRepo;
+    var count = item.count || 0;
+
+    html += '<li>';
+    html += '<div class="ranking-item">';
+    html += '<div class="ranking-info">';
+    html += '<a class="ranking-name" href="' + item.url + '" target="_blank">' + item.name + '</a>';
+    html += '<div class="ranking-meta"><span class="ranking-stars">@' + item.login + '</span> <span class="ranking-count">' + localize('appearances', { count: count }) + '</span></div>';
+    if (repo) {
+      html += '<div class="ranking-desc">📦 ' + repo.name + '</div>';
+    }
+    html += '</div>';
+    html += '</div>';
+    html += '</li>';
+  });
+
+  rankingList.innerHTML = html;
+}
+
 /**
  * 更新月份选择下拉框
  * 修复：保留已选择的月份，重新选择时正确更新
@@ -141,8 +363,8 @@ function updateMonthOptions() {
   var selectedYear = yearSelect.value;
   var previouslySelectedMonth = monthSelect.value;
 
-  monthSelect.innerHTML = '<option value="">月</option>';
-  daySelect.innerHTML = '<option value="">日</option>';
+  monthSelect.innerHTML = '<option value="">' + localize('monthPlaceholder') + '</option>';
+  daySelect.innerHTML = '<option value="">' + localize('dayPlaceholder') + '</option>';
 
   if (!selectedYear) {
     return;
@@ -185,7 +407,7 @@ function updateDayOptions() {
   var selectedMonth = monthSelect.value;
   var previouslySelectedDay = daySelect.value;
 
-  daySelect.innerHTML = '<option value="">日</option>';
+  daySelect.innerHTML = '<option value="">' + localize('dayPlaceholder') + '</option>';
 
   if (!selectedYear || !selectedMonth) {
     return;
@@ -211,8 +433,9 @@ function goToHistoryReport() {
   var selectedDate = daySelect.value;
 
   if (selectedDate) {
-    window.location.href = 'daily_' + selectedDate + '.html';
+    // 跳转到同一语言的历史页面
+    window.location.href = 'daily_' + selectedDate + pageLocale.fileSuffix + '.html';
   } else {
-    alert('请先选择完整的日期！');
+    alert(localize('selectDate'));
   }
 }
@@ -0,0 +1,212 @@
+/**
+ * 翻译缓存模块
+ * 功能：保存项目描述的翻译结果（data/translation_cache.json）以及每条翻译的来源信息
+ *
+ * 每个条目记录原文哈希、翻译服务、模型、翻译时间和质量：
+ *   translated - 翻译服务给出的真正译文
+ *   fallback   - 翻译失败、无法翻译或结果与原文相同，保留原文
+ * 原文哈希与当前描述不一致（描述已修改）的条目视为过期；过期和 fallback 条目会在下次运行时重新翻译
+ *
+ * 由离线模拟大模型服务（模型为 mock）产生的条目只在内存中使用，不写入缓存文件
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const config = require('./config');
+
+// 缓存文件格式版本（1 为旧版的 { 仓库名: 译文 } 扁平映射）
+const CACHE_VERSION = 2;
+
+// 翻译质量
+const QUALITY_TRANSLATED = 'translated';
+const QUALITY_FALLBACK = 'fallback';
+
+// 离线模拟大模型服务的模型名称（见 llmClient），这类条目不写入缓存文件
+const MOCK_MODEL = 'mock';
+
+// 内存中的缓存条目：小写仓库名 -> 条目
+let cacheEntries = {};
+
+/**
+ * 获取缓存文件路径
+ * @returns {string} 缓存文件路径
+ */
+function getCachePath() {
+  return path.join(config.directories.data, config.filePatterns.translationCacheFile);
+}
+
+/**
+ * 计算原文哈希
+ * @param {string} text - 原文
+ * @returns {string} sha256 前 16 位
+ */
+function hashSource(text) {
+  return crypto.createHash('sha256').update(String(text || '')).digest('hex').slice(0, 16);
+}
+
+/**
+ * 将旧版扁平映射升级为当前格式
+ * 旧条目没有原文哈希，会被视为过期并在下次运行时重新翻译；带 📝 前缀的是未翻译的原文
+ * @param {Object} legacy - { 仓库名: 译文 }
+ * @returns {Object} 当前格式的条目
+ */
+function upgradeLegacyCache(legacy) {
+  const entries = {};
+  for (const [key, value] of Object.entries(legacy)) {
+    if (typeof value !== 'string') continue;
+    const isFallback = value.startsWith('📝');
+    entries[key.toLowerCase()] = {
+      text: isFallback ? value.replace(/^📝\s*/, '') : value,
+      sourceHash: null,
+      provider: 'legacy',
+      model: null,
+      translatedAt: null,
+      quality: isFallback ? QUALITY_FALLBACK : QUALITY_TRANSLATED
+    };
+  }
+  return entries;
+}
+
+/**
+ * 加载翻译缓存
+ * @returns {number} 条目数量
+ */
+function loadTranslationCache() {
+  const cachePath = getCachePath();
+  cacheEntries = {};
+
+  try {
+    if (fs.existsSync(cachePath)) {
+      const raw = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+      cacheEntries = raw && raw.version === CACHE_VERSION
+        ? (raw.entries || {})
+        : upgradeLegacyCache(raw || {});
+      console.log('已加载翻译缓存:', Object.keys(cacheEntries).length, '条');
+    }
+  } catch (error) {
+    console.warn('加载翻译缓存失败:', error.message);
+    cacheEntries = {};
+  }
+
+  return Object.keys(cacheEntries).length;
+}
+
+/**
+ * 保存翻译缓存
+ * 模拟服务的"译文"只是原样返回的原文，这些条目不写进缓存文件
+ */
+function saveTranslationCache() {
+  const cachePath = getCachePath();
+  const entries = {};
+  for (const [key, entry] of Object.entries(cacheEntries)) {
+    if (entry.model !== MOCK_MODEL) {
+      entries[key] = entry;
+    }
+  }
+  const content = { version: CACHE_VERSION, entries };
+  try {
+    fs.writeFileSync(cachePath, JSON.stringify(content, null, 2), 'utf8');
+    console.log('翻译缓存已保存');
+  } catch (error) {
+    console.warn('保存翻译缓存失败:', error.message);
+  }
+}
+
+/**
+ * 获取条目相对当前描述的状态
+ * @param {Object} entry - 缓存条目
+ * @param {string} sourceText - 当前的英文描述，未知时传 null（只检查质量）
+ * @returns {string} fresh（可直接使用）、stale（描述已变化）或 fallback（没有真正的译文）
+ */
+function getEntryStatus(entry, sourceText) {
+  if (entry.quality !== QUALITY_TRANSLATED) {
+    return 'fallback';
+  }
+  if (sourceText !== null && sourceText !== undefined && entry.sourceHash !== hashSource(sourceText)) {
+    return 'stale';
+  }
+  return 'fresh';
+}
+
+/**
+ * 获取仓库描述的有效译文
+ * @param {string} repoName - 仓库全名
+ * @param {string} sourceText - 当前的英文描述
+ * @returns {string|null} 译文，没有缓存、已过期或只有 fallback 时返回 null
+ */
+function getCachedTranslation(repoName, sourceText) {
+  const entry = cacheEntries[repoName.toLowerCase()];
+  if (!entry || !sourceText || getEntryStatus(entry, sourceText) !== 'fresh') {
+    return null;
+  }
+  return entry.text;
+}
+
+/**
+ * 判断仓库描述是否需要（重新）翻译
+ * @param {string} repoName - 仓库全名
+ * @param {string} sourceText - 当前的英文描述
+ * @returns {boolean} 没有缓存、已过期或为 fallback 时返回 true
+ */
+function needsTranslation(repoName, sourceText) {
+  return Boolean(sourceText) && getCachedTranslation(repoName, sourceText) === null;
+}
+
+/**
+ * 写入一条翻译结果
+ * @param {string} repoName - 仓库全名
+ * @param {string} sourceText - 英文原文
+ * @param {string|null} translated - 译文，翻译失败时为 null；为 null 或与原文相同时记录为 fallback
+ * @param {Object} provenance - { provider, model }
+ */
+function setTranslation(repoName, sourceText, translated, provenance = {}) {
+  const isTranslated = Boolean(translated) && translated.trim() !== String(sourceText || '').trim();
+  cacheEntries[repoName.toLowerCase()] = {
+    text: translated || sourceText,
+    sourceHash: hashSource(sourceText),
+    provider: provenance.provider || null,
+    model: provenance.model || null,
+    translatedAt: new Date().toISOString(),
+    quality: isTranslated ? QUALITY_TRANSLATED : QUALITY_FALLBACK
+  };
+}
+
+/**
+ * 删除一条缓存
+ * @param {string} repoName - 仓库全名
+ * @returns {boolean} 是否存在并已删除
+ */
+function deleteTranslation(repoName) {
+  const key = repoName.toLowerCase();
+  if (!cacheEntries[key]) {
+    return false;
+  }
+  delete cacheEntries[key];
+  return true;
+}
+
+/**
+ * 获取所有缓存条目
+ * @returns {Array} [{ key, entry }]，key 为小写仓库名，按 key 排序
+ */
+function getAllTranslations() {
+  return Object.keys(cacheEntries)
+    .sort()
+    .map(key => ({ key, entry: cacheEntries[key] }));
+}
+
+module.exports = {
+  QUALITY_TRANSLATED,
+  QUALITY_FALLBACK,
+  hashSource,
+  loadTranslationCache,
+  saveTranslationCache,
+  getEntryStatus,
+  getCachedTranslation,
+  needsTranslation,
+  setTranslation,
+  deleteTranslation,
+  getAllTranslations
+};
@@ -0,0 +1,204 @@
+/**
+ * 翻译缓存管理脚本
+ * 功能：查看、清理和重新翻译 data/translation_cache.json 中的条目
+ *
+ * 使用方法：node src/translations.js <命令> [选项]
+ *   list [--status fresh|stale|fallback|orphan]   列出缓存条目及其状态
+ *   prune [--dry-run]                              删除过期、fallback 和已不在数据文件中的条目
+ *   retranslate [--all] [--repo owner/name] [--provider llm|glossary|none]
+ *                                                  重新翻译过期和 fallback 条目（--all 为全部条目）
+ *
+ * 条目状态：fresh（有效）、stale（描述已修改）、fallback（没有真正的译文）、orphan（仓库已不在任何数据文件中）
+ */
+require('dotenv').config();
+
+const config = require('./config');
+const dataProcessor = require('./dataProcessor');
+const translationCache = require('./translationCache');
+const translator = require('./translator');
+
+// 支持的命令
+const COMMANDS = ['list', 'prune', 'retranslate'];
+
+// 条目状态
+const STATUSES = ['fresh', 'stale', 'fallback', 'orphan'];
+
+/**
+ * 读取每个仓库最近一次上榜时的描述
+ * @returns {Map} 小写仓库名 -> { name, description }
+ */
+function getLatestDescriptions() {
+  const latest = new Map();
+  // 历史数据按日期降序，第一次遇到的即为最近一天的描述
+  for (const { data } of dataProcessor.readHistoryData(Infinity)) {
+    for (const repo of data) {
+      if (!repo || !repo.name) continue;
+      const key = repo.name.toLowerCase();
+      if (!latest.has(key)) {
+        latest.set(key, { name: repo.name, description: repo.description || '' });
+      }
+    }
+  }
+  return latest;
+}
+
+/**
+ * 计算所有缓存条目的当前状态
+ * @returns {Array} [{ key, entry, repo, status }]，repo 为最近一次的 { name, description }，orphan 时为 null
+ */
+function collectEntries() {
+  const latest = getLatestDescriptions();
+  return translationCache.getAllTranslations().map(({ key, entry }) => {
+    const repo = latest.get(key) || null;
+    const status = repo ? translationCache.getEntryStatus(entry, repo.description) : 'orphan';
+    return { key, entry, repo, status };
+  });
+}
+
+/**
+ * 统计各状态的条目数量
+ * @param {Array} items - collectEntries 的结果
+ * @returns {string} 例如 "fresh 3 / stale 1 / fallback 2 / orphan 0"
+ */
+function formatStatusCounts(items) {
+  return STATUSES
+    .map(status => `${status} ${items.filter(item => item.status === status).length}`)
+    .join(' / ');
+}
+
+/**
+ * 列出缓存条目
+ * @param {Object} options - { status }
+ */
+function listEntries(options) {
+  const items = collectEntries();
+  const shown = options.status ? items.filter(item => item.status === options.status) : items;
+
+  for (const { key, entry, status } of shown) {
+    const source = [entry.provider || '-', entry.model].filter(Boolean).join('/');
+    const text = entry.text.length > 40 ? entry.text.slice(0, 40) + '…' : entry.text;
+    console.log(`[${status}] ${key}  ${entry.quality}  ${source}  ${entry.translatedAt || '-'}`);
+    console.log(`    ${text}`);
+  }
+
+  console.log(`\n共 ${items.length} 条（${formatStatusCounts(items)}），显示 ${shown.length} 条`);
+}
+
+/**
+ * 删除过期、fallback 和已不在数据文件中的条目
+ * @param {Object} options - { dryRun }
+ */
+function pruneEntries(options) {
+  const items = collectEntries().filter(item => item.status !== 'fresh');
+
+  for (const { key, status } of items) {
+    console.log(`${options.dryRun ? '将删除' : '删除'} [${status}] ${key}`);
+    if (!options.dryRun) {
+      translationCache.deleteTranslation(key);
+    }
+  }
+
+  if (!options.dryRun && items.length > 0) {
+    translationCache.saveTranslationCache();
+  }
+  console.log(`\n${options.dryRun ? '可清理' : '已清理'} ${items.length} 条`);
+}
+
+/**
+ * 重新翻译缓存条目
+ * 默认只处理过期和 fallback 条目；已不在数据文件中的仓库没有当前描述，跳过
+ * @param {Object} options - { all, repo, provider }
+ */
+async function retranslateEntries(options) {
+  const targets = collectEntries().filter(item => {
+    if (!item.repo || !item.repo.description) return false;
+    if (options.repo) return item.key === options.repo.toLowerCase();
+    return options.all || item.status === 'stale' || item.status === 'fallback';
+  });
+
+  if (targets.length === 0) {
+    console.log('没有需要重新翻译的条目');
+    return;
+  }
+
+  await translator.translateRepoDescriptions(targets.map(item => item.repo), options.provider);
+  translationCache.saveTranslationCache();
+}
+
+/**
+ * 解析命令行参数
+ * @param {Array} argv - 命令行参数
+ * @returns {Object} { command, status, dryRun, all, repo, provider }
+ */
+function parseArgs(argv) {
+  const options = {
+    command: argv[0] || 'list',
+    status: null,
+    dryRun: false,
+    all: false,
+    repo: null,
+    provider: config.translation.provider
+  };
+
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--all') {
+      options.all = true;
+    } else if (arg === '--status') {
+      options.status = argv[++i] || null;
+    } else if (arg.startsWith('--status=')) {
+      options.status = arg.slice('--status='.length);
+    } else if (arg === '--repo') {
+      options.repo = argv[++i] || null;
+    } else if (arg.startsWith('--repo=')) {
+      options.repo = arg.slice('--repo='.length);
+    } else if (arg === '--provider') {
+      options.provider = argv[++i] || options.provider;
+    } else if (arg.startsWith('--provider=')) {
+      options.provider = arg.slice('--provider='.length);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (!COMMANDS.includes(options.command)) {
+      throw new Error(`未知的命令: ${options.command}（可选：${COMMANDS.join(' / ')}）`);
+    }
+    if (options.status && !STATUSES.includes(options.status)) {
+      throw new Error(`未知的状态: ${options.status}（可选：${STATUSES.join(' / ')}）`);
+    }
+    // 提前检查翻译服务名称
+    translator.getTranslationProvider(options.provider);
+
+    translationCache.loadTranslationCache();
+
+    if (options.command === 'list') {
+      listEntries(options);
+    } else if (options.command === 'prune') {
+      pruneEntries(options);
+    } else {
+      await retranslateEntries(options);
+    }
+  } catch (error) {
+    console.error('管理翻译缓存时发生错误:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  collectEntries
+};
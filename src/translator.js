@@ -0,0 +1,252 @@
+/**
+ * 翻译模块
+ * 功能：把英文项目描述翻译成中文，具体翻译方式由可替换的翻译服务（provider）实现
+ *
+ * 内置翻译服务：
+ *   llm      - 调用大模型（见 llmClient），每次请求批量翻译多条描述
+ *   glossary - 离线技术词表，只翻译能被词表完整覆盖的描述，避免输出中英混杂的文本
+ *   none     - 不翻译，始终保留原文
+ *
+ * 每个翻译服务实现 translateBatch(texts)，返回与 texts 等长的数组，无法翻译的条目为 null；
+ * 可选的 model() 返回所用模型名称，记录在翻译缓存中
+ */
+
+const config = require('./config');
+const classifier = require('./classifier');
+const llmClient = require('./llmClient');
+const translationCache = require('./translationCache');
+
+// 词表翻译时忽略的英文虚词
+const GLOSSARY_STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'for', 'with', 'to', 'in', 'on', 'by', 'your', 'you', 'that', 'is', 'are'
+]);
+
+/**
+ * 解析大模型返回的翻译结果
+ * @param {string} content - 大模型返回的文本，应包含 JSON 字符串数组
+ * @param {number} expectedLength - 期望的条数
+ * @returns {Array} 翻译结果数组，空字符串或非字符串的条目为 null
+ */
+function parseLLMTranslations(content, expectedLength) {
+  const match = String(content || '').match(/\[[\s\S]*\]/);
+  if (!match) {
+    throw new Error('大模型返回的内容中没有 JSON 数组');
+  }
+
+  const parsed = JSON.parse(match[0]);
+  if (!Array.isArray(parsed) || parsed.length !== expectedLength) {
+    throw new Error(`大模型返回了 ${Array.isArray(parsed) ? parsed.length : 0} 条翻译，期望 ${expectedLength} 条`);
+  }
+
+  return parsed.map(item => (typeof item === 'string' && item.trim() ? item.trim() : null));
+}
+
+/**
+ * 用大模型批量翻译
+ * 一次请求翻译整批描述，返回的内容无法解析时按 config.translation.maxRetries 重新请求；
+ * 网络错误、超时和限流由大模型客户端重试
+ * @param {Array} texts - 英文描述数组
+ * @returns {Promise<Array>} 与 texts 等长的翻译结果数组
+ */
+async function translateBatchWithLLM(texts) {
+  const llm = llmClient.getClient();
+  const maxRetries = config.translation.maxRetries;
+
+  const systemPrompt = '你是一个技术翻译助手。用户会给出一个 JSON 字符串数组，每一项是一个英文技术项目描述。' +
+    '请把每一项翻译成简洁的中文（50 字以内），只保留核心信息，专有名词可保留英文。' +
+    '只输出与输入等长、顺序一致的 JSON 字符串数组，不要添加任何解释或额外内容。';
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      const content = await llm.complete({
+        task: 'translation',
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: JSON.stringify(texts) }
+        ],
+        temperature: 0.3,
+        timeout: config.translation.timeout
+      });
+      return parseLLMTranslations(content, texts.length);
+    } catch (error) {
+      console.warn(`翻译请求失败（${attempt}/${maxRetries}）:`, error.message);
+      if (attempt === maxRetries) {
+        throw error;
+      }
+    }
+  }
+
+  return texts.map(() => null);
+}
+
+/**
+ * 用离线技术词表翻译一条描述
+ * 按最长匹配把描述切分为词表中的词语，除虚词外只要有一个词不在词表中就放弃翻译
+ * @param {string} text - 英文描述
+ * @returns {string|null} 中文翻译，无法完整翻译时返回 null
+ */
+function translateWithGlossary(text) {
+  if (!text) return null;
+
+  const glossary = classifier.getKeywordMap();
+  const maxPhraseLength = Math.max(...Object.keys(glossary).map(key => key.split(' ').length));
+  const words = text.toLowerCase().split(/[^a-z0-9+#.-]+/).map(word => word.replace(/^[.-]+|[.-]+$/g, '')).filter(Boolean);
+
+  const parts = [];
+  let index = 0;
+  while (index < words.length) {
+    let matched = false;
+    for (let length = Math.min(maxPhraseLength, words.length - index); length > 0; length--) {
+      const phrase = words.slice(index, index + length).join(' ');
+      if (glossary[phrase]) {
+        parts.push(glossary[phrase]);
+        index += length;
+        matched = true;
+        break;
+      }
+    }
+
+    if (!matched) {
+      if (!GLOSSARY_STOPWORDS.has(words[index])) {
+        return null;
+      }
+      index++;
+    }
+  }
+
+  if (parts.length === 0) {
+    return null;
+  }
+
+  // 相邻的两个英文专有名词之间保留空格
+  return parts.reduce((result, part) => {
+    const needsSpace = /[A-Za-z0-9.]$/.test(result) && /^[A-Za-z0-9]/.test(part);
+    return result + (needsSpace ? ' ' : '') + part;
+  }, '');
+}
+
+// 翻译服务注册表：名称 -> { label, translateBatch(texts), model() }
+const TRANSLATION_PROVIDERS = {
+  llm: {
+    label: '大模型翻译',
+    translateBatch: translateBatchWithLLM,
+    model: () => llmClient.getClient().model
+  },
+  glossary: {
+    label: '离线词表',
+    translateBatch: async texts => texts.map(translateWithGlossary)
+  },
+  none: {
+    label: '不翻译',
+    translateBatch: async texts => texts.map(() => null)
+  }
+};
+
+/**
+ * 注册自定义翻译服务
+ * @param {string} name - 翻译服务名称，可在 config.translation.provider 中使用
+ * @param {Object} provider - { label, translateBatch(texts), model() }，translateBatch 返回 Promise<Array>，model 可选
+ */
+function registerTranslationProvider(name, provider) {
+  if (!provider || typeof provider.translateBatch !== 'function') {
+    throw new Error(`翻译服务 ${name} 缺少 translateBatch 函数`);
+  }
+  TRANSLATION_PROVIDERS[name] = {
+    label: provider.label || name,
+    translateBatch: provider.translateBatch,
+    model: typeof provider.model === 'function' ? provider.model : null
+  };
+}
+
+/**
+ * 获取翻译服务
+ * @param {string} name - 翻译服务名称
+ * @returns {Object} { label, translateBatch }
+ */
+function getTranslationProvider(name = config.translation.provider) {
+  const provider = TRANSLATION_PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`未知的翻译服务: ${name}（可选：${Object.keys(TRANSLATION_PROVIDERS).join(' / ')}）`);
+  }
+  return provider;
+}
+
+/**
+ * 获取翻译服务的来源信息，记录在翻译缓存中
+ * @param {string} name - 翻译服务名称
+ * @returns {Object} { provider, model }
+ */
+function getProvenance(name = config.translation.provider) {
+  const provider = getTranslationProvider(name);
+  return { provider: name, model: provider.model ? provider.model() : null };
+}
+
+/**
+ * 批量翻译多条文本
+ * 相同的文本只翻译一次，按 config.translation.batchSize 分批依次请求；某一批失败时该批结果为 null
+ * @param {Array} texts - 英文文本数组
+ * @param {string} providerName - 翻译服务名称，默认为 config.translation.provider
+ * @returns {Promise<Map>} 原文 -> 中文翻译（无法翻译时为 null）
+ */
+async function translateTexts(texts, providerName = config.translation.provider) {
+  const provider = getTranslationProvider(providerName);
+  const unique = [...new Set(texts.filter(Boolean))];
+  const results = new Map();
+  const batchSize = Math.max(1, config.translation.batchSize);
+
+  for (let start = 0; start < unique.length; start += batchSize) {
+    const batch = unique.slice(start, start + batchSize);
+    let translated;
+    try {
+      translated = await provider.translateBatch(batch);
+    } catch (error) {
+      console.warn(`${provider.label}失败，${batch.length} 条描述保留原文:`, error.message);
+      translated = [];
+    }
+    batch.forEach((text, index) => results.set(text, translated[index] || null));
+  }
+
+  return results;
+}
+
+/**
+ * 翻译一组仓库的描述并写入翻译缓存
+ * 翻译失败的描述记录为 fallback，下次运行时会重新翻译
+ * @param {Array} repos - [{ name, description }]
+ * @param {string} providerName - 翻译服务名称，默认为 config.translation.provider
+ * @returns {Promise<number>} 得到真正译文的仓库数量
+ */
+async function translateRepoDescriptions(repos, providerName = config.translation.provider) {
+  const provider = getTranslationProvider(providerName);
+  const provenance = getProvenance(providerName);
+  const pending = repos.filter(repo => repo && repo.name && repo.description);
+  if (pending.length === 0) {
+    return 0;
+  }
+
+  console.log(`正在翻译 ${pending.length} 个项目描述（${provider.label}）...`);
+  const translations = await translateTexts(pending.map(repo => repo.description), providerName);
+
+  let count = 0;
+  for (const repo of pending) {
+    const translated = translations.get(repo.description);
+    translationCache.setTranslation(repo.name, repo.description, translated, provenance);
+    // 与原文相同的结果记录为 fallback，不计入
+    if (!translationCache.needsTranslation(repo.name, repo.description)) {
+      count++;
+    }
+  }
+
+  console.log(`已翻译 ${count}/${pending.length} 个项目描述`);
+  return count;
+}
+
+module.exports = {
+  TRANSLATION_PROVIDERS,
+  registerTranslationProvider,
+  getTranslationProvider,
+  getProvenance,
+  translateWithGlossary,
+  translateTexts,
+  translateRepoDescriptions
+};
@@ -0,0 +1,170 @@
+/**
+ * Trending 页面解析模块
+ * 负责将 GitHub Trending / Trending Developers 页面的 HTML 字符串解析为数据行
+ * 与抓取逻辑分离，便于对归档的原始页面重新解析
+ */
+
+const cheerio = require('cheerio');
+const config = require('./config');
+
+/**
+ * 将页面中的计数文本转换为数字
+ * @param {string} text - 例如 "9,257"、"1,234 stars today"
+ * @returns {number} 解析出的数字，无法解析时返回 0
+ */
+function parseCount(text) {
+  const match = String(text || '').replace(/,/g, '').match(/\d+/);
+  return match ? parseInt(match[0], 10) : 0;
+}
+
+/**
+ * 解析 Trending 仓库页面
+ * @param {string} html - 页面 HTML
+ * @param {number} limit - 最多解析的项目数量
+ * @returns {Array} 仓库信息数组
+ */
+function parseTrendingHTML(html, limit = config.trending.topN) {
+  const $ = cheerio.load(html);
+  const repositories = [];
+
+  // 选择 GitHub 上的仓库列表项
+  $('.Box article.Box-row').each((index, element) => {
+    // 只处理前 N 个项目
+    if (index >= limit) return false; // 跳出循环
+    
+    // 提取项目名称
+    const nameElement = $(element).find('h2.h3 a');
+    let name = nameElement.text().replace(/\s+/g, '').trim();
+    
+    // 提取URL
+    let url = nameElement.attr('href');
+    if (url && !url.startsWith('http')) {
+      url = 'https://github.com' + url;
+    }
+    
+    // 提取描述
+    const descriptionElement = $(element).find('p.col-9');
+    let description = 'No description';
+    if (descriptionElement.length > 0) {
+      description = descriptionElement.text().trim();
+    }
+    
+    // 提取编程语言
+    let language = 'Unknown';
+    const languageElement = $(element).find('[itemprop="programmingLanguage"]');
+    if (languageElement.length > 0) {
+      language = languageElement.text().trim();
+    }
+    
+    // 提取 Star 数量
+    let stars = 0;
+    const starLink = $(element).find('a[href*="/stargazers"]');
+    if (starLink.length > 0) {
+      stars = parseCount(starLink.text());
+    }
+
+    // 提取 Fork 数量
+    let forks = 0;
+    const forkLink = $(element).find('a[href*="/forks"]');
+    if (forkLink.length > 0) {
+      forks = parseCount(forkLink.text());
+    }
+
+    // 提取时间窗口内新增的 Star 数（例如 "1,234 stars today" / "stars this week"）
+    let starsToday = 0;
+    const starsTodayElement = $(element).find('span.float-sm-right');
+    if (starsTodayElement.length > 0) {
+      starsToday = parseCount(starsTodayElement.text());
+    }
+
+    // 提取 Built by 贡献者头像
+    const builtBy = [];
+    $(element).find('span:contains("Built by") a').each((i, link) => {
+      const avatar = $(link).find('img');
+      const login = (avatar.attr('alt') || $(link).attr('href') || '').replace(/^[@/]/, '').trim();
+      if (!login) return;
+      builtBy.push({
+        login: login,
+        url: 'https://github.com/' + login,
+        avatar: avatar.attr('src') || ''
+      });
+    });
+    
+    // 构建项目对象
+    const repo = {
+      rank: index + 1,
+      name: name,
+      url: url,
+      description: description,
+      stars: stars,
+      language: language,
+      starsToday: starsToday,
+      forks: forks,
+      builtBy: builtBy
+    };
+    
+    repositories.push(repo);
+  });
+
+  return repositories;
+}
+
+/**
+ * 解析 Trending Developers 页面
+ * @param {string} html - 页面 HTML
+ * @param {number} limit - 最多解析的开发者数量
+ * @returns {Array} 开发者信息数组
+ */
+function parseDevelopersHTML(html, limit = config.trending.topN) {
+  const $ = cheerio.load(html);
+  const developers = [];
+
+  // 选择开发者列表项
+  $('.Box article.Box-row').each((index, element) => {
+    // 只处理前 N 个开发者
+    if (index >= limit) return false; // 跳出循环
+
+    // 提取开发者显示名称和主页链接
+    const nameElement = $(element).find('h1.h3 a').first();
+    const href = nameElement.attr('href') || '';
+    const login = href.replace(/^\//, '').split('/')[0];
+    if (!login) return;
+    const name = nameElement.text().replace(/\s+/g, ' ').trim() || login;
+
+    // 提取头像
+    const avatar = $(element).find('img.avatar-user').first().attr('src') || '';
+
+    // 提取代表仓库（Popular repo）
+    let popularRepo = null;
+    const repoElement = $(element).find('article h1.h4 a').first();
+    if (repoElement.length > 0) {
+      let repoUrl = repoElement.attr('href') || '';
+      if (repoUrl && !repoUrl.startsWith('http')) {
+        repoUrl = 'https://github.com' + repoUrl;
+      }
+      const repoDesc = $(element).find('article div.f6.mt-1').first().text().trim();
+      popularRepo = {
+        name: repoUrl.replace('https://github.com/', ''),
+        url: repoUrl,
+        description: repoDesc || 'No description'
+      };
+    }
+
+    developers.push({
+      rank: index + 1,
+      login: login,
+      name: name,
+      url: 'https://github.com/' + login,
+      avatar: avatar,
+      popularRepo: popularRepo
+    });
+  });
+
+  return developers;
+}
+
+module.exports = {
+  parseCount,
+  parseTrendingHTML,
+  parseDevelopersHTML
+};
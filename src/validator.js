@@ -0,0 +1,212 @@
+/**
+ * 数据校验模块
+ * 按 schema 校验抓取结果，检测 GitHub 页面结构变化导致的选择器失效（行数变少、字段缺失、数值为 0 等）
+ */
+
+const config = require('./config');
+
+// Trending 仓库数据行的 schema
+const TRENDING_ROW_SCHEMA = {
+  rank: { type: 'number', required: true },
+  name: { type: 'string', required: true, pattern: /^[\w.-]+\/[\w.-]+$/ },
+  url: { type: 'string', required: true, pattern: /^https:\/\/github\.com\/[\w.-]+\/[\w.-]+$/ },
+  description: { type: 'string', required: true },
+  stars: { type: 'number', required: true },
+  language: { type: 'string', required: true },
+  starsToday: { type: 'number' },
+  forks: { type: 'number' },
+  builtBy: { type: 'array' }
+};
+
+// 热门开发者数据行的 schema
+const DEVELOPER_ROW_SCHEMA = {
+  rank: { type: 'number', required: true },
+  login: { type: 'string', required: true, pattern: /^[\w-]+$/ },
+  name: { type: 'string', required: true },
+  url: { type: 'string', required: true, pattern: /^https:\/\/github\.com\/[\w-]+$/ }
+};
+
+/**
+ * 按 schema 校验单行数据
+ * @param {Object} row - 数据行
+ * @param {Object} schema - 字段规则
+ * @returns {Array} 错误信息数组
+ */
+function validateRow(row, schema) {
+  const errors = [];
+
+  if (!row || typeof row !== 'object') {
+    return ['不是对象'];
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = row[field];
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        errors.push(`缺少字段 ${field}`);
+      }
+      continue;
+    }
+
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    if (actualType !== rule.type) {
+      errors.push(`字段 ${field} 类型应为 ${rule.type}，实际为 ${actualType}`);
+      continue;
+    }
+
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push(`字段 ${field} 格式不正确: ${JSON.stringify(value)}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 校验一组数据行，汇总行级错误
+ * @param {Array} rows - 数据行数组
+ * @param {Object} schema - 字段规则
+ * @param {number} minRows - 最少行数
+ * @returns {Object} { errors, warnings }
+ */
+function validateRows(rows, schema, minRows) {
+  const errors = [];
+  const warnings = [];
+
+  if (!Array.isArray(rows)) {
+    errors.push('数据不是数组');
+    return { errors, warnings };
+  }
+
+  if (rows.length < minRows) {
+    errors.push(`只解析到 ${rows.length} 行，少于要求的 ${minRows} 行，页面结构可能已变化`);
+  }
+
+  rows.forEach((row, index) => {
+    for (const message of validateRow(row, schema)) {
+      errors.push(`第 ${index + 1} 行: ${message}`);
+    }
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * 校验 Trending 仓库抓取结果
+ * @param {Array} rows - 抓取到的仓库数组
+ * @param {Object} options - { minRows }，默认取 config.validation
+ * @returns {Object} 校验结果 { valid, rowCount, errors, warnings }
+ */
+function validateTrendingData(rows, options = {}) {
+  const minRows = options.minRows !== undefined ? options.minRows : config.validation.minRows;
+  const { errors, warnings } = validateRows(rows, TRENDING_ROW_SCHEMA, minRows);
+
+  if (Array.isArray(rows) && rows.length > 0) {
+    // Star 数为 0 的仓库不可能上榜，出现即说明选择器失效
+    const zeroStars = rows.filter(row => row && row.stars === 0);
+    if (zeroStars.length > 0) {
+      errors.push(`${zeroStars.length} 行的 Star 数量为 0: ${zeroStars.map(row => row.name).join(', ')}`);
+    }
+
+    // 没有语言的仓库是正常的（例如 awesome 列表），但比例过高说明语言选择器失效
+    const unknownLanguage = rows.filter(row => row && row.language === 'Unknown').length;
+    const unknownRatio = unknownLanguage / rows.length;
+    if (unknownRatio > config.validation.maxUnknownLanguageRatio) {
+      errors.push(`${unknownLanguage}/${rows.length} 行的语言为 Unknown，超过允许的比例 ${config.validation.maxUnknownLanguageRatio}`);
+    } else if (unknownLanguage > 0) {
+      warnings.push(`${unknownLanguage} 行的语言为 Unknown`);
+    }
+
+    // 仓库名称与 URL 必须一致且不重复
+    const names = new Set();
+    rows.forEach((row, index) => {
+      if (!row || !row.name) return;
+      if (names.has(row.name)) {
+        errors.push(`第 ${index + 1} 行: 仓库 ${row.name} 重复出现`);
+      }
+      names.add(row.name);
+      if (row.url && row.url !== `https://github.com/${row.name}`) {
+        errors.push(`第 ${index + 1} 行: 名称 ${row.name} 与 URL ${row.url} 不一致`);
+      }
+    });
+
+    const noDescription = rows.filter(row => row && row.description === 'No description').length;
+    if (noDescription === rows.length) {
+      warnings.push('所有仓库都没有描述，描述选择器可能已失效');
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    rowCount: Array.isArray(rows) ? rows.length : 0,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * 校验热门开发者抓取结果
+ * @param {Array} rows - 抓取到的开发者数组
+ * @param {Object} options - { minRows }，默认取 config.validation
+ * @returns {Object} 校验结果 { valid, rowCount, errors, warnings }
+ */
+function validateDevelopersData(rows, options = {}) {
+  const minRows = options.minRows !== undefined ? options.minRows : config.validation.minRows;
+  const { errors, warnings } = validateRows(rows, DEVELOPER_ROW_SCHEMA, minRows);
+
+  if (Array.isArray(rows) && rows.length > 0 && rows.every(row => row && !row.popularRepo)) {
+    warnings.push('所有开发者都没有代表仓库，代表仓库选择器可能已失效');
+  }
+
+  return {
+    valid: errors.length === 0,
+    rowCount: Array.isArray(rows) ? rows.length : 0,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * 判断新的抓取结果相对于已有文件是否退化
+ * 已有文件有效时，新结果无效或行数更少都视为退化，不应覆盖
+ * @param {Object} next - 新结果的校验结果
+ * @param {Object|null} previous - 已有文件的校验结果，文件不存在时为 null
+ * @returns {boolean} 是否退化
+ */
+function isDegraded(next, previous) {
+  if (!next.valid) {
+    return true;
+  }
+  if (!previous || !previous.valid) {
+    return false;
+  }
+  return next.rowCount < previous.rowCount;
+}
+
+/**
+ * 将校验结果格式化为诊断信息
+ * @param {string} label - 数据标识，例如文件名
+ * @param {Object} result - 校验结果
+ * @returns {string} 多行诊断信息
+ */
+function formatValidationReport(label, result) {
+  const lines = [`[校验] ${label}: ${result.valid ? '通过' : '失败'}（${result.rowCount} 行）`];
+  for (const error of result.errors) {
+    lines.push(`  ✗ ${error}`);
+  }
+  for (const warning of result.warnings) {
+    lines.push(`  ! ${warning}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  TRENDING_ROW_SCHEMA,
+  DEVELOPER_ROW_SCHEMA,
+  validateRow,
+  validateTrendingData,
+  validateDevelopersData,
+  isDegraded,
+  formatValidationReport
+};
@@ -0,0 +1,111 @@
+/**
+ * GitHub Search API 数据源测试
+ * 启动本地 mock 服务代替 api.github.com，检查查询语句和返回记录的结构
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const config = require('../src/config');
+const githubApiSource = require('../src/githubApiSource');
+const trendingParser = require('../src/trendingParser');
+
+// Search API 返回的仓库
+const SEARCH_ITEMS = [
+  {
+    full_name: 'octo/alpha',
+    description: '  A fast thing  ',
+    stargazers_count: 1234,
+    forks_count: 56,
+    language: 'Rust',
+    owner: { login: 'octo', avatar_url: 'https://avatars.example/octo.png' }
+  },
+  {
+    full_name: 'octo/beta',
+    description: null,
+    stargazers_count: 10,
+    forks_count: 0,
+    language: null,
+    owner: { login: 'octo', avatar_url: '' }
+  }
+];
+
+// 与 Search API 结果对应的 Trending 页面片段，用于得到 HTML 爬虫输出的记录结构
+const TRENDING_HTML = `
+<div class="Box">
+  <article class="Box-row">
+    <h2 class="h3"><a href="/octo/alpha">octo / alpha</a></h2>
+    <p class="col-9">A fast thing</p>
+    <span itemprop="programmingLanguage">Rust</span>
+    <a href="/octo/alpha/stargazers">1,234</a>
+    <a href="/octo/alpha/forks">56</a>
+    <span>Built by <a href="/octo"><img alt="@octo" src="https://avatars.example/octo.png"></a></span>
+    <span class="float-sm-right">12 stars today</span>
+  </article>
+</div>`;
+
+/**
+ * 启动 mock 服务，记录收到的请求
+ * @returns {Promise<Object>} { server, requests, baseUrl }
+ */
+function startMockServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(new URL(req.url, 'http://localhost'));
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ total_count: SEARCH_ITEMS.length, items: SEARCH_ITEMS }));
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` });
+  }));
+}
+
+/**
+ * 获取记录的字段和类型
+ * @param {Object} record - 记录
+ * @returns {Object} 字段名 -> 类型
+ */
+function describeShape(record) {
+  const shape = {};
+  for (const [key, value] of Object.entries(record)) {
+    shape[key] = Array.isArray(value) ? 'array' : typeof value;
+  }
+  return shape;
+}
+
+test('github-api 数据源按报告日期查询，返回与 HTML 爬虫相同结构的记录', async () => {
+  const { server, requests, baseUrl } = await startMockServer();
+  const originalApi = { ...config.githubApi };
+  Object.assign(config.githubApi, { baseUrl, token: '' });
+
+  try {
+    const repositories = await githubApiSource.fetchRepositories({ language: 'Rust', since: 'daily', date: '2026-02-20' });
+
+    // 补抓历史日期时，时间窗口截止到报告日期而不是今天
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].pathname, '/search/repositories');
+    assert.strictEqual(requests[0].searchParams.get('q'), 'created:2026-02-13..2026-02-20 language:rust');
+    assert.strictEqual(requests[0].searchParams.get('sort'), 'stars');
+
+    const [scraped] = trendingParser.parseTrendingHTML(TRENDING_HTML);
+    const [alpha, beta] = repositories;
+
+    // 字段与 HTML 爬虫一致；Search API 无法提供新增 Star 数，starsToday 为 null
+    assert.deepStrictEqual(Object.keys(alpha), Object.keys(scraped));
+    assert.deepStrictEqual(
+      { ...describeShape(alpha), starsToday: 'number' },
+      describeShape(scraped)
+    );
+    assert.strictEqual(alpha.starsToday, null);
+    assert.deepStrictEqual({ ...alpha, starsToday: scraped.starsToday }, scraped);
+
+    // 缺失的描述和语言使用与爬虫相同的默认值
+    assert.strictEqual(beta.rank, 2);
+    assert.strictEqual(beta.description, 'No description');
+    assert.strictEqual(beta.language, 'Unknown');
+  } finally {
+    Object.assign(config.githubApi, originalApi);
+    server.close();
+  }
+});
@@ -0,0 +1,147 @@
+/**
+ * 整条流程测试
+ * 把 src/ 和 test/fixtures/data/ 复制到临时目录，用离线模拟大模型服务（LLM_PROVIDER=mock）
+ * 依次运行 summarize → digest → html，检查生成的日报、周报和页面；不访问网络，也不改动仓库中的 data/ 和 reports/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURE_DATA = path.join(__dirname, 'fixtures', 'data');
+
+// 报告日期和周报所在的日期（生成 2026-02-23 至 2026-03-01 的周报）
+const REPORT_DATE = '2026-02-28';
+const DIGEST_DATE = '2026-03-02';
+
+let workDir;
+
+/**
+ * 在临时目录中运行一个流程脚本
+ * summarize 和 html 出错时以非零状态退出（execFileSync 抛出错误），digest 出错时只打印错误，因此各测试还会检查输出文件
+ * @param {string} script - src/ 下的脚本文件名
+ * @param {Array} args - 命令行参数
+ * @param {Object} extraEnv - 额外的环境变量，例如只生成某种语言时的 REPORT_LANGUAGES
+ * @returns {string} 标准输出
+ */
+function runStep(script, args, extraEnv = {}) {
+  const env = {
+    ...process.env,
+    LLM_PROVIDER: 'mock',
+    TRANSLATION_PROVIDER: 'llm',
+    REPORT_LANGUAGES: 'zh,en',
+    ...extraEnv
+  };
+  delete env.REPORT_DATE;
+  delete env.OPENAI_API_KEY;
+
+  return execFileSync(process.execPath, [path.join(workDir, 'src', script), ...args], {
+    cwd: workDir,
+    env,
+    encoding: 'utf8',
+    timeout: 120000
+  });
+}
+
+/**
+ * 读取临时目录中的文件
+ * @param {...string} parts - 相对临时目录的路径
+ * @returns {string} 文件内容
+ */
+function readOutput(...parts) {
+  return fs.readFileSync(path.join(workDir, ...parts), 'utf8');
+}
+
+test.before(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-trending-pipeline-'));
+  fs.cpSync(path.join(ROOT, 'src'), path.join(workDir, 'src'), { recursive: true });
+  fs.cpSync(FIXTURE_DATA, path.join(workDir, 'data'), { recursive: true });
+  fs.mkdirSync(path.join(workDir, 'reports'));
+  fs.symlinkSync(path.join(ROOT, 'node_modules'), path.join(workDir, 'node_modules'), 'dir');
+});
+
+test.after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('summarize 为每种语言生成日报 JSON 和 Markdown', () => {
+  runStep('summarize.js', ['--date', REPORT_DATE]);
+
+  const report = JSON.parse(readOutput('reports', `daily_${REPORT_DATE}.json`));
+  assert.strictEqual(report.date, REPORT_DATE);
+  assert.strictEqual(report.language, 'zh');
+  assert.strictEqual(report.model, 'mock');
+  assert.deepStrictEqual(report.projects.map(project => project.repo), ['octo/agent-kit', 'octo/shell-tools', 'octo/fast-db']);
+
+  const englishReport = JSON.parse(readOutput('reports', `daily_${REPORT_DATE}.en.json`));
+  assert.strictEqual(englishReport.language, 'en');
+
+  assert.match(readOutput('reports', `daily_${REPORT_DATE}.md`), /^\*   \*\*一句话概括\*\*：/m);
+  assert.match(readOutput('reports', `daily_${REPORT_DATE}.en.md`), /^\*   \*\*In one line\*\*: /m);
+});
+
+test('summarize 在指定日期没有 Trending 数据时失败，不改用其他日期的数据', () => {
+  assert.throws(() => runStep('summarize.js', ['--date', '2026-03-01']), error => error.status === 1);
+  assert.ok(!fs.existsSync(path.join(workDir, 'reports', 'daily_2026-03-01.json')));
+});
+
+test('digest 根据历史数据生成各语言的周报', () => {
+  runStep('digestReport.js', ['--period', 'weekly', '--date', DIGEST_DATE]);
+
+  const digest = JSON.parse(readOutput('reports', 'weekly_2026-W09.json'));
+  assert.strictEqual(digest.start, '2026-02-23');
+  assert.strictEqual(digest.end, '2026-03-01');
+  assert.strictEqual(digest.data.dataDays, 3);
+  assert.strictEqual(digest.data.leaderboard[0].name, 'octo/agent-kit');
+  assert.ok(digest.content.title);
+
+  assert.match(readOutput('reports', 'weekly_2026-W09.md'), /^## 🏆 本期排行榜$/m);
+  const englishMarkdown = readOutput('reports', 'weekly_2026-W09.en.md');
+  assert.match(englishMarkdown, /^## 🏆 Leaderboard$/m);
+  assert.match(englishMarkdown, /\| # \| Project \| Description \|/);
+  assert.match(readOutput('reports', 'weekly_2026-W09.en.html'), /<html lang="en">/);
+});
+
+test('html 生成日报页面、排行榜数据和项目页面，模拟服务的翻译不写入缓存文件', () => {
+  runStep('html_generator.js', ['--date', REPORT_DATE, '--no-open']);
+
+  const page = readOutput('reports', `daily_${REPORT_DATE}.html`);
+  assert.ok(page.includes(`ranking_data_${REPORT_DATE}.js`));
+  assert.ok(page.includes('href="weekly_2026-W09.html"'));
+  assert.ok(page.includes('octo/agent-kit'));
+  assert.ok(readOutput('reports', `daily_${REPORT_DATE}.en.html`).includes('href="weekly_2026-W09.en.html"'));
+
+  const rankingScript = readOutput('data', `ranking_data_${REPORT_DATE}.js`);
+  const rankingData = JSON.parse(rankingScript.replace(/^var rankingData = /, '').replace(/;$/, ''));
+  assert.strictEqual(rankingData.asOf, REPORT_DATE);
+  assert.strictEqual(rankingData.week[0].name, 'octo/agent-kit');
+  assert.deepStrictEqual(rankingData.categoryRankings.ai.combined.week, ['octo/agent-kit']);
+  // 旧页面加载的 ranking_data.js 是最新一天排行榜的副本
+  assert.strictEqual(readOutput('data', 'ranking_data.js'), rankingScript);
+
+  assert.ok(fs.existsSync(path.join(workDir, 'reports', 'repo', 'octo__agent-kit.html')));
+  assert.ok(fs.existsSync(path.join(workDir, 'reports', 'stats.html')));
+  // 英文页面链接到英文的统计页面，统计页面的文字来自 src/locales/en.js
+  assert.ok(readOutput('reports', `daily_${REPORT_DATE}.en.html`).includes('href="stats.en.html"'));
+  const englishStats = readOutput('reports', 'stats.en.html');
+  assert.match(englishStats, /<html lang="en">/);
+  assert.ok(englishStats.includes('<h1>📊 Languages & Topics</h1>'));
+  assert.ok(englishStats.includes('Past week') && !englishStats.includes('过去一周'));
+  // 模拟服务的翻译只在内存中使用
+  const translationCache = JSON.parse(readOutput('data', 'translation_cache.json'));
+  assert.deepStrictEqual(translationCache.entries, {});
+});
+
+test('只生成英文日报时，html 渲染指定日期的英文页面', () => {
+  const englishOnly = { REPORT_LANGUAGES: 'en' };
+  runStep('summarize.js', ['--date', '2026-02-27'], englishOnly);
+  runStep('html_generator.js', ['--date', '2026-02-27', '--no-open'], englishOnly);
+
+  assert.ok(!fs.existsSync(path.join(workDir, 'reports', 'daily_2026-02-27.md')));
+  assert.match(readOutput('reports', 'daily_2026-02-27.en.html'), /ranking_data_2026-02-27\.js/);
+  assert.ok(!fs.existsSync(path.join(workDir, 'reports', 'daily_2026-02-27.html')));
+});
@@ -0,0 +1,107 @@
+/**
+ * 排行榜排序策略测试
+ * 用手工构造的历史数据检查各策略的分数和排序，不读取 data/ 中的文件
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const dataProcessor = require('../src/dataProcessor');
+
+// 历史数据按日期降序排列，与 readHistoryData 的返回值一致
+const HISTORY = [
+  {
+    date: '2026-02-03',
+    data: [
+      { rank: 1, name: 'octo/alpha', stars: 1300, starsToday: 50 },
+      { rank: 2, name: 'octo/beta', stars: 5000, starsToday: 10 },
+      { rank: 3, name: 'octo/gamma', stars: 200, starsToday: 80 }
+    ]
+  },
+  {
+    date: '2026-02-01',
+    data: [
+      { rank: 1, name: 'octo/beta', stars: 4900, starsToday: 30 },
+      { rank: 2, name: 'octo/alpha', stars: 1000, starsToday: 20 }
+    ]
+  }
+];
+
+/**
+ * 按名称查找排行榜项目
+ * @param {Array} ranking - 排行榜数组
+ * @param {string} name - 仓库全名
+ * @returns {Object} 排行榜项目
+ */
+function findItem(ranking, name) {
+  return ranking.find(item => item.name === name);
+}
+
+test('velocity 按时间范围内最早和最近一次快照的 star 差值计算每日增长', () => {
+  const ranking = dataProcessor.calculateRanking(HISTORY, 'velocity');
+  const alpha = findItem(ranking, 'octo/alpha');
+
+  assert.strictEqual(alpha.firstSeenInRange, '2026-02-01');
+  assert.strictEqual(alpha.lastSeenInRange, '2026-02-03');
+  assert.strictEqual(alpha.starsGained, 300);
+  assert.strictEqual(alpha.starsPerDay, 150);
+  assert.strictEqual(alpha.score, 150);
+  assert.strictEqual(findItem(ranking, 'octo/beta').starsPerDay, 50);
+});
+
+test('velocity 对只上榜一次的项目回退为当天新增的 star 数', () => {
+  const ranking = dataProcessor.calculateRanking(HISTORY, 'velocity');
+  const gamma = findItem(ranking, 'octo/gamma');
+
+  assert.strictEqual(gamma.starsGained, null);
+  assert.strictEqual(gamma.starsPerDay, null);
+  assert.strictEqual(gamma.score, 80);
+  assert.deepStrictEqual(ranking.map(item => item.name), ['octo/alpha', 'octo/gamma', 'octo/beta']);
+});
+
+// 三个项目各上榜一次：名次越高的越早上榜，用于区分名次加权、时间衰减和综合评分
+const WEIGHTED_HISTORY = [
+  { date: '2026-02-15', data: [{ rank: 10, name: 'octo/new-low', stars: 100 }] },
+  { date: '2026-02-01', data: [{ rank: 3, name: 'octo/mid', stars: 100 }] },
+  { date: '2026-01-18', data: [{ rank: 1, name: 'octo/old-top', stars: 100 }] }
+];
+
+test('position 只看名次，recency 只看距最近一天的天数，combined 取两者乘积', () => {
+  const names = strategy => dataProcessor.calculateRanking(WEIGHTED_HISTORY, strategy).map(item => item.name);
+
+  assert.deepStrictEqual(names('position'), ['octo/old-top', 'octo/mid', 'octo/new-low']);
+  assert.deepStrictEqual(names('recency'), ['octo/new-low', 'octo/mid', 'octo/old-top']);
+  assert.deepStrictEqual(names('combined'), ['octo/mid', 'octo/old-top', 'octo/new-low']);
+});
+
+test('scoreBreakdown 记录每个策略的分数，score 取所选策略的分数', () => {
+  const mid = findItem(dataProcessor.calculateRanking(WEIGHTED_HISTORY, 'combined'), 'octo/mid');
+
+  // 第 3 名权重 0.8，距最近一天 14 天（一个半衰期）权重 0.5
+  assert.deepStrictEqual(mid.scoreBreakdown, {
+    combined: 0.4,
+    appearances: 1,
+    position: 0.8,
+    recency: 0.5,
+    velocity: 0
+  });
+  assert.strictEqual(mid.strategy, 'combined');
+  assert.strictEqual(mid.score, 0.4);
+});
+
+test('分数相同时依次按上榜次数和 star 数量排序', () => {
+  // alpha 与 beta 的名次权重之和都是 1.9，上榜次数也相同，star 数量多的 beta 在前
+  const ranking = dataProcessor.calculateRanking(HISTORY, 'position');
+  assert.deepStrictEqual(ranking.map(item => item.score), [1.9, 1.9, 0.8]);
+  assert.deepStrictEqual(ranking.map(item => item.name), ['octo/beta', 'octo/alpha', 'octo/gamma']);
+});
+
+test('不支持的策略报错，registerRankingStrategy 注册的策略可以直接使用', () => {
+  assert.throws(() => dataProcessor.calculateRanking(HISTORY, 'stars'), /不支持的排行榜策略: stars/);
+  assert.throws(() => dataProcessor.registerRankingStrategy('stars', { label: 'Star 数' }), /缺少 score 函数/);
+
+  dataProcessor.registerRankingStrategy('stars', { label: 'Star 数', score: stats => stats.stars });
+  const ranking = dataProcessor.calculateRanking(HISTORY, 'stars');
+  assert.deepStrictEqual(ranking.map(item => item.name), ['octo/beta', 'octo/alpha', 'octo/gamma']);
+  assert.strictEqual(ranking[0].scoreBreakdown.stars, 5000);
+});
@@ -0,0 +1,59 @@
+/**
+ * 重新解析测试
+ * 用 test/fixtures/raw/ 中的页面样例作为归档，检查重新解析后保留爬取之后补充的字段
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const config = require('../src/config');
+const reparse = require('../src/reparse');
+
+test('重新解析归档时保留 enrich 写入的 metadata 和 classify 写入的 categories', () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reparse-'));
+  const originalDirectories = { data: config.directories.data, raw: config.directories.raw };
+  const originalMinRows = config.validation.minRows;
+  config.directories.data = workDir;
+  config.directories.raw = path.join(workDir, 'raw');
+  config.validation.minRows = 2;
+
+  try {
+    fs.mkdirSync(config.directories.raw);
+    const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'raw', 'trending.html'));
+    fs.writeFileSync(path.join(config.directories.raw, 'trending_2026-02-28.html.gz'), zlib.gzipSync(html));
+
+    const metadata = { topics: ['agents'], license: 'MIT' };
+    fs.writeFileSync(path.join(workDir, 'trending_2026-02-28.json'), JSON.stringify({
+      schemaVersion: 2,
+      capturedAt: '2026-02-28T00:00:00.000Z',
+      source: 'html',
+      repositories: [
+        { rank: 1, name: 'octo/agent-kit', url: 'https://github.com/octo/agent-kit', description: 'old', stars: 100, language: 'Python', metadata, categories: ['ai'] },
+        { rank: 2, name: 'octo/dotfiles', url: 'https://github.com/octo/dotfiles', description: 'old', stars: 10, language: 'Shell', categories: [] }
+      ]
+    }));
+
+    const result = reparse.reparseSnapshot('trending_2026-02-28.html.gz', false);
+    assert.deepStrictEqual(result, { dataFileName: 'trending_2026-02-28.json', count: 2, previousCount: 2 });
+
+    const saved = JSON.parse(fs.readFileSync(path.join(workDir, 'trending_2026-02-28.json'), 'utf8'));
+    assert.strictEqual(saved.capturedAt, '2026-02-28T00:00:00.000Z');
+    const [agentKit, dotfiles] = saved.repositories;
+    // 页面中的字段来自重新解析
+    assert.strictEqual(agentKit.stars, 12345);
+    assert.strictEqual(agentKit.description, 'A toolkit for building AI agents with memory and tools');
+    // 爬取之后补充的字段保留
+    assert.deepStrictEqual(agentKit.metadata, metadata);
+    assert.deepStrictEqual(agentKit.categories, ['ai']);
+    assert.deepStrictEqual(dotfiles.categories, []);
+    assert.strictEqual(dotfiles.metadata, undefined);
+  } finally {
+    Object.assign(config.directories, originalDirectories);
+    config.validation.minRows = originalMinRows;
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,74 @@
+/**
+ * 数据文件 schema 与迁移测试
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const config = require('../src/config');
+const migrate = require('../src/migrate');
+const schema = require('../src/schema');
+
+// v1 数据文件：仓库数组，stars 为展示字符串
+const V1_FILE = [
+  { rank: 1, name: 'octo/alpha', url: 'https://github.com/octo/alpha', description: 'Alpha', stars: '9,257', language: 'Rust' },
+  { rank: 2, name: 'octo/beta', url: 'https://github.com/octo/beta', description: 'Beta', stars: 'n/a', language: 'Go' }
+];
+
+test('toStarCount 兼容 v1 的展示字符串和 v2 的数字', () => {
+  assert.strictEqual(schema.toStarCount('9,257'), 9257);
+  assert.strictEqual(schema.toStarCount(42), 42);
+  assert.strictEqual(schema.toStarCount('n/a'), 0);
+  assert.strictEqual(schema.toStarCount(NaN), 0);
+});
+
+test('getSchemaVersion 识别数组格式和带版本号的格式', () => {
+  assert.strictEqual(schema.getSchemaVersion(V1_FILE), 1);
+  assert.strictEqual(schema.getSchemaVersion({ schemaVersion: 2, repositories: [] }), 2);
+  assert.strictEqual(schema.getSchemaVersion({ repositories: [] }), 0);
+});
+
+test('upgradeTrendingFile 把 v1 升级到当前版本，stars 转为数字并补充 capturedAt', () => {
+  const upgraded = schema.upgradeTrendingFile(V1_FILE, { capturedAt: '2026-02-11T00:00:00.000Z' });
+
+  assert.strictEqual(upgraded.schemaVersion, schema.CURRENT_SCHEMA_VERSION);
+  assert.strictEqual(upgraded.capturedAt, '2026-02-11T00:00:00.000Z');
+  assert.strictEqual(upgraded.source, 'html');
+  assert.deepStrictEqual(upgraded.repositories.map(repo => repo.stars), [9257, 0]);
+  assert.strictEqual(upgraded.repositories[0].description, 'Alpha');
+});
+
+test('upgradeTrendingFile 拒绝更高版本和无法识别的格式，readRepositories 对它们返回空数组', () => {
+  const future = { schemaVersion: schema.CURRENT_SCHEMA_VERSION + 1, repositories: [] };
+  assert.throws(() => schema.upgradeTrendingFile(future), /高于当前支持的版本/);
+  assert.throws(() => schema.upgradeTrendingFile({ foo: 1 }), /无法识别/);
+  assert.deepStrictEqual(schema.readRepositories(future), []);
+  assert.strictEqual(schema.readRepositories(V1_FILE)[0].stars, 9257);
+});
+
+test('migrateFile 原地升级旧版文件，--dry-run 时不写入，已是当前版本的文件不变', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-'));
+  const originalDataDir = config.directories.data;
+  config.directories.data = dataDir;
+  try {
+    const filePath = path.join(dataDir, 'trending_2026-02-11.json');
+    fs.writeFileSync(filePath, JSON.stringify(V1_FILE));
+
+    assert.deepStrictEqual(migrate.migrateFile('trending_2026-02-11.json', true), { fromVersion: 1, toVersion: 2 });
+    assert.ok(Array.isArray(JSON.parse(fs.readFileSync(filePath, 'utf8'))));
+
+    assert.deepStrictEqual(migrate.migrateFile('trending_2026-02-11.json', false), { fromVersion: 1, toVersion: 2 });
+    const migrated = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.strictEqual(migrated.schemaVersion, 2);
+    assert.strictEqual(migrated.capturedAt.slice(0, 10), '2026-02-11');
+    assert.strictEqual(migrated.repositories[0].stars, 9257);
+
+    assert.deepStrictEqual(migrate.migrateFile('trending_2026-02-11.json', false), { fromVersion: 2, toVersion: 2 });
+  } finally {
+    config.directories.data = originalDataDir;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,64 @@
+/**
+ * 翻译缓存测试
+ * 检查译文质量的判定（与原文相同的结果不算真正的译文）和模拟服务条目不写入缓存文件
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const config = require('../src/config');
+const translationCache = require('../src/translationCache');
+
+const SOURCE = 'A fast key-value database';
+
+/**
+ * 获取某个仓库的缓存条目
+ * @param {string} repoName - 仓库全名
+ * @returns {Object|undefined} 缓存条目
+ */
+function getEntry(repoName) {
+  const item = translationCache.getAllTranslations().find(({ key }) => key === repoName);
+  return item && item.entry;
+}
+
+test('真正的译文记录为 translated，可以直接使用', () => {
+  translationCache.setTranslation('octo/db', SOURCE, '快速的键值数据库', { provider: 'llm', model: 'test' });
+
+  assert.strictEqual(getEntry('octo/db').quality, translationCache.QUALITY_TRANSLATED);
+  assert.strictEqual(translationCache.getCachedTranslation('octo/db', SOURCE), '快速的键值数据库');
+  assert.strictEqual(translationCache.needsTranslation('octo/db', SOURCE), false);
+});
+
+test('与原文相同的结果和翻译失败一样记录为 fallback，下次重新翻译', () => {
+  translationCache.setTranslation('octo/same', SOURCE, ` ${SOURCE} `, { provider: 'llm', model: 'mock' });
+  translationCache.setTranslation('octo/failed', SOURCE, null, { provider: 'llm', model: 'test' });
+
+  for (const repoName of ['octo/same', 'octo/failed']) {
+    assert.strictEqual(getEntry(repoName).quality, translationCache.QUALITY_FALLBACK);
+    assert.strictEqual(translationCache.getCachedTranslation(repoName, SOURCE), null);
+    assert.strictEqual(translationCache.needsTranslation(repoName, SOURCE), true);
+  }
+});
+
+test('保存时跳过模拟服务产生的条目，其他条目照常写入', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'translation-cache-'));
+  const originalDataDir = config.directories.data;
+  config.directories.data = dataDir;
+  try {
+    translationCache.setTranslation('octo/glossary', SOURCE, '快速的键值数据库', { provider: 'glossary', model: null });
+    translationCache.setTranslation('octo/mocked', SOURCE, '模拟译文', { provider: 'llm', model: 'mock' });
+    translationCache.saveTranslationCache();
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, config.filePatterns.translationCacheFile), 'utf8'));
+    assert.ok(saved.entries['octo/glossary']);
+    assert.strictEqual(saved.entries['octo/mocked'], undefined);
+    // 内存中仍然可以使用
+    assert.strictEqual(translationCache.getCachedTranslation('octo/mocked', SOURCE), '模拟译文');
+  } finally {
+    config.directories.data = originalDataDir;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
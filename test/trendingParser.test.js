@@ -0,0 +1,88 @@
+/**
+ * Trending 页面解析测试
+ * 用 test/fixtures/raw/ 中保存的页面片段检查解析结果，不访问网络
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const trendingParser = require('../src/trendingParser');
+
+/**
+ * 读取页面样例
+ * @param {string} fileName - test/fixtures/raw/ 下的文件名
+ * @returns {string} 页面 HTML
+ */
+function readFixture(fileName) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'raw', fileName), 'utf8');
+}
+
+test('parseTrendingHTML 解析仓库名称、描述、语言、Star、Fork、今日新增和贡献者', () => {
+  const repos = trendingParser.parseTrendingHTML(readFixture('trending.html'));
+
+  assert.deepStrictEqual(repos[0], {
+    rank: 1,
+    name: 'octo/agent-kit',
+    url: 'https://github.com/octo/agent-kit',
+    description: 'A toolkit for building AI agents with memory and tools',
+    stars: 12345,
+    language: 'Python',
+    starsToday: 1234,
+    forks: 1024,
+    builtBy: [
+      { login: 'alice', url: 'https://github.com/alice', avatar: 'https://avatars.example/alice.png' },
+      { login: 'bob', url: 'https://github.com/bob', avatar: 'https://avatars.example/bob.png' }
+    ]
+  });
+});
+
+test('parseTrendingHTML 为缺少描述、语言和 Fork 的仓库填入默认值', () => {
+  const repos = trendingParser.parseTrendingHTML(readFixture('trending.html'));
+
+  assert.strictEqual(repos.length, 2);
+  assert.strictEqual(repos[1].rank, 2);
+  assert.strictEqual(repos[1].description, 'No description');
+  assert.strictEqual(repos[1].language, 'Unknown');
+  assert.strictEqual(repos[1].stars, 987);
+  assert.strictEqual(repos[1].forks, 0);
+  assert.deepStrictEqual(repos[1].builtBy, []);
+});
+
+test('parseTrendingHTML 只解析前 limit 个仓库', () => {
+  const repos = trendingParser.parseTrendingHTML(readFixture('trending.html'), 1);
+  assert.deepStrictEqual(repos.map(repo => repo.name), ['octo/agent-kit']);
+});
+
+test('parseDevelopersHTML 解析开发者和代表仓库', () => {
+  const developers = trendingParser.parseDevelopersHTML(readFixture('developers.html'));
+
+  assert.deepStrictEqual(developers, [
+    {
+      rank: 1,
+      login: 'alice',
+      name: 'Alice Liddell',
+      url: 'https://github.com/alice',
+      avatar: 'https://avatars.example/alice.png',
+      popularRepo: {
+        name: 'alice/wonderland',
+        url: 'https://github.com/alice/wonderland',
+        description: 'A curious rabbit-hole explorer'
+      }
+    },
+    {
+      rank: 2,
+      login: 'bob',
+      name: 'bob',
+      url: 'https://github.com/bob',
+      avatar: 'https://avatars.example/bob.png',
+      popularRepo: null
+    }
+  ]);
+});
+
+test('parseCount 忽略千位分隔符和文字', () => {
+  assert.strictEqual(trendingParser.parseCount('1,234 stars today'), 1234);
+  assert.strictEqual(trendingParser.parseCount(''), 0);
+});